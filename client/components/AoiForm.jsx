@@ -0,0 +1,124 @@
+"use client";
+
+import { useState } from "react";
+
+const MAX_NAME = 100;
+const MAX_DESCRIPTION = 1000;
+
+// Field errors of the form values ({} when valid)
+function validate({ name, description }) {
+  const errors = {};
+  if (!name.trim()) errors.name = "Name is required";
+  else if (name.trim().length > MAX_NAME) {
+    errors.name = `At most ${MAX_NAME} characters`;
+  }
+  if (description.length > MAX_DESCRIPTION) {
+    errors.description = `At most ${MAX_DESCRIPTION} characters`;
+  }
+  return errors;
+}
+
+/**
+ * Inline form for the name and description of a new or existing AOI.
+ * onSubmit({ name, description }) returns a promise; when it rejects, the
+ * message is shown and the form stays open.
+ */
+export default function AoiForm({
+  title,
+  initial,
+  submitLabel,
+  onSubmit,
+  onCancel,
+}) {
+  const [values, setValues] = useState({
+    name: initial?.name || "",
+    description: initial?.description || "",
+  });
+  const [touched, setTouched] = useState(false);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const errors = validate(values);
+  const shownErrors = touched ? errors : {};
+
+  const handleChange = (field) => (e) =>
+    setValues((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setTouched(true);
+    if (Object.keys(errors).length) return;
+    try {
+      setIsSaving(true);
+      setError(null);
+      await onSubmit({
+        name: values.name.trim(),
+        description: values.description.trim(),
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="border border-blue-200 bg-blue-50 rounded p-2 space-y-2 text-xs"
+    >
+      {title && <div className="font-semibold text-sm">{title}</div>}
+      <div>
+        <input
+          type="text"
+          value={values.name}
+          onChange={handleChange("name")}
+          onBlur={() => setTouched(true)}
+          placeholder="Name"
+          autoFocus
+          className={`w-full border rounded px-2 py-1 ${
+            shownErrors.name ? "border-red-400" : "border-gray-300"
+          }`}
+        />
+        {shownErrors.name && (
+          <p className="text-red-700 mt-0.5">{shownErrors.name}</p>
+        )}
+      </div>
+      <div>
+        <textarea
+          value={values.description}
+          onChange={handleChange("description")}
+          placeholder="Description (optional)"
+          rows={3}
+          className={`w-full border rounded px-2 py-1 ${
+            shownErrors.description ? "border-red-400" : "border-gray-300"
+          }`}
+        />
+        <div className="flex justify-between text-gray-500">
+          <span className="text-red-700">{shownErrors.description}</span>
+          <span>
+            {values.description.length} / {MAX_DESCRIPTION}
+          </span>
+        </div>
+      </div>
+      {error && <p className="text-red-700">{error}</p>}
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-3 py-1 rounded"
+        >
+          {isSaving ? "Saving..." : submitLabel || "Save"}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={isSaving}
+          className="bg-gray-100 hover:bg-gray-200 px-3 py-1 rounded"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
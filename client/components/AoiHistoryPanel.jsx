@@ -0,0 +1,246 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { formatArea } from "@/lib/units";
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5001";
+
+const ACTION_STYLES = {
+  create: "text-green-700",
+  update: "text-blue-700",
+  delete: "text-red-700",
+  restore: "text-purple-700",
+};
+
+function describeValue(value) {
+  if (value === null || value === undefined || value === "") return "—";
+  if (Array.isArray(value)) return value.join(", ") || "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Revision history of one AOI (or, with no AOI, the user's deleted AOIs).
+ * Selecting a revision previews its geometry on the map through onPreview;
+ * the owner can restore any revision, which also undeletes the AOI.
+ */
+export default function AoiHistoryPanel({
+  aoi,
+  getToken,
+  onSelectAoi,
+  onPreview,
+  onRestored,
+  onClose,
+}) {
+  const [history, setHistory] = useState(null);
+  const [deleted, setDeleted] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const request = useCallback(
+    async (path, options = {}) => {
+      const token = await getToken();
+      if (!token) throw new Error("Authentication token not available");
+      const res = await fetch(`${API_URL}${path}`, {
+        ...options,
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `Server error: ${res.status}`);
+      return data;
+    },
+    [getToken]
+  );
+
+  const load = useCallback(async () => {
+    try {
+      setError(null);
+      setSelected(null);
+      onPreview(null);
+      if (aoi) {
+        setHistory(await request(`/aoi/${aoi.id}/history`));
+      } else {
+        setDeleted(await request("/aoi/deleted"));
+      }
+    } catch (err) {
+      console.error("Error loading AOI history:", err);
+      setError(err.message);
+    }
+  }, [aoi, request, onPreview]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const selectRevision = async (rev) => {
+    try {
+      setError(null);
+      const revision = await request(`/aoi/${aoi.id}/history/${rev}`);
+      setSelected(revision);
+      onPreview(revision.snapshot.geometry);
+    } catch (err) {
+      console.error("Error loading revision:", err);
+      setError(err.message);
+    }
+  };
+
+  const restore = async (aoiId, rev) => {
+    try {
+      setIsBusy(true);
+      setError(null);
+      const restored = await request(`/aoi/${aoiId}/restore/${rev}`, {
+        method: "POST",
+      });
+      onRestored(restored);
+      await load();
+    } catch (err) {
+      console.error("Error restoring AOI:", err);
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white text-gray-800 rounded-lg shadow-lg border border-gray-200 p-3 text-sm w-80 max-h-[70vh] overflow-y-auto">
+      <div className="flex justify-between items-center mb-2">
+        <span className="font-semibold truncate">
+          {aoi ? `History: ${aoi.name || "Unnamed AOI"}` : "Deleted AOIs"}
+        </span>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700 text-xl font-bold"
+        >
+          ×
+        </button>
+      </div>
+
+      {error && <p className="mb-2 text-xs text-red-700">{error}</p>}
+
+      {!aoi && deleted && (
+        <ul className="space-y-1">
+          {deleted.length === 0 && (
+            <li className="text-xs text-gray-500">No deleted AOIs.</li>
+          )}
+          {deleted.map((item) => (
+            <li
+              key={item._id}
+              className="flex items-center justify-between gap-2 text-xs"
+            >
+              <span className="truncate">
+                {item.name || "Unnamed AOI"}
+                <span className="text-gray-400">
+                  {" "}
+                  {new Date(item.deletedAt).toLocaleDateString()}
+                </span>
+              </span>
+              <span className="flex gap-2 shrink-0">
+                <button
+                  onClick={() => onSelectAoi({ id: item._id, name: item.name })}
+                  className="text-blue-700 hover:underline"
+                >
+                  History
+                </button>
+                <button
+                  disabled={isBusy || !item.revision}
+                  onClick={() => restore(item._id, item.revision)}
+                  className="text-purple-700 hover:underline disabled:text-gray-400"
+                >
+                  Restore
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {aoi && history && (
+        <>
+          {history.deletedAt && (
+            <p className="mb-2 text-xs text-red-700">
+              Deleted {new Date(history.deletedAt).toLocaleString()}
+            </p>
+          )}
+          {history.revisions.length === 0 && (
+            <p className="text-xs text-gray-500">No revisions recorded.</p>
+          )}
+          <ul className="space-y-1">
+            {history.revisions.map((r) => (
+              <li key={r.rev}>
+                <button
+                  onClick={() => selectRevision(r.rev)}
+                  className={`w-full text-left text-xs px-1 py-0.5 rounded hover:bg-blue-50 ${
+                    selected?.rev === r.rev ? "bg-blue-50" : ""
+                  }`}
+                >
+                  <span className="font-medium">#{r.rev}</span>{" "}
+                  <span className={ACTION_STYLES[r.action]}>{r.action}</span>
+                  {r.restoredFrom && ` of #${r.restoredFrom}`}
+                  {r.rev === history.current && (
+                    <span className="text-gray-400"> (current)</span>
+                  )}
+                  <span className="block text-gray-500">
+                    {new Date(r.createdAt).toLocaleString()}
+                    {r.changes.length > 0 && ` · ${r.changes.join(", ")}`}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {aoi && selected && (
+        <div className="mt-3 border-t pt-2 text-xs">
+          <div className="font-medium mb-1">
+            Revision #{selected.rev}
+            {selected.previousRev && ` vs #${selected.previousRev}`}
+          </div>
+          <p className="text-gray-500 mb-1">
+            Shown dashed on the map next to the current shape.
+          </p>
+          <table className="w-full">
+            <tbody>
+              {Object.entries(selected.diff)
+                .filter(([field]) => field !== "geometry")
+                .map(([field, change]) => (
+                  <tr key={field} className="align-top">
+                    <td className="pr-2 font-medium">{field}</td>
+                    <td className="text-red-700 line-through break-all">
+                      {describeValue(change.from)}
+                    </td>
+                    <td className="text-green-700 break-all">
+                      {describeValue(change.to)}
+                    </td>
+                  </tr>
+                ))}
+              <tr>
+                <td className="pr-2 font-medium">geometry</td>
+                <td colSpan={2}>
+                  {selected.diff.geometry.changed
+                    ? `changed (${
+                        selected.diff.geometry.areaDelta >= 0 ? "+" : "−"
+                      }${formatArea(
+                        Math.abs(selected.diff.geometry.areaDelta),
+                        "ha"
+                      )}, ${selected.diff.geometry.vertexCountDelta >= 0 ? "+" : ""}${
+                        selected.diff.geometry.vertexCountDelta
+                      } vertices)`
+                    : "unchanged"}
+                </td>
+              </tr>
+            </tbody>
+          </table>
+          <button
+            disabled={isBusy || aoi.userId === "public"}
+            onClick={() => restore(aoi.id, selected.rev)}
+            className="mt-2 w-full bg-purple-600 hover:bg-purple-700 disabled:bg-gray-400 text-white px-2 py-1 rounded"
+          >
+            {isBusy ? "Restoring..." : `Restore revision #${selected.rev}`}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
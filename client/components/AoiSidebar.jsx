@@ -0,0 +1,251 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import AoiForm from "./AoiForm";
+import { formatArea } from "@/lib/units";
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5001";
+
+const PAGE_SIZE = 50;
+const LIST_ZOOM = 10; // coarse geometry renditions are enough for the list
+
+/**
+ * List of the user's AOIs and the public samples with search, an owner
+ * filter and paging. Rows zoom to, show / hide, edit and delete their AOI
+ * (public samples are read-only). `form` ({ mode: "create" } or
+ * { mode: "edit", aoi }) shows the inline AoiForm, submitted through
+ * onFormSubmit. Changing `reloadKey` reloads the list.
+ */
+export default function AoiSidebar({
+  getToken,
+  reloadKey,
+  form,
+  onFormSubmit,
+  onFormCancel,
+  hiddenIds,
+  onToggleVisible,
+  onZoom,
+  onEdit,
+  onDelete,
+}) {
+  const [open, setOpen] = useState(true);
+  const [search, setSearch] = useState("");
+  const [query, setQuery] = useState(""); // debounced search
+  const [owner, setOwner] = useState("all");
+  const [list, setList] = useState({ items: [], total: 0, nextCursor: null });
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [confirmDelete, setConfirmDelete] = useState(null); // AOI id
+
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(search.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const fetchPage = useCallback(
+    async (after) => {
+      const token = await getToken();
+      if (!token) throw new Error("Authentication token not available");
+      const params = new URLSearchParams({
+        owner,
+        sort: "-createdAt",
+        limit: String(PAGE_SIZE),
+        zoom: String(LIST_ZOOM),
+      });
+      if (query) params.set("q", query);
+      if (after) params.set("after", after);
+      const res = await fetch(`${API_URL}/aoi?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `Server error: ${res.status}`);
+      return data;
+    },
+    [getToken, owner, query]
+  );
+
+  const load = useCallback(
+    async (after) => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const page = await fetchPage(after);
+        setList((prev) => ({
+          items: after ? [...prev.items, ...page.items] : page.items,
+          total: page.total,
+          nextCursor: page.nextCursor,
+        }));
+      } catch (err) {
+        console.error("Error loading AOI list:", err);
+        setError(err.message);
+      } finally {
+        setIsLoading(false);
+      }
+    },
+    [fetchPage]
+  );
+
+  useEffect(() => {
+    load();
+  }, [load, reloadKey]);
+
+  // A form being filled in keeps the list open
+  const expanded = open || Boolean(form);
+
+  const confirmAndDelete = async (aoi) => {
+    setConfirmDelete(null);
+    await onDelete(aoi);
+  };
+
+  return (
+    <div className="bg-white text-gray-800 rounded-lg shadow-lg border border-gray-200 text-sm w-80">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className="flex w-full items-center justify-between px-3 py-2 font-semibold"
+      >
+        <span>Areas of Interest ({list.total})</span>
+        <span className="text-gray-500 text-xs">{expanded ? "▼" : "▲"}</span>
+      </button>
+
+      {expanded && (
+        <div className="px-3 pb-3 space-y-2">
+          {form?.mode === "create" && (
+            <AoiForm
+              title="New AOI"
+              submitLabel="Save AOI"
+              onSubmit={onFormSubmit}
+              onCancel={onFormCancel}
+            />
+          )}
+
+          <div className="flex gap-2">
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search name or description"
+              className="flex-1 min-w-0 border border-gray-300 rounded px-2 py-1 text-xs"
+            />
+            <select
+              value={owner}
+              onChange={(e) => setOwner(e.target.value)}
+              className="border border-gray-300 rounded px-1 py-1 text-xs"
+            >
+              <option value="all">All</option>
+              <option value="me">Mine</option>
+              <option value="public">Samples</option>
+            </select>
+          </div>
+
+          {error && <p className="text-xs text-red-700">{error}</p>}
+
+          <ul className="max-h-[40vh] overflow-y-auto divide-y border border-gray-100 rounded">
+            {list.items.map((aoi) => {
+              const readOnly = aoi.userId === "public";
+              const hidden = hiddenIds.has(aoi._id);
+              const editing = form?.mode === "edit" && form.aoi._id === aoi._id;
+              return (
+                <li key={aoi._id} className="px-2 py-1.5">
+                  {editing ? (
+                    <AoiForm
+                      title="Edit AOI"
+                      initial={aoi}
+                      onSubmit={onFormSubmit}
+                      onCancel={onFormCancel}
+                    />
+                  ) : (
+                    <>
+                      <div className="flex items-start justify-between gap-2">
+                        <button
+                          onClick={() => onZoom(aoi)}
+                          className={`text-left font-medium hover:underline truncate ${
+                            hidden ? "text-gray-400" : ""
+                          }`}
+                          title="Zoom to this AOI"
+                        >
+                          {aoi.name || "Unnamed AOI"}
+                        </button>
+                        {readOnly && (
+                          <span className="text-[10px] bg-gray-100 text-gray-600 rounded px-1 shrink-0">
+                            sample
+                          </span>
+                        )}
+                      </div>
+                      {aoi.description && (
+                        <p className="text-xs text-gray-600 truncate">
+                          {aoi.description}
+                        </p>
+                      )}
+                      <div className="flex items-center gap-2 text-xs mt-0.5">
+                        {aoi.metrics?.area > 0 && (
+                          <span className="text-gray-500">
+                            {formatArea(aoi.metrics.area, "ha")}
+                          </span>
+                        )}
+                        <span className="flex-1" />
+                        <button
+                          onClick={() => onToggleVisible(aoi)}
+                          className="text-blue-700 hover:underline"
+                        >
+                          {hidden ? "Show" : "Hide"}
+                        </button>
+                        {!readOnly &&
+                          (confirmDelete === aoi._id ? (
+                            <>
+                              <span className="text-red-700">Delete?</span>
+                              <button
+                                onClick={() => confirmAndDelete(aoi)}
+                                className="text-red-700 font-semibold hover:underline"
+                              >
+                                Yes
+                              </button>
+                              <button
+                                onClick={() => setConfirmDelete(null)}
+                                className="hover:underline"
+                              >
+                                No
+                              </button>
+                            </>
+                          ) : (
+                            <>
+                              <button
+                                onClick={() => onEdit(aoi)}
+                                className="text-blue-700 hover:underline"
+                              >
+                                Edit
+                              </button>
+                              <button
+                                onClick={() => setConfirmDelete(aoi._id)}
+                                className="text-red-700 hover:underline"
+                              >
+                                Delete
+                              </button>
+                            </>
+                          ))}
+                      </div>
+                    </>
+                  )}
+                </li>
+              );
+            })}
+            {!isLoading && list.items.length === 0 && (
+              <li className="px-2 py-2 text-xs text-gray-500">
+                {query ? "No AOIs match the search" : "No AOIs yet — draw one"}
+              </li>
+            )}
+          </ul>
+
+          {isLoading && <p className="text-xs text-gray-500">Loading...</p>}
+          {list.nextCursor && !isLoading && (
+            <button
+              onClick={() => load(list.nextCursor)}
+              className="w-full text-xs bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded"
+            >
+              Load more ({list.items.length} of {list.total})
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,190 @@
+"use client";
+
+import { useEffect, useMemo, useRef, useState } from "react";
+
+// Columns are taken from the first features only
+const COLUMN_SAMPLE = 200;
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined || a === "") return 1;
+  if (b === null || b === undefined || b === "") return -1;
+  const na = Number(a);
+  const nb = Number(b);
+  if (Number.isFinite(na) && Number.isFinite(nb)) return na - nb;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+function displayValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Attribute table of a WFS layer, kept in sync with the map: clicking a row
+ * selects (and zooms to) its feature, hovering a row highlights it, and a
+ * feature selected on the map is highlighted and scrolled into view here.
+ * `data` is the layer's `wfs` state (see lib/wfsLayer.js).
+ */
+export default function AttributeTable({
+  title,
+  data,
+  onSelect,
+  onHover,
+  onFilter,
+  onLoadMore,
+  onClose,
+}) {
+  const { features, total, loading, error, filter, selectedId } = data;
+  const [sort, setSort] = useState({ column: null, ascending: true });
+  const [filterText, setFilterText] = useState(filter);
+  const selectedRow = useRef(null);
+
+  useEffect(() => setFilterText(filter), [filter]);
+
+  const columns = useMemo(() => {
+    const names = new Set();
+    features
+      .slice(0, COLUMN_SAMPLE)
+      .forEach((f) =>
+        Object.keys(f.properties || {}).forEach((k) => names.add(k))
+      );
+    return [...names];
+  }, [features]);
+
+  const rows = useMemo(() => {
+    if (!sort.column) return features;
+    const sign = sort.ascending ? 1 : -1;
+    return [...features].sort(
+      (a, b) =>
+        sign *
+        compareValues(a.properties?.[sort.column], b.properties?.[sort.column])
+    );
+  }, [features, sort]);
+
+  useEffect(() => {
+    selectedRow.current?.scrollIntoView({ block: "nearest" });
+  }, [selectedId]);
+
+  const toggleSort = (column) =>
+    setSort((s) =>
+      s.column === column
+        ? { column, ascending: !s.ascending }
+        : { column, ascending: true }
+    );
+
+  const hasMore = total !== null && features.length < total;
+
+  return (
+    <div className="bg-white text-gray-800 rounded-lg shadow-lg border border-gray-200 p-3 text-sm w-[40rem] max-w-[calc(100vw-22rem)]">
+      <div className="flex justify-between items-center mb-2">
+        <div className="font-semibold truncate">{title}</div>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700 text-xl font-bold leading-none"
+        >
+          ×
+        </button>
+      </div>
+
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          onFilter(filterText);
+        }}
+        className="flex items-center gap-2 mb-2"
+      >
+        <input
+          value={filterText}
+          onChange={(e) => setFilterText(e.target.value)}
+          placeholder="CQL filter, e.g. name LIKE 'A%'"
+          className="border border-gray-300 rounded px-2 py-1 flex-1 text-xs"
+        />
+        <button
+          type="submit"
+          className="bg-blue-600 hover:bg-blue-700 text-white text-xs px-2 py-1 rounded"
+        >
+          Apply
+        </button>
+        {filter && (
+          <button
+            type="button"
+            onClick={() => onFilter("")}
+            className="bg-gray-100 hover:bg-gray-200 text-xs px-2 py-1 rounded"
+          >
+            Clear
+          </button>
+        )}
+      </form>
+
+      {error && <p className="text-xs text-red-600 mb-2">{error}</p>}
+
+      <div className="max-h-64 overflow-auto border border-gray-200 rounded">
+        <table className="w-full text-xs">
+          <thead className="bg-gray-100 sticky top-0">
+            <tr>
+              {columns.map((column) => (
+                <th
+                  key={column}
+                  onClick={() => toggleSort(column)}
+                  className="text-left font-medium px-2 py-1 cursor-pointer select-none whitespace-nowrap hover:bg-gray-200"
+                >
+                  {column}
+                  {sort.column === column && (sort.ascending ? " ▲" : " ▼")}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((feature) => {
+              const selected = feature.id === selectedId;
+              return (
+                <tr
+                  key={feature.id}
+                  ref={selected ? selectedRow : null}
+                  onClick={() => onSelect(selected ? null : feature.id)}
+                  onMouseEnter={() => onHover(feature.id)}
+                  onMouseLeave={() => onHover(null)}
+                  className={`cursor-pointer border-t border-gray-100 ${
+                    selected ? "bg-red-50" : "hover:bg-amber-50"
+                  }`}
+                >
+                  {columns.map((column) => (
+                    <td
+                      key={column}
+                      className="px-2 py-1 whitespace-nowrap max-w-xs truncate"
+                    >
+                      {displayValue(feature.properties?.[column])}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {!loading && features.length === 0 && (
+          <p className="text-xs text-gray-500 p-2">
+            No features in the current view.
+          </p>
+        )}
+      </div>
+
+      <div className="flex items-center justify-between mt-2 text-xs text-gray-500">
+        <span>
+          {loading
+            ? "Loading..."
+            : `${features.length}${total !== null ? ` of ${total}` : ""} features in view`}
+        </span>
+        {hasMore && !loading && (
+          <button
+            onClick={onLoadMore}
+            className="bg-gray-100 hover:bg-gray-200 text-gray-800 px-2 py-1 rounded"
+          >
+            Load more
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,324 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import {
+  downloadText,
+  featuresToCsv,
+  featuresToGeoJson,
+  featureTitle,
+  groupByLayer,
+} from "@/lib/featureInfo";
+
+const FEATURE_COUNTS = [1, 5, 10, 25, 50];
+
+function displayValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function exportFeatures(features, format) {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+  if (format === "csv") {
+    downloadText(
+      featuresToCsv(features),
+      `feature-info-${stamp}.csv`,
+      "text/csv"
+    );
+  } else {
+    downloadText(
+      featuresToGeoJson(features),
+      `feature-info-${stamp}.geojson`,
+      "application/geo+json"
+    );
+  }
+}
+
+function Properties({ properties }) {
+  const entries = Object.entries(properties || {});
+  if (!entries.length) {
+    return <p className="text-xs text-gray-500">No attributes</p>;
+  }
+  return (
+    <table className="w-full text-xs">
+      <tbody>
+        {entries.map(([key, value]) => (
+          <tr key={key} className="align-top">
+            <td className="font-medium pr-2 py-0.5 whitespace-nowrap">{key}</td>
+            <td className="py-0.5 break-all">{displayValue(value)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Pinned features side by side, one column each
+function CompareTable({ features, onUnpin, onZoom }) {
+  const keys = [];
+  features.forEach((feature) =>
+    Object.keys(feature.properties || {}).forEach((key) => {
+      if (!keys.includes(key)) keys.push(key);
+    })
+  );
+  return (
+    <div className="overflow-x-auto">
+      <table className="text-xs border-collapse">
+        <thead>
+          <tr>
+            <th />
+            {features.map((feature, index) => (
+              <th
+                key={feature.uid}
+                className="text-left font-semibold px-2 py-1 border-b min-w-[8rem] align-top"
+              >
+                <div className="flex items-start justify-between gap-1">
+                  <button
+                    onClick={() => onZoom(feature)}
+                    disabled={!feature.geometry}
+                    className="text-left hover:underline disabled:no-underline"
+                    title={feature.geometry ? "Zoom to this feature" : ""}
+                  >
+                    {featureTitle(feature, index)}
+                  </button>
+                  <button
+                    onClick={() => onUnpin(feature.uid)}
+                    className="text-gray-500 hover:text-gray-700"
+                    aria-label="Unpin"
+                  >
+                    ×
+                  </button>
+                </div>
+                <div className="font-normal text-gray-500">
+                  {feature.layerTitle || feature.layer}
+                </div>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {keys.map((key) => (
+            <tr key={key} className="align-top border-b border-gray-100">
+              <td className="font-medium pr-2 py-0.5 whitespace-nowrap">
+                {key}
+              </td>
+              {features.map((feature) => (
+                <td key={feature.uid} className="px-2 py-0.5 break-all">
+                  {displayValue(feature.properties?.[key])}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * GetFeatureInfo results at a map click, grouped by layer with paging
+ * through the hits of each layer. `info` is { latlng, features } (features
+ * carry uid, layer, layerTitle, properties and a lon/lat geometry or null).
+ * The features on show are passed to onHighlight; pinned features stay
+ * across clicks and can be compared side by side. Results or pins export
+ * as CSV or GeoJSON.
+ */
+export default function FeatureInfoPanel({
+  info,
+  pinned,
+  featureCount,
+  onFeatureCountChange,
+  onHighlight,
+  onZoom,
+  onPin,
+  onUnpin,
+  onClearPins,
+  onClose,
+}) {
+  const [tab, setTab] = useState("results");
+  const [pages, setPages] = useState({}); // layer -> index of the hit on show
+
+  const groups = useMemo(() => groupByLayer(info?.features || []), [info]);
+
+  // New results start at their first hit
+  useEffect(() => {
+    setPages({});
+    if (info) setTab("results");
+  }, [info]);
+
+  useEffect(() => {
+    if (!info && pinned.length) setTab("pinned");
+    else if (!pinned.length) setTab("results");
+  }, [info, pinned.length]);
+
+  const shown = useMemo(
+    () =>
+      tab === "results"
+        ? groups.map((group) => group.features[pages[group.layer] || 0])
+        : [],
+    [tab, groups, pages]
+  );
+
+  useEffect(() => {
+    onHighlight(shown);
+  }, [shown, onHighlight]);
+
+  if (!info && !pinned.length) return null;
+
+  const pinnedIds = new Set(pinned.map((feature) => feature.uid));
+  const exported = tab === "results" ? info?.features || [] : pinned;
+
+  const turnPage = (group, step) =>
+    setPages((prev) => {
+      const count = group.features.length;
+      const index = ((prev[group.layer] || 0) + step + count) % count;
+      return { ...prev, [group.layer]: index };
+    });
+
+  const tabClass = (name) =>
+    `px-2 py-1 rounded text-xs ${
+      tab === name ? "bg-blue-600 text-white" : "bg-gray-100 hover:bg-gray-200"
+    }`;
+
+  return (
+    <div className="absolute top-4 right-4 bg-white text-gray-800 rounded-lg shadow-lg border border-gray-200 p-4 w-96 max-h-[70vh] overflow-y-auto z-50">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-bold">Feature Information</h3>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700 text-xl font-bold"
+        >
+          ×
+        </button>
+      </div>
+
+      <div className="flex items-center gap-2 mb-2">
+        <button
+          onClick={() => setTab("results")}
+          disabled={!info}
+          className={`${tabClass("results")} disabled:opacity-50`}
+        >
+          Results ({info?.features.length || 0})
+        </button>
+        <button
+          onClick={() => setTab("pinned")}
+          disabled={!pinned.length}
+          className={`${tabClass("pinned")} disabled:opacity-50`}
+        >
+          Pinned ({pinned.length})
+        </button>
+        <span className="flex-1" />
+        <button
+          onClick={() => exportFeatures(exported, "csv")}
+          disabled={!exported.length}
+          className="text-xs text-blue-700 hover:underline disabled:text-gray-400"
+        >
+          CSV
+        </button>
+        <button
+          onClick={() => exportFeatures(exported, "geojson")}
+          disabled={!exported.length}
+          className="text-xs text-blue-700 hover:underline disabled:text-gray-400"
+        >
+          GeoJSON
+        </button>
+      </div>
+
+      {tab === "results" && info && (
+        <>
+          <div className="text-xs text-gray-600 mb-2 flex items-center gap-3">
+            <span>
+              {info.latlng.lat.toFixed(6)}, {info.latlng.lng.toFixed(6)}
+            </span>
+            <label className="flex items-center gap-1">
+              Max per layer
+              <select
+                value={featureCount}
+                onChange={(e) => onFeatureCountChange(Number(e.target.value))}
+                className="border border-gray-300 rounded px-1 py-0.5"
+              >
+                {FEATURE_COUNTS.map((count) => (
+                  <option key={count} value={count}>
+                    {count}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <div className="space-y-3">
+            {groups.map((group) => {
+              const index = pages[group.layer] || 0;
+              const feature = group.features[index];
+              const isPinned = pinnedIds.has(feature.uid);
+              return (
+                <section key={group.layer} className="border-t pt-2">
+                  <div className="flex items-center justify-between text-xs mb-1">
+                    <span className="font-semibold text-gray-700 truncate">
+                      {group.title}
+                    </span>
+                    {group.features.length > 1 && (
+                      <span className="flex items-center gap-1 shrink-0">
+                        <button
+                          onClick={() => turnPage(group, -1)}
+                          className="px-1 hover:bg-gray-100 rounded"
+                          aria-label="Previous feature"
+                        >
+                          ◀
+                        </button>
+                        {index + 1} / {group.features.length}
+                        <button
+                          onClick={() => turnPage(group, 1)}
+                          className="px-1 hover:bg-gray-100 rounded"
+                          aria-label="Next feature"
+                        >
+                          ▶
+                        </button>
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex items-center justify-between gap-2 mb-1">
+                    <h4 className="font-medium text-sm truncate">
+                      {featureTitle(feature, index)}
+                    </h4>
+                    <span className="flex gap-2 text-xs shrink-0">
+                      {feature.geometry && (
+                        <button
+                          onClick={() => onZoom(feature)}
+                          className="text-blue-700 hover:underline"
+                        >
+                          Zoom
+                        </button>
+                      )}
+                      <button
+                        onClick={() =>
+                          isPinned ? onUnpin(feature.uid) : onPin(feature)
+                        }
+                        className="text-blue-700 hover:underline"
+                      >
+                        {isPinned ? "Unpin" : "Pin"}
+                      </button>
+                    </span>
+                  </div>
+                  <Properties properties={feature.properties} />
+                </section>
+              );
+            })}
+          </div>
+        </>
+      )}
+
+      {tab === "pinned" && pinned.length > 0 && (
+        <>
+          <CompareTable features={pinned} onUnpin={onUnpin} onZoom={onZoom} />
+          <button
+            onClick={onClearPins}
+            className="mt-2 text-xs text-red-700 hover:underline"
+          >
+            Clear pins
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -7,6 +7,7 @@ import {
   SignUpButton,
   UserButton,
 } from "@clerk/nextjs";
+import PlaceSearch from "./PlaceSearch";
 
 export default function Header() {
   return (
@@ -28,6 +29,7 @@ export default function Header() {
           </SignUpButton>
         </SignedOut>
         <SignedIn>
+          <PlaceSearch />
           <UserButton />
         </SignedIn>
       </div>
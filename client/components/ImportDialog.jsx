@@ -0,0 +1,161 @@
+"use client";
+
+import { useState } from "react";
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5001";
+
+const STATUS_STYLES = {
+  imported: "text-green-700",
+  valid: "text-green-700",
+  rejected: "text-red-700",
+};
+
+/**
+ * Modal for bulk-importing AOIs from GeoJSON, KML, zipped Shapefile or CSV.
+ * Runs a dry run first so the user can review the per-feature report before saving.
+ */
+export default function ImportDialog({ open, onClose, getToken, onImported }) {
+  const [file, setFile] = useState(null);
+  const [dryRun, setDryRun] = useState(true);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [isUploading, setIsUploading] = useState(false);
+
+  if (!open) return null;
+
+  const handleClose = () => {
+    setFile(null);
+    setReport(null);
+    setError(null);
+    setDryRun(true);
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+
+    try {
+      setIsUploading(true);
+      setError(null);
+      const token = await getToken();
+      if (!token) throw new Error("Authentication token not available");
+
+      const form = new FormData();
+      form.append("file", file);
+      form.append("dryRun", String(dryRun));
+
+      const res = await fetch(`${API_URL}/aoi/import`, {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+        body: form,
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) {
+        throw new Error(
+          [data.error, data.details].filter(Boolean).join(": ") ||
+            `Server error: ${res.status}`
+        );
+      }
+
+      setReport(data);
+      if (!data.dryRun && data.imported > 0) onImported?.(data);
+    } catch (err) {
+      console.error("Error importing AOIs:", err);
+      setError(err.message);
+    } finally {
+      setIsUploading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-[1000]">
+      <div className="bg-white text-gray-800 rounded-lg shadow-xl w-full max-w-lg p-5">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="font-bold text-lg">Import AOIs</h2>
+          <button
+            onClick={handleClose}
+            className="text-gray-500 hover:text-gray-700 text-xl font-bold"
+          >
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-3 text-sm">
+          <input
+            type="file"
+            accept=".geojson,.json,.kml,.zip,.csv"
+            onChange={(e) => {
+              setFile(e.target.files?.[0] || null);
+              setReport(null);
+            }}
+            className="block w-full"
+          />
+          <p className="text-xs text-gray-500">
+            GeoJSON, KML, zipped Shapefile (EPSG:4326) or CSV with a WKT or
+            lng/lat column.
+          </p>
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={dryRun}
+              onChange={(e) => setDryRun(e.target.checked)}
+            />
+            Dry run (validate only, nothing is saved)
+          </label>
+          <button
+            type="submit"
+            disabled={!file || isUploading}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-4 py-2 rounded"
+          >
+            {isUploading ? "Uploading..." : dryRun ? "Validate" : "Import"}
+          </button>
+        </form>
+
+        {error && <p className="mt-3 text-sm text-red-700">{error}</p>}
+
+        {report && (
+          <div className="mt-4 text-sm">
+            <p className="font-semibold">
+              {report.dryRun
+                ? `${report.valid} of ${report.total} features valid`
+                : `${report.imported} of ${report.total} features imported`}
+              {report.rejected > 0 && `, ${report.rejected} rejected`}
+            </p>
+            <div className="mt-2 max-h-60 overflow-y-auto border border-gray-200 rounded">
+              <table className="w-full text-xs">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="text-left px-2 py-1">#</th>
+                    <th className="text-left px-2 py-1">Name</th>
+                    <th className="text-left px-2 py-1">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {report.results.map((r) => (
+                    <tr key={r.index} className="border-t">
+                      <td className="px-2 py-1">{r.index + 1}</td>
+                      <td className="px-2 py-1">{r.name || "—"}</td>
+                      <td className={`px-2 py-1 ${STATUS_STYLES[r.status]}`}>
+                        {r.status}
+                        {r.reason && `: ${r.reason}`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {report.dryRun && report.valid > 0 && (
+              <button
+                onClick={() => setDryRun(false)}
+                className="mt-3 text-blue-700 hover:underline"
+              >
+                Looks good — switch off dry run to import
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,197 @@
+"use client";
+
+import { useEffect, useMemo, useState } from "react";
+import { useAuth } from "@clerk/nextjs";
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5001";
+
+// Layers rendered at once; narrow the search to see the rest
+const MAX_LISTED = 200;
+
+function matches(layer, query) {
+  if (!query) return true;
+  return [layer.name, layer.title, layer.abstract, ...layer.keywords].some(
+    (value) => value && value.toLowerCase().includes(query)
+  );
+}
+
+/**
+ * Browse the layers a WMS source advertises in its GetCapabilities document
+ * and add any of them to (or remove them from) the map. `addedKeys` lists the layers already on
+ * the map as "sourceId:layerName".
+ */
+export default function LayerBrowser({
+  sources,
+  addedKeys,
+  onAdd,
+  onRemove,
+  onZoom,
+  onClose,
+}) {
+  const { isSignedIn, getToken } = useAuth();
+  const [sourceId, setSourceId] = useState(sources[0]?.id || "");
+  const [capabilities, setCapabilities] = useState(null);
+  const [query, setQuery] = useState("");
+  const [error, setError] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    if (!sourceId) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+        const params = new URLSearchParams({ source: sourceId });
+        // Refetching from the source is reserved to signed-in users
+        const headers = {};
+        if (refreshKey) {
+          params.set("refresh", "true");
+          headers.Authorization = `Bearer ${await getToken()}`;
+        }
+        const res = await fetch(`${API_URL}/wms/capabilities?${params}`, {
+          headers,
+        });
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok) {
+          throw new Error(data.error || `Server error: ${res.status}`);
+        }
+        if (!cancelled) setCapabilities(data);
+      } catch (err) {
+        console.error("Error loading WMS capabilities:", err);
+        if (!cancelled) {
+          setCapabilities(null);
+          setError(err.message);
+        }
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [sourceId, refreshKey, getToken]);
+
+  const filtered = useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return (capabilities?.layers || []).filter((layer) => matches(layer, q));
+  }, [capabilities, query]);
+
+  return (
+    <div className="bg-white text-gray-800 rounded-lg shadow-lg border border-gray-200 p-3 text-sm w-80 max-h-[70vh] flex flex-col">
+      <div className="flex justify-between items-center mb-2">
+        <span className="font-semibold">Add layer</span>
+        <button
+          onClick={onClose}
+          className="text-gray-500 hover:text-gray-700 text-xl font-bold"
+        >
+          ×
+        </button>
+      </div>
+
+      {sources.length === 0 ? (
+        <p className="text-xs text-gray-500">No WMS sources are configured.</p>
+      ) : (
+        <>
+          <div className="flex gap-2 mb-2">
+            <select
+              value={sourceId}
+              onChange={(e) => setSourceId(e.target.value)}
+              className="flex-1 min-w-0 border rounded px-1 py-0.5 text-xs"
+            >
+              {sources.map((s) => (
+                <option key={s.id} value={s.id}>
+                  {s.title}
+                </option>
+              ))}
+            </select>
+            {isSignedIn && (
+              <button
+                onClick={() => setRefreshKey((k) => k + 1)}
+                disabled={isLoading}
+                className="text-xs bg-gray-100 hover:bg-gray-200 disabled:text-gray-400 px-2 py-0.5 rounded"
+              >
+                Reload
+              </button>
+            )}
+          </div>
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search name, title, abstract, keywords"
+            className="w-full border rounded px-2 py-1 text-xs mb-2"
+          />
+        </>
+      )}
+
+      {error && <p className="mb-2 text-xs text-red-700">{error}</p>}
+      {isLoading && <p className="text-xs text-gray-500">Loading layers...</p>}
+
+      {!isLoading && capabilities && (
+        <>
+          <p className="text-xs text-gray-500 mb-1">
+            {filtered.length} of {capabilities.layers.length} layers
+            {capabilities.title && ` · ${capabilities.title}`}
+          </p>
+          <ul className="space-y-2 overflow-y-auto">
+            {filtered.slice(0, MAX_LISTED).map((layer) => {
+              const added = addedKeys.includes(`${sourceId}:${layer.name}`);
+              return (
+                <li key={layer.name} className="text-xs border-t pt-1">
+                  <div className="flex items-start justify-between gap-2">
+                    <span className="min-w-0">
+                      <span className="font-medium block truncate">
+                        {layer.title}
+                      </span>
+                      <span className="text-gray-500 block truncate">
+                        {layer.name}
+                        {layer.queryable && " · queryable"}
+                      </span>
+                    </span>
+                    <span className="flex gap-2 shrink-0">
+                      {layer.bbox && (
+                        <button
+                          onClick={() => onZoom(layer.bbox)}
+                          className="text-blue-700 hover:underline"
+                        >
+                          Zoom
+                        </button>
+                      )}
+                      {added ? (
+                        <button
+                          onClick={() => onRemove(`${sourceId}:${layer.name}`)}
+                          className="text-red-700 hover:underline"
+                        >
+                          Remove
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => onAdd(sourceId, layer)}
+                          className="text-green-700 hover:underline"
+                        >
+                          Add
+                        </button>
+                      )}
+                    </span>
+                  </div>
+                  {layer.abstract && (
+                    <p className="text-gray-600 line-clamp-2">
+                      {layer.abstract}
+                    </p>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+          {filtered.length > MAX_LISTED && (
+            <p className="text-xs text-gray-500 mt-1">
+              Showing the first {MAX_LISTED}; refine the search to see more.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,134 @@
+"use client";
+
+import { useState } from "react";
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5001";
+
+function legendUrl({ source, name, styleName, sld }) {
+  const params = new URLSearchParams({ source, layer: name });
+  if (sld) params.set("sld", sld);
+  else if (styleName) params.set("style", styleName);
+  return `${API_URL}/wms/legend?${params}`;
+}
+
+const EDIT_STYLES = "edit";
+
+// Style picker of a WMS layer: the catalog's style, the named styles the
+// source advertises and the user's SLDs; values are "", "style:<name>" and
+// "sld:<id>"
+function StyleSelect({ layer, onChange, onEdit }) {
+  const value = layer.sld
+    ? `sld:${layer.sld}`
+    : layer.styleName && layer.styleName !== layer.defaultStyle
+      ? `style:${layer.styleName}`
+      : "";
+  return (
+    <select
+      value={value}
+      onChange={(e) => {
+        const [kind, id] = e.target.value.split(/:(.*)/);
+        if (kind === EDIT_STYLES) onEdit(layer.key);
+        else if (kind === "sld") onChange(layer.key, { sld: id });
+        else onChange(layer.key, { styleName: id || "" });
+      }}
+      className="border border-gray-300 rounded px-1 py-0.5 text-xs w-full mb-1"
+      title="Style"
+    >
+      <option value="">Default style</option>
+      {layer.styles
+        .filter((style) => style.name !== layer.defaultStyle)
+        .map((style) => (
+          <option key={style.name} value={`style:${style.name}`}>
+            {style.title}
+          </option>
+        ))}
+      {layer.slds.map((style) => (
+        <option key={style._id} value={`sld:${style._id}`}>
+          SLD: {style.name}
+        </option>
+      ))}
+      {onEdit && <option value={EDIT_STYLES}>Custom SLD...</option>}
+    </select>
+  );
+}
+
+// Line / fill swatch for a WFS layer drawn with Leaflet path options
+function StyleSwatch({ style }) {
+  const color = style?.color || "#2563eb";
+  return (
+    <span
+      className="inline-block w-5 h-3 rounded-sm border-2"
+      style={{
+        borderColor: color,
+        backgroundColor: style?.fillColor || color,
+        opacity: style?.fillOpacity ?? 0.2,
+      }}
+    />
+  );
+}
+
+/**
+ * Collapsible legend of the overlays currently on the map. `layers` are
+ * { key, title, kind: "wms" | "wfs", source, name, styleName, style, opacity },
+ * in draw order; WMS legends come from the server's GetLegendGraphic proxy.
+ * WMS layers also carry { defaultStyle, styles, slds, sld } for the style
+ * picker, which calls onStyleChange(key, { styleName } | { sld }); onEditStyles
+ * (omitted for signed-out users) opens the SLD editor of a layer.
+ */
+export default function LegendPanel({ layers, onStyleChange, onEditStyles }) {
+  const [open, setOpen] = useState(true);
+  const [failed, setFailed] = useState({}); // legend URL -> true when it did not load
+
+  if (!layers.length) return null;
+
+  return (
+    <div className="bg-white text-gray-800 rounded-lg shadow-lg border border-gray-200 text-sm w-64">
+      <button
+        onClick={() => setOpen((o) => !o)}
+        className="flex w-full items-center justify-between px-3 py-2 font-semibold"
+      >
+        Legend
+        <span className="text-gray-500 text-xs">{open ? "▲" : "▼"}</span>
+      </button>
+      {open && (
+        <div className="px-3 pb-3 space-y-3 max-h-80 overflow-y-auto">
+          {layers.map((layer) => {
+            const url = layer.kind === "wms" ? legendUrl(layer) : null;
+            return (
+              <div key={layer.key}>
+                <div className="flex items-center gap-2 text-xs font-medium mb-1">
+                  {layer.kind === "wfs" && <StyleSwatch style={layer.style} />}
+                  {layer.title}
+                </div>
+                {layer.kind === "wms" &&
+                  (layer.styles.length > 0 ||
+                    layer.slds.length > 0 ||
+                    onEditStyles) && (
+                    <StyleSelect
+                      layer={layer}
+                      onChange={onStyleChange}
+                      onEdit={onEditStyles}
+                    />
+                  )}
+                {url &&
+                  (failed[url] ? (
+                    <p className="text-xs text-gray-500">No legend available</p>
+                  ) : (
+                    // eslint-disable-next-line @next/next/no-img-element
+                    <img
+                      src={url}
+                      alt={`Legend of ${layer.title}`}
+                      style={{ opacity: layer.opacity }}
+                      onError={() =>
+                        setFailed((prev) => ({ ...prev, [url]: true }))
+                      }
+                    />
+                  ))}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -2,9 +2,408 @@
 
 import { useEffect, useRef, useState, useCallback } from "react";
 import { useAuth, useUser } from "@clerk/nextjs";
+import ImportDialog from "./ImportDialog";
+import SpatialQueryPanel from "./SpatialQueryPanel";
+import AoiHistoryPanel from "./AoiHistoryPanel";
+import LayerBrowser from "./LayerBrowser";
+import AttributeTable from "./AttributeTable";
+import TimelineControl from "./TimelineControl";
+import LegendPanel from "./LegendPanel";
+import StyleEditor from "./StyleEditor";
+import AoiSidebar from "./AoiSidebar";
+import Toasts, { useToasts } from "./Toasts";
+import FeatureInfoPanel from "./FeatureInfoPanel";
+import MeasurePanel from "./MeasurePanel";
+import { SEARCH_SELECT_EVENT } from "./PlaceSearch";
+import {
+  AREA_UNITS,
+  LENGTH_UNITS,
+  formatArea,
+  formatLength,
+} from "@/lib/units";
+import { createWfsLayer } from "@/lib/wfsLayer";
+import { createWmtsLayer } from "@/lib/wmtsLayer";
+import { unprojectGeometry } from "@/lib/featureInfo";
+import { addCoordinateControl } from "@/lib/coordinateControl";
+import {
+  MEASURE_LAYER_TYPES,
+  addMeasureControl,
+  createMeasureTool,
+} from "@/lib/measureTool";
 import "leaflet/dist/leaflet.css";
 import "leaflet-draw/dist/leaflet.draw.css";
 
+// Upper bound on AOIs drawn for one view (newest first)
+const MAX_MAP_AOIS = 500;
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5001";
+
+// Base map used when the layer catalog cannot be loaded
+const FALLBACK_CATALOG = {
+  sources: [
+    {
+      id: "osm",
+      type: "xyz",
+      url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    },
+  ],
+  layers: [
+    {
+      key: "osm",
+      title: "OpenStreetMap",
+      source: "osm",
+      group: "base",
+      visible: true,
+      attribution: "&copy; OpenStreetMap contributors",
+    },
+  ],
+};
+
+// { sources, layers } from GET /layers
+async function loadLayerCatalog() {
+  try {
+    const res = await fetch(`${API_URL}/layers`);
+    if (!res.ok) throw new Error(`Server error: ${res.status}`);
+    return await res.json();
+  } catch (err) {
+    console.error("Error loading layer catalog:", err);
+    return FALLBACK_CATALOG;
+  }
+}
+
+// Parsed capabilities (GET /wms|/wmts/capabilities) of some sources, by id
+async function loadCapabilities(type, sourceIds) {
+  const capabilities = {};
+  await Promise.all(
+    [...new Set(sourceIds)].map(async (id) => {
+      try {
+        const res = await fetch(
+          `${API_URL}/${type}/capabilities?source=${encodeURIComponent(id)}`
+        );
+        if (!res.ok) throw new Error(`Server error: ${res.status}`);
+        capabilities[id] = await res.json();
+      } catch (err) {
+        console.error(`Error loading ${type} capabilities of ${id}:`, err);
+      }
+    })
+  );
+  return capabilities;
+}
+
+// Timeline entry for a capabilities layer with a TIME dimension, or null
+function temporalLayer(key, title, capLayer) {
+  const time = capLayer?.dimensions?.find((d) => /^time$/i.test(d.name));
+  if (!time?.times?.length) return null;
+  return { key, title, times: time.times, defaultTime: time.default };
+}
+
+// Options shared by the tile layer types
+function tileOptions(entry) {
+  return {
+    opacity: entry.opacity ?? 1,
+    attribution: entry.attribution || "",
+    ...(entry.minZoom !== undefined && { minZoom: entry.minZoom }),
+    ...(entry.maxZoom !== undefined && { maxZoom: entry.maxZoom }),
+  };
+}
+
+/**
+ * Leaflet layer for one catalog entry, with the entry kept on `layer.catalog`.
+ * WMTS entries need their source's capabilities (see loadCapabilities).
+ * Returns null for sources this client cannot display.
+ */
+function createCatalogLayer(L, entry, source, wmtsCapabilities = {}) {
+  if (!source) {
+    console.warn("Layer references an unknown source:", entry.key);
+    return null;
+  }
+
+  let layer;
+  if (source.type === "wms") {
+    // Through the server's GetMap proxy, which caches tiles and holds any
+    // upstream credentials
+    const proxyUrl = `${API_URL}/wms/map?source=${encodeURIComponent(source.id)}`;
+    layer = L.tileLayer.wms(proxyUrl, {
+      layers: entry.name,
+      format: entry.format || "image/png",
+      transparent: entry.transparent ?? true,
+      version: entry.version || "1.1.1",
+      styles: entry.styleName || "",
+      ...tileOptions(entry),
+    });
+  } else if (source.type === "wfs") {
+    // Vector features drawn client-side, see lib/wfsLayer.js
+    layer = createWfsLayer(L, entry, source, API_URL);
+  } else if (source.type === "wmts") {
+    layer = createWmtsLayer(L, entry, wmtsCapabilities[source.id]);
+    if (!layer) return null;
+  } else if (source.type === "xyz" || source.type === "tms") {
+    // {layer} in the template stands for the entry's name; TMS counts tile
+    // rows from the bottom
+    const template = source.url.replace(
+      /\{layer\}/g,
+      encodeURIComponent(entry.name || "")
+    );
+    layer = L.tileLayer(template, {
+      tms: source.type === "tms",
+      ...(source.subdomains && { subdomains: source.subdomains }),
+      ...tileOptions(entry),
+    });
+  } else {
+    console.warn("Unsupported layer source type:", source.type);
+    return null;
+  }
+  layer.catalog = entry;
+  return layer;
+}
+
+// Show a WMS layer with a named style ({ styleName }) or a user SLD
+// ({ sld: id }, rendered by the server's GetMap proxy); neither restores the
+// catalog's style
+function setWmsStyle(layer, { styleName, sld } = {}) {
+  if (sld) layer.wmsParams.sld = sld;
+  else delete layer.wmsParams.sld;
+  layer.setParams({
+    styles: sld ? "" : styleName || layer.catalog.styleName || "",
+  });
+}
+
+// Opacity slider row for an overlay in the layer control
+function addOpacitySlider(L, container, name, layer) {
+  const sliderContainer = L.DomUtil.create(
+    "div",
+    "flex items-center justify-between text-xs text-gray-700 my-1",
+    container
+  );
+  const label = L.DomUtil.create("span", "", sliderContainer);
+  label.innerText = name;
+
+  const input = L.DomUtil.create(
+    "input",
+    "ml-2 w-24 accent-blue-600 cursor-pointer",
+    sliderContainer
+  );
+  input.type = "range";
+  input.min = "0";
+  input.max = "1";
+  input.step = "0.05";
+  input.value = layer.options.opacity;
+
+  input.addEventListener("input", (e) =>
+    layer.setOpacity(parseFloat(e.target.value))
+  );
+  return sliderContainer;
+}
+
+// Layers added from a WMS capabilities document, kept across page loads
+const ADDED_LAYERS_KEY = "geoviewer.addedLayers";
+
+function loadAddedLayers() {
+  try {
+    return JSON.parse(localStorage.getItem(ADDED_LAYERS_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function saveAddedLayers(entries) {
+  try {
+    localStorage.setItem(ADDED_LAYERS_KEY, JSON.stringify(entries));
+  } catch (err) {
+    console.warn("Could not save added layers:", err);
+  }
+}
+
+// Used for AOIs without a stored style (or for the properties they leave out)
+const DEFAULT_AOI_STYLE = {
+  color: "#ff7800",
+  weight: 2,
+  opacity: 0.8,
+  fillOpacity: 0.2,
+};
+
+// Convert a Leaflet circle to a 64-step Polygon approximation (GeoJSON-friendly)
+function circleToPolygon(layer) {
+  const center = layer.getLatLng();
+  const radiusMeters = layer.getRadius();
+  const steps = 64;
+  const coords = [];
+  for (let i = 0; i < steps; i++) {
+    const angle = (i / steps) * 2 * Math.PI;
+    const dx = (radiusMeters * Math.cos(angle)) / 111320; // deg per meter approx for lng at equator
+    const dy = (radiusMeters * Math.sin(angle)) / 110540; // deg per meter approx for lat
+    const lng = center.lng + dx / Math.cos((center.lat * Math.PI) / 180);
+    const lat = center.lat + dy;
+    coords.push([lng, lat]);
+  }
+  // close ring
+  coords.push(coords[0]);
+  return {
+    type: "Feature",
+    properties: { shape: "circle", radius: radiusMeters },
+    geometry: { type: "Polygon", coordinates: [coords] },
+  };
+}
+
+// GeoJSON Feature for a drawn/edited layer, with circles approximated and rings closed
+function layerToGeoJSON(layer) {
+  if (layer.getRadius && layer.getLatLng) return circleToPolygon(layer);
+
+  const geojson = layer.toGeoJSON();
+  // Ensure polygon ring is closed. Leaflet outputs valid GeoJSON with [lng, lat]
+  if (geojson.geometry?.type === "Polygon") {
+    const ring = geojson.geometry.coordinates?.[0] || [];
+    if (ring.length >= 1) {
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        geojson.geometry.coordinates[0] = [...ring, first];
+      }
+    }
+  }
+  return geojson;
+}
+
+// AOI fields are user input (and imported files): never markup in popups
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function unitOptions(units, selected) {
+  return Object.entries(units)
+    .map(
+      ([value, { label }]) =>
+        `<option value="${value}" ${value === selected ? "selected" : ""}>${label}</option>`
+    )
+    .join("");
+}
+
+// Popup HTML for a saved AOI, including its server-computed metrics
+function aoiPopupHtml(aoi, units) {
+  const m = aoi.metrics;
+  const metricsHtml = m
+    ? `
+      <table class="text-xs text-gray-700 mt-2">
+        ${
+          aoi.geometry?.type !== "Point"
+            ? `<tr><td class="pr-2">Area</td>
+                <td><span data-metric="area">${formatArea(m.area, units.area)}</span></td>
+                <td><select data-unit="area" class="ml-1">${unitOptions(AREA_UNITS, units.area)}</select></td></tr>
+              <tr><td class="pr-2">Perimeter</td>
+                <td><span data-metric="perimeter">${formatLength(m.perimeter, units.length)}</span></td>
+                <td><select data-unit="length" class="ml-1">${unitOptions(LENGTH_UNITS, units.length)}</select></td></tr>`
+            : ""
+        }
+        ${
+          m.centroid
+            ? `<tr><td class="pr-2">Centroid</td><td colspan="2">${m.centroid[1].toFixed(5)}, ${m.centroid[0].toFixed(5)}</td></tr>`
+            : ""
+        }
+        ${
+          m.bbox
+            ? `<tr><td class="pr-2">BBox</td><td colspan="2">${m.bbox.map((v) => v.toFixed(4)).join(", ")}</td></tr>`
+            : ""
+        }
+        <tr><td class="pr-2">Vertices</td><td colspan="2">${m.vertexCount}</td></tr>
+      </table>`
+    : "";
+
+  return `
+    <div class="p-2">
+      <h3 class="font-bold">${escapeHtml(aoi.name || "Unnamed AOI")}</h3>
+      ${
+        aoi.description
+          ? `<p class="text-sm text-gray-600">${escapeHtml(aoi.description)}</p>`
+          : ""
+      }
+      ${
+        aoi.tags && aoi.tags.length
+          ? `<p class="text-xs mt-1">${aoi.tags
+              .map(
+                (tag) =>
+                  `<span class="inline-block bg-gray-100 text-gray-700 rounded px-1 mr-1">${escapeHtml(tag)}</span>`
+              )
+              .join("")}</p>`
+          : ""
+      }
+      ${
+        aoi.createdAt
+          ? `<p class="text-xs text-gray-500">Created: ${new Date(
+              aoi.createdAt
+            ).toLocaleDateString()}</p>`
+          : ""
+      }
+      ${metricsHtml}
+    </div>
+  `;
+}
+
+// Wire the unit selects of an open AOI popup; the choice is remembered in unitsRef
+function bindPopupUnitSelects(popup, aoi, unitsRef) {
+  const el = popup.getElement();
+  if (!el || !aoi.metrics) return;
+  el.querySelectorAll("select[data-unit]").forEach((select) => {
+    select.addEventListener("change", (e) => {
+      const kind = e.target.dataset.unit;
+      unitsRef.current = { ...unitsRef.current, [kind]: e.target.value };
+      if (kind === "area") {
+        el.querySelector('[data-metric="area"]').textContent = formatArea(
+          aoi.metrics.area,
+          e.target.value
+        );
+      } else {
+        el.querySelector('[data-metric="perimeter"]').textContent =
+          formatLength(aoi.metrics.perimeter, e.target.value);
+      }
+    });
+  });
+}
+
+/**
+ * Mark the problem spots reported by the server's geometry validation
+ * ({ message, ring, vertex, location: [lng, lat] }) with red markers.
+ */
+function highlightGeometryIssues(map, issues) {
+  if (!map || !issues?.length) return;
+  const L = require("leaflet");
+  if (map.issueLayer) map.issueLayer.clearLayers();
+  else map.issueLayer = L.featureGroup().addTo(map);
+
+  issues.forEach((issue) => {
+    if (!issue.location) return;
+    const [lng, lat] = issue.location;
+    L.circleMarker([lat, lng], {
+      radius: 8,
+      color: "#dc2626",
+      fillColor: "#dc2626",
+      fillOpacity: 0.6,
+    })
+      .bindTooltip(issue.message)
+      .addTo(map.issueLayer);
+  });
+
+  const first = map.issueLayer.getLayers()[0];
+  if (first) {
+    map.panTo(first.getLatLng());
+    first.openTooltip();
+  }
+  // Clear the markers once the user has had a chance to look at them
+  setTimeout(() => map.issueLayer && map.issueLayer.clearLayers(), 15000);
+}
+
+// Error text for a failed AOI save, including the first validation issue
+function saveErrorMessage(status, errorData) {
+  const issue = errorData.issues?.[0]?.message;
+  return `Server error: ${status} - ${
+    errorData.error || errorData.message || "Unknown error"
+  }${issue ? ` (${issue})` : ""}`;
+}
+
 export default function MapViewer() {
   // 1. Clerk hooks must come first
   const { getToken, isSignedIn, isLoaded } = useAuth();
@@ -21,9 +420,46 @@ export default function MapViewer() {
   // other refs & state
   const mapRef = useRef(null);
   const layersRef = useRef({});
-  const [featureInfo, setFeatureInfo] = useState(null);
+  const unitsRef = useRef({ area: "ha", length: "km" }); // popup metric units
+  const featureCountRef = useRef(10); // read by the map click handler
+  const featureUidRef = useRef(0); // panel ids of GetFeatureInfo features
+  const [featureInfo, setFeatureInfo] = useState(null); // { latlng, features }
+  const [pinnedFeatures, setPinnedFeatures] = useState([]);
+  const [measurement, setMeasurement] = useState(null); // measure tool state
+  const [measureUnits, setMeasureUnits] = useState({
+    length: "km",
+    area: "ha",
+  });
+  const [featureCount, setFeatureCount] = useState(10); // max features per layer group
   const [isLoading, setIsLoading] = useState(false);
   const [serverStatus, setServerStatus] = useState("checking"); // 'checking', 'connected', 'disconnected'
+  const [exportFormat, setExportFormat] = useState("geojson");
+  const [exportVisibleOnly, setExportVisibleOnly] = useState(true);
+  const [selectedAoi, setSelectedAoi] = useState(null); // { id, name, userId } of the AOI whose popup is open
+  const [showImport, setShowImport] = useState(false);
+  const [spatialMode, setSpatialMode] = useState("off"); // 'off', 'near', 'containing'
+  const [nearDistance, setNearDistance] = useState(1000); // meters
+  const [spatialResults, setSpatialResults] = useState(null); // { kind, items }
+  const [historyPanel, setHistoryPanel] = useState(null); // { aoi }; aoi null lists deleted AOIs
+  const [layerSources, setLayerSources] = useState([]); // sources from the layer catalog
+  const [addedLayers, setAddedLayers] = useState([]); // catalog-style entries added from capabilities
+  const [showLayerBrowser, setShowLayerBrowser] = useState(false);
+  const [temporalLayers, setTemporalLayers] = useState([]); // timeline entries of WMS layers with TIME
+  const [legendLayers, setLegendLayers] = useState([]); // overlays on the map, for the legend
+  const [userStyles, setUserStyles] = useState({ styles: [], selections: [] }); // GET /styles
+  const userStylesRef = useRef(userStyles); // read while the map initializes
+  const [styleEditor, setStyleEditor] = useState(null); // catalog entry whose SLD editor is open
+  const [wfsLayers, setWfsLayers] = useState([]); // { key, title } of WFS catalog layers
+  const [attributeTable, setAttributeTable] = useState(null); // { key, title, data } of the open table
+  const [aoiForm, setAoiForm] = useState(null); // { mode: "create" } for the drawn shape, or { mode: "edit", aoi }
+  const [aoiListKey, setAoiListKey] = useState(0); // bumped to reload the AOI sidebar
+  const [hiddenAois, setHiddenAois] = useState(new Set()); // AOI ids hidden from the map
+  const hiddenAoisRef = useRef(hiddenAois); // read by loadSavedAOIs
+  const truncatedRef = useRef(false); // whether the last AOI load hit MAX_MAP_AOIS
+  const { toasts, notify, dismiss } = useToasts();
+
+  // Map click handler reads the spatial query settings through a ref
+  const spatialRef = useRef({ mode: "off", maxDistance: 1000, run: null });
 
   // Effect to check server status on mount and periodically
   useEffect(() => {
@@ -73,6 +509,8 @@ export default function MapViewer() {
   // Function to load saved AOIs
   const loadSavedAOIs = useCallback(async () => {
     if (!isSignedIn || !isLoaded || !mapRef.current) return;
+    // Reloading would replace the layers Leaflet.Draw is editing
+    if (mapRef.current.isEditing) return;
 
     try {
       // Check server health first
@@ -102,7 +540,7 @@ export default function MapViewer() {
       ].join(",");
       const aoiUrl = `${
         process.env.NEXT_PUBLIC_API_URL || "http://localhost:5001"
-      }/aoi?bbox=${encodeURIComponent(bbox)}`;
+      }/aoi?bbox=${encodeURIComponent(bbox)}&zoom=${mapRef.current.getZoom()}&limit=${MAX_MAP_AOIS}`;
       console.log("Attempting to load AOIs from:", aoiUrl);
 
       const res = await fetch(aoiUrl, {
@@ -124,51 +562,70 @@ export default function MapViewer() {
         );
       }
 
-      const aois = await res.json();
+      const { items: aois, total } = await res.json();
       console.log("AOIs loaded:", aois.length);
+      // Told once when the view starts to be truncated, not on every pan
+      const truncated = total > aois.length;
+      if (truncated && !truncatedRef.current) {
+        notify(
+          "info",
+          `Showing the ${aois.length} newest of ${total} AOIs in view; zoom in to see the rest`
+        );
+      }
+      truncatedRef.current = truncated;
 
       if (aois.length === 0) {
         console.log("No saved AOIs found for this user (including public samples)");
-        return;
       }
 
-      // Clear existing AOIs and add new ones
+      // Clear existing AOIs and add new ones. The user's own AOIs go into the
+      // editable draw group; public samples into a read-only group.
       let drawnItems = mapRef.current.featureGroup;
       if (!drawnItems && mapRef.current) {
         const L = require("leaflet");
         drawnItems = new L.FeatureGroup().addTo(mapRef.current);
         mapRef.current.featureGroup = drawnItems;
       }
+      let readOnlyItems = mapRef.current.readOnlyGroup;
+      if (!readOnlyItems && mapRef.current) {
+        const L = require("leaflet");
+        readOnlyItems = new L.FeatureGroup().addTo(mapRef.current);
+        mapRef.current.readOnlyGroup = readOnlyItems;
+      }
       if (drawnItems) drawnItems.clearLayers();
+      if (readOnlyItems) readOnlyItems.clearLayers();
 
       aois.forEach((aoi) => {
+        if (hiddenAoisRef.current.has(aoi._id)) return;
         try {
           const L = require("leaflet");
           const geoJsonLayer = L.geoJSON(aoi.geometry, {
-            style: {
-              color: "#ff7800",
-              weight: 2,
-              opacity: 0.8,
-              fillOpacity: 0.2,
-            },
+            style: { ...DEFAULT_AOI_STYLE, ...aoi.style },
             onEachFeature: (feature, layer) => {
-              layer.bindPopup(`
-                <div class="p-2">
-                  <h3 class="font-bold">${aoi.name || "Unnamed AOI"}</h3>
-                  ${
-                    aoi.description
-                      ? `<p class="text-sm text-gray-600">${aoi.description}</p>`
-                      : ""
-                  }
-                  <p class="text-xs text-gray-500">Created: ${new Date(
-                    aoi.createdAt
-                  ).toLocaleDateString()}</p>
-                </div>
-              `);
+              layer.bindPopup(() => aoiPopupHtml(aoi, unitsRef.current));
             },
           });
-          if (drawnItems) drawnItems.addLayer(geoJsonLayer);
-          else geoJsonLayer.addTo(mapRef.current);
+          // Add the individual shapes (not the GeoJSON group) so Leaflet.Draw
+          // can edit them, and remember which server AOI each one belongs to
+          const target = aoi.userId === "public" ? readOnlyItems : drawnItems;
+          geoJsonLayer.eachLayer((layer) => {
+            layer.aoiId = aoi._id;
+            layer.aoiName = aoi.name;
+            layer.aoiDescription = aoi.description;
+            // Simplified for the current zoom; swapped for the original before editing
+            layer.aoiSimplified = aoi.simplifiedTolerance != null;
+            layer.on("popupopen", (ev) => {
+              setSelectedAoi({
+                id: aoi._id,
+                name: aoi.name,
+                userId: aoi.userId,
+              });
+              bindPopupUnitSelects(ev.popup, aoi, unitsRef);
+            });
+            layer.on("popupclose", () => setSelectedAoi(null));
+            if (target) target.addLayer(layer);
+            else layer.addTo(mapRef.current);
+          });
         } catch (err) {
           console.error("Error rendering AOI:", aoi._id, err);
         }
@@ -187,7 +644,606 @@ export default function MapViewer() {
         console.error("Error loading AOIs:", err.message);
       }
     }
-  }, [isSignedIn, isLoaded, getToken]);
+  }, [isSignedIn, isLoaded, getToken, notify]);
+
+  // Download AOIs (all visible to the user, the current view, or one AOI) as a file
+  const exportAOIs = async (aoiId) => {
+    try {
+      setIsLoading(true);
+      const token = await getToken();
+      if (!token) throw new Error("Authentication token not available");
+
+      const params = new URLSearchParams({ format: exportFormat });
+      if (!aoiId && exportVisibleOnly && mapRef.current) {
+        const bounds = mapRef.current.getBounds();
+        params.set(
+          "bbox",
+          [
+            bounds.getWest(),
+            bounds.getSouth(),
+            bounds.getEast(),
+            bounds.getNorth(),
+          ].join(",")
+        );
+      }
+      const exportUrl = aoiId
+        ? `${API_URL}/aoi/${aoiId}/export?${params}`
+        : `${API_URL}/aoi/export?${params}`;
+
+      const res = await fetch(exportUrl, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!res.ok) {
+        const errorData = await res.json().catch(() => ({}));
+        throw new Error(
+          `Server error: ${res.status} - ${errorData.error || "Unknown error"}`
+        );
+      }
+
+      // Use the server-provided filename from Content-Disposition
+      const disposition = res.headers.get("Content-Disposition") || "";
+      const match = disposition.match(/filename="([^"]+)"/);
+      const filename = match ? match[1] : `aois.${exportFormat}`;
+
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error("Error exporting AOIs:", err);
+      notify("error", "Error exporting AOIs: " + err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Draw spatial query results (and the search radius for "near") on the map
+  const showSpatialHighlight = (items, latlng, radius) => {
+    const map = mapRef.current;
+    if (!map) return;
+    const L = require("leaflet");
+    if (map.queryLayer) map.queryLayer.clearLayers();
+    else map.queryLayer = L.featureGroup().addTo(map);
+
+    items.forEach((aoi) =>
+      L.geoJSON(aoi.geometry, {
+        style: { color: "#2563eb", weight: 3, opacity: 0.9, fillOpacity: 0.15 },
+        pointToLayer: (_, point) =>
+          L.circleMarker(point, { radius: 8, color: "#2563eb" }),
+      }).addTo(map.queryLayer)
+    );
+    if (latlng && radius) {
+      L.circle(latlng, {
+        radius,
+        color: "#2563eb",
+        weight: 1,
+        dashArray: "4 4",
+        fill: false,
+      }).addTo(map.queryLayer);
+    }
+  };
+
+  const clearSpatialResults = () => {
+    setSpatialResults(null);
+    if (mapRef.current?.queryLayer) mapRef.current.queryLayer.clearLayers();
+  };
+
+  // Run a spatial query against the server: 'near' / 'containing' at a point,
+  // or 'intersecting' for an AOI id
+  const runSpatialQuery = async (kind, { latlng, aoiId, maxDistance } = {}) => {
+    try {
+      setIsLoading(true);
+      const token = await getToken();
+      if (!token) throw new Error("Authentication token not available");
+
+      let url;
+      if (kind === "intersecting") {
+        url = `${API_URL}/aoi/${aoiId}/intersecting`;
+      } else {
+        const params = new URLSearchParams({
+          lng: latlng.lng.toString(),
+          lat: latlng.lat.toString(),
+        });
+        if (kind === "near" && maxDistance) {
+          params.set("maxDistance", String(maxDistance));
+        }
+        url = `${API_URL}/aoi/${kind}?${params}`;
+      }
+
+      const res = await fetch(url, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!res.ok) {
+        const errorData = await res.json().catch(() => ({}));
+        throw new Error(
+          `Server error: ${res.status} - ${errorData.error || "Unknown error"}`
+        );
+      }
+
+      const items = await res.json();
+      setSpatialResults({ kind, items });
+      showSpatialHighlight(
+        items,
+        latlng,
+        kind === "near" ? Number(maxDistance) : null
+      );
+    } catch (err) {
+      console.error("Error running spatial query:", err);
+      notify("error", "Error running spatial query: " + err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Keep the click handler's view of the spatial query tool current
+  useEffect(() => {
+    spatialRef.current = {
+      mode: spatialMode,
+      maxDistance: nearDistance,
+      run: runSpatialQuery,
+    };
+  });
+
+  // Old revision geometry drawn dashed on top of the current AOIs
+  const showRevisionPreview = useCallback((geometry) => {
+    const map = mapRef.current;
+    if (!map) return;
+    const L = require("leaflet");
+    if (map.revisionPreview) map.revisionPreview.remove();
+    map.revisionPreview = null;
+    if (!geometry) return;
+
+    map.revisionPreview = L.geoJSON(geometry, {
+      style: {
+        color: "#7c3aed",
+        weight: 2,
+        dashArray: "6 4",
+        fillOpacity: 0.1,
+      },
+      pointToLayer: (_feature, latlng) =>
+        L.circleMarker(latlng, { radius: 8, color: "#7c3aed" }),
+    }).addTo(map);
+    const bounds = map.revisionPreview.getBounds();
+    if (bounds.isValid())
+      map.fitBounds(bounds, { maxZoom: 16, padding: [40, 40] });
+  }, []);
+
+  // Put a layer entry on the map, the layer control and the opacity sliders
+  const addMapLayer = useCallback((entry, source) => {
+    const map = mapRef.current;
+    if (!map?.layerControl) return null;
+    const L = require("leaflet");
+    const layer = createCatalogLayer(L, entry, source);
+    if (!layer) return null;
+    layersRef.current[entry.key] = layer;
+    layer.addTo(map);
+    map.layerControl.addOverlay(layer, entry.title);
+    layer.opacitySlider = addOpacitySlider(
+      L,
+      map.opacitySliders,
+      entry.title,
+      layer
+    );
+    return layer;
+  }, []);
+
+  // Add a layer picked in the layer browser; keyed "sourceId:layerName"
+  const addCapabilityLayer = (sourceId, capLayer) => {
+    const entry = {
+      key: `${sourceId}:${capLayer.name}`,
+      title: capLayer.title,
+      source: sourceId,
+      name: capLayer.name,
+      group: "overlay",
+      opacity: 1,
+      visible: true,
+      queryable: capLayer.queryable,
+      bbox: capLayer.bbox,
+    };
+    if (layersRef.current[entry.key]) return;
+    const source = layerSources.find((s) => s.id === sourceId);
+    const layer = addMapLayer(entry, source);
+    if (!layer) return;
+    layer.namedStyles = capLayer.styles || [];
+    applyStyleSelections(layer);
+    const next = [...addedLayers, entry];
+    setAddedLayers(next);
+    saveAddedLayers(next);
+    const temporal = temporalLayer(entry.key, entry.title, capLayer);
+    if (temporal) setTemporalLayers((prev) => [...prev, temporal]);
+  };
+
+  const removeCapabilityLayer = (key) => {
+    const map = mapRef.current;
+    const layer = layersRef.current[key];
+    if (map && layer) {
+      map.removeLayer(layer);
+      map.layerControl.removeLayer(layer);
+      layer.opacitySlider?.remove();
+      delete layersRef.current[key];
+    }
+    const next = addedLayers.filter((entry) => entry.key !== key);
+    setAddedLayers(next);
+    saveAddedLayers(next);
+    setTemporalLayers((prev) => prev.filter((entry) => entry.key !== key));
+  };
+
+  // ---- Timeline: TIME of temporal WMS layers ----
+  const setLayerTime = (key, time) => {
+    layersRef.current[key]?.setParams({ time });
+  };
+
+  // Request the tiles in view for some upcoming times so the browser has
+  // them cached when playback gets there
+  const prefetchLayerTimes = (key, times) => {
+    const layer = layersRef.current[key];
+    if (!layer?._map || !times.length) return;
+    const current = layer.wmsParams.time;
+    Object.values(layer._tiles)
+      .filter((tile) => tile.current)
+      .forEach(({ coords }) =>
+        times.forEach((time) => {
+          layer.wmsParams.time = time;
+          new Image().src = layer.getTileUrl(coords);
+        })
+      );
+    if (current === undefined) delete layer.wmsParams.time;
+    else layer.wmsParams.time = current;
+  };
+
+  const isLayerLoading = (key) =>
+    Boolean(layersRef.current[key]?.isLoading?.());
+
+  // ---- Layer styles: the user's SLDs and the style picked per WMS layer ----
+  const updateUserStyles = (update) => {
+    userStylesRef.current = update(userStylesRef.current);
+    setUserStyles(userStylesRef.current);
+  };
+
+  // Put the remembered styles on the WMS layers (all, or just `only`)
+  const applyStyleSelections = useCallback((only) => {
+    const { selections } = userStylesRef.current;
+    (only ? [only] : Object.values(layersRef.current))
+      .filter((layer) => layer.wmsParams && layer.catalog)
+      .forEach((layer) => {
+        const selection = selections.find(
+          (s) =>
+            s.source === layer.catalog.source && s.layer === layer.catalog.name
+        );
+        if (selection) setWmsStyle(layer, selection);
+      });
+    mapRef.current?.refreshLegend?.();
+  }, []);
+
+  const loadUserStyles = useCallback(async () => {
+    if (!isSignedIn || !isLoaded) return;
+    try {
+      const token = await getToken();
+      if (!token) throw new Error("Authentication token not available");
+      const res = await fetch(`${API_URL}/styles`, {
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!res.ok) throw new Error(`Server error: ${res.status}`);
+      userStylesRef.current = await res.json();
+      setUserStyles(userStylesRef.current);
+      applyStyleSelections();
+    } catch (err) {
+      console.error("Error loading layer styles:", err);
+    }
+  }, [isSignedIn, isLoaded, getToken, applyStyleSelections]);
+
+  useEffect(() => {
+    loadUserStyles();
+  }, [loadUserStyles]);
+
+  // Style picked in the legend; remembered on the server for signed-in users
+  const chooseLayerStyle = async (key, choice) => {
+    const layer = layersRef.current[key];
+    if (!layer?.wmsParams) return;
+    setWmsStyle(layer, choice);
+    mapRef.current?.refreshLegend();
+    if (!isSignedIn) return;
+
+    const { source, name } = layer.catalog;
+    try {
+      const token = await getToken();
+      if (!token) throw new Error("Authentication token not available");
+      const res = await fetch(`${API_URL}/styles/selection`, {
+        method: "PUT",
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          source,
+          layer: name,
+          styleName: choice.styleName || "",
+          sld: choice.sld || null,
+        }),
+      });
+      if (!res.ok) throw new Error(`Server error: ${res.status}`);
+      const selection = await res.json();
+      updateUserStyles((prev) => ({
+        ...prev,
+        selections: [
+          ...prev.selections.filter(
+            (s) => s.source !== source || s.layer !== name
+          ),
+          ...(selection ? [selection] : []),
+        ],
+      }));
+    } catch (err) {
+      console.error("Error saving the layer style:", err);
+    }
+  };
+
+  const handleStyleSaved = (key, style) => {
+    updateUserStyles((prev) => ({ ...prev, styles: [...prev.styles, style] }));
+    chooseLayerStyle(key, { sld: style._id });
+  };
+
+  // The server also drops the selections of a deleted style
+  const handleStyleDeleted = (id) => {
+    updateUserStyles((prev) => ({
+      styles: prev.styles.filter((s) => s._id !== id),
+      selections: prev.selections.filter((s) => s.sld !== id),
+    }));
+    Object.values(layersRef.current)
+      .filter((layer) => layer.wmsParams?.sld === id)
+      .forEach((layer) => setWmsStyle(layer));
+    mapRef.current?.refreshLegend();
+  };
+
+  // Show a WFS layer's attribute table (adding the layer to the map to load it)
+  const openAttributeTable = (key) => {
+    const map = mapRef.current;
+    const layer = layersRef.current[key];
+    if (!map || !layer) return;
+    if (!map.hasLayer(layer)) layer.addTo(map);
+    setAttributeTable({ key, title: layer.catalog.title, data: layer.wfs });
+  };
+
+  const closeAttributeTable = () => {
+    const layer = layersRef.current[attributeTable?.key];
+    setAttributeTable(null);
+    layer?.selectFeature(null);
+  };
+
+  // bbox is WGS84 [minLng, minLat, maxLng, maxLat]
+  const zoomToBBox = (bbox) => {
+    mapRef.current?.fitBounds([
+      [bbox[1], bbox[0]],
+      [bbox[3], bbox[2]],
+    ]);
+  };
+
+  const zoomToAoi = (aoi) => {
+    const map = mapRef.current;
+    if (!map) return;
+    const L = require("leaflet");
+    const bounds = L.geoJSON(aoi.geometry).getBounds();
+    if (bounds.isValid())
+      map.fitBounds(bounds, { maxZoom: 16, padding: [20, 20] });
+  };
+
+  // ---- Feature info ----
+  // Outline the feature info hits on show in the panel
+  const highlightFeatures = useCallback((features) => {
+    const map = mapRef.current;
+    if (!map) return;
+    const L = require("leaflet");
+    if (map.featureHighlight) map.featureHighlight.clearLayers();
+    else map.featureHighlight = L.featureGroup().addTo(map);
+
+    features.forEach((feature) => {
+      if (!feature.geometry) return;
+      L.geoJSON(feature.geometry, {
+        style: { color: "#f59e0b", weight: 4, opacity: 1, fillOpacity: 0.2 },
+        pointToLayer: (_feature, latlng) =>
+          L.circleMarker(latlng, { radius: 8, color: "#f59e0b" }),
+      }).addTo(map.featureHighlight);
+    });
+  }, []);
+
+  // Pinned features stay outlined (dashed) until unpinned
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+    const L = require("leaflet");
+    if (map.pinnedFeatures) map.pinnedFeatures.clearLayers();
+    else map.pinnedFeatures = L.featureGroup().addTo(map);
+
+    pinnedFeatures.forEach((feature) => {
+      if (!feature.geometry) return;
+      L.geoJSON(feature.geometry, {
+        style: {
+          color: "#7c3aed",
+          weight: 3,
+          dashArray: "6 4",
+          fillOpacity: 0.1,
+        },
+        pointToLayer: (_feature, latlng) =>
+          L.circleMarker(latlng, { radius: 8, color: "#7c3aed" }),
+      }).addTo(map.pinnedFeatures);
+    });
+  }, [pinnedFeatures]);
+
+  // ---- Search ----
+  // Zoom to and outline the result chosen in the header search box
+  useEffect(() => {
+    const onSelect = ({ detail: result }) => {
+      const map = mapRef.current;
+      if (!map) return;
+      const L = require("leaflet");
+      if (map.searchHighlight) map.searchHighlight.clearLayers();
+      else map.searchHighlight = L.featureGroup().addTo(map);
+
+      if (result.geometry) {
+        L.geoJSON(result.geometry, {
+          interactive: false,
+          style: { color: "#0ea5e9", weight: 4, opacity: 1, fillOpacity: 0.15 },
+          pointToLayer: (_feature, latlng) =>
+            L.circleMarker(latlng, { radius: 10, color: "#0ea5e9" }),
+        }).addTo(map.searchHighlight);
+      }
+      if (result.center) {
+        // as text: names come from users and the WFS data
+        const nameLabel = document.createElement("span");
+        nameLabel.textContent = result.name;
+        L.tooltip({ permanent: true, direction: "top" })
+          .setLatLng([result.center[1], result.center[0]])
+          .setContent(nameLabel)
+          .addTo(map.searchHighlight);
+      }
+
+      const [minLng, minLat, maxLng, maxLat] = result.bbox || [];
+      if (result.bbox && (minLng !== maxLng || minLat !== maxLat)) {
+        map.fitBounds(
+          [
+            [minLat, minLng],
+            [maxLat, maxLng],
+          ],
+          { maxZoom: 16, padding: [20, 20] }
+        );
+      } else if (result.center) {
+        map.setView(
+          [result.center[1], result.center[0]],
+          Math.max(map.getZoom(), 15)
+        );
+      }
+    };
+    window.addEventListener(SEARCH_SELECT_EVENT, onSelect);
+    return () => window.removeEventListener(SEARCH_SELECT_EVENT, onSelect);
+  }, []);
+
+  const changeFeatureCount = (count) => {
+    featureCountRef.current = count;
+    setFeatureCount(count);
+    if (featureInfo) mapRef.current?.queryFeatureInfo(featureInfo.latlng);
+  };
+
+  const pinFeature = (feature) =>
+    setPinnedFeatures((prev) =>
+      prev.some((f) => f.uid === feature.uid) ? prev : [...prev, feature]
+    );
+
+  const unpinFeature = (uid) =>
+    setPinnedFeatures((prev) => prev.filter((f) => f.uid !== uid));
+
+  // ---- Measure tools ----
+  useEffect(() => {
+    mapRef.current?.measureTool?.setUnits(measureUnits);
+  }, [measureUnits]);
+
+  // The measured area becomes the pending shape of a new AOI
+  const saveMeasurementAsAoi = () => {
+    const map = mapRef.current;
+    if (!map || measurement?.mode !== "area") return;
+    const L = require("leaflet");
+    discardPendingAoi();
+    map.pendingAoi = L.polygon(measurement.latlngs).addTo(map);
+    map.measureTool.clear();
+    setAoiForm({ mode: "create" });
+  };
+
+  // ---- AOI sidebar ----
+  const discardPendingAoi = () => {
+    const map = mapRef.current;
+    map?.pendingAoi?.remove();
+    if (map) map.pendingAoi = null;
+  };
+
+  // Save the sidebar's AOI form: POST the drawn shape or PATCH the edited
+  // AOI. Rejects with the server's message, which the form shows
+  const submitAoiForm = async ({ name, description }) => {
+    const map = mapRef.current;
+    const creating = aoiForm?.mode === "create";
+    if (creating && !map?.pendingAoi) throw new Error("The shape is gone");
+    const token = await getToken();
+    if (!token) throw new Error("Authentication token not available");
+
+    const res = await fetch(
+      creating ? `${API_URL}/aoi` : `${API_URL}/aoi/${aoiForm.aoi._id}`,
+      {
+        method: creating ? "POST" : "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({
+          name,
+          description,
+          ...(creating && {
+            geometry: layerToGeoJSON(map.pendingAoi).geometry,
+          }),
+        }),
+      }
+    );
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      console.error("Server response error:", res.status, errorData);
+      highlightGeometryIssues(map, errorData.issues);
+      throw new Error(saveErrorMessage(res.status, errorData));
+    }
+
+    if (creating) discardPendingAoi(); // the reload draws the saved AOI
+    setAoiForm(null);
+    notify("success", `${creating ? "Saved" : "Updated"} "${name}"`);
+    setAoiListKey((key) => key + 1);
+    loadSavedAOIs();
+  };
+
+  const cancelAoiForm = () => {
+    if (aoiForm?.mode === "create") discardPendingAoi();
+    setAoiForm(null);
+  };
+
+  const editAoi = (aoi) => {
+    discardPendingAoi();
+    setAoiForm({ mode: "edit", aoi });
+  };
+
+  // Soft delete; the AOI can be restored from the Deleted AOIs panel
+  const deleteAoi = async (aoi) => {
+    try {
+      const token = await getToken();
+      if (!token) throw new Error("Authentication token not available");
+      const res = await fetch(`${API_URL}/aoi/${aoi._id}`, {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      if (!res.ok && res.status !== 404) {
+        const errorData = await res.json().catch(() => ({}));
+        throw new Error(
+          `Server error: ${res.status} - ${errorData.error || "Unknown error"}`
+        );
+      }
+      notify(
+        "success",
+        `Deleted "${aoi.name || "Unnamed AOI"}"; restore it from Deleted AOIs`
+      );
+      if (aoiForm?.aoi?._id === aoi._id) setAoiForm(null);
+      setAoiListKey((key) => key + 1);
+      loadSavedAOIs();
+    } catch (err) {
+      console.error("Error deleting AOI:", err);
+      notify("error", "Error deleting AOI: " + err.message);
+    }
+  };
+
+  const toggleAoiVisibility = (aoi) => {
+    const hidden = new Set(hiddenAoisRef.current);
+    if (hidden.has(aoi._id)) hidden.delete(aoi._id);
+    else hidden.add(aoi._id);
+    hiddenAoisRef.current = hidden;
+    setHiddenAois(hidden);
+    loadSavedAOIs();
+  };
 
   // Reload AOIs when map view changes (debounced)
   useEffect(() => {
@@ -263,34 +1319,39 @@ export default function MapViewer() {
           console.error("Map error:", error);
         });
 
-        // ---- Base Layer ----
-        layersRef.current.osm = L.tileLayer(
-          "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
-          { attribution: "&copy; OpenStreetMap contributors" }
-        ).addTo(map);
-
-        // ---- WMS Overlays ----
-        const WMS_URL = "https://geoserver01.haketech.com/geoserver/wms";
-
-        layersRef.current.boundary = L.tileLayer
-          .wms(WMS_URL, {
-            layers: "tripura:tripura_gpvc_boundary",
-            format: "image/png",
-            transparent: true,
-            opacity: 1,
-            version: "1.1.1",
-          })
-          .addTo(map);
-
-        layersRef.current.drainage = L.tileLayer
-          .wms(WMS_URL, {
-            layers: "tripura:tripura_drainage",
-            format: "image/png",
-            transparent: true,
-            opacity: 1,
-            version: "1.1.1",
-          })
-          .addTo(map);
+        // ---- Layers from the server's catalog ----
+        const catalog = await loadLayerCatalog();
+        const wmtsCapabilities = await loadCapabilities(
+          "wmts",
+          catalog.layers
+            .map((entry) => catalog.sources.find((s) => s.id === entry.source))
+            .filter((source) => source?.type === "wmts")
+            .map((source) => source.id)
+        );
+        const baseLayers = {};
+        const overlayLayers = {};
+        let hasBase = false;
+        catalog.layers.forEach((entry) => {
+          const source = catalog.sources.find((s) => s.id === entry.source);
+          const layer = createCatalogLayer(L, entry, source, wmtsCapabilities);
+          if (!layer) return;
+          layersRef.current[entry.key] = layer;
+
+          if (entry.group === "base") {
+            baseLayers[entry.title] = layer;
+            // Only one base layer can be shown at a time
+            if (entry.visible && !hasBase) {
+              layer.addTo(map);
+              hasBase = true;
+            }
+          } else {
+            overlayLayers[entry.title] = layer;
+            if (entry.visible) layer.addTo(map);
+          }
+        });
+        if (!hasBase && Object.values(baseLayers)[0]) {
+          Object.values(baseLayers)[0].addTo(map);
+        }
 
         // Add error handling for WMS layers
         Object.values(layersRef.current).forEach((layer) => {
@@ -303,42 +1364,112 @@ export default function MapViewer() {
           }
         });
 
-        const baseLayers = { OpenStreetMap: layersRef.current.osm };
-        const overlayLayers = {
-          "Tripura Boundary": layersRef.current.boundary,
-          "Tripura Drainage": layersRef.current.drainage,
-        };
-
         // ---- Layer Control ----
         const control = L.control
           .layers(baseLayers, overlayLayers, { collapsed: true })
           .addTo(map);
 
         // ---- Opacity sliders for overlays ----
-        Object.entries(overlayLayers).forEach(([name, layer]) => {
-          const sliderContainer = L.DomUtil.create(
-            "div",
-            "flex items-center justify-between text-xs text-gray-700 my-1"
+        // Kept outside the overlays list, which the control rebuilds whenever
+        // a layer is added to it
+        const sliders = L.DomUtil.create("div", "", control._section);
+        Object.entries(overlayLayers).forEach(([name, layer]) =>
+          addOpacitySlider(L, sliders, name, layer)
+        );
+        map.layerControl = control;
+        map.opacitySliders = sliders;
+
+        // ---- Legend of the overlays on the map ----
+        // Follows the layer control (layers added / removed) and the
+        // opacity sliders
+        const refreshLegend = () =>
+          setLegendLayers(
+            Object.values(layersRef.current)
+              .filter(
+                (layer) =>
+                  (layer.wmsParams || layer.wfs) &&
+                  layer.catalog?.group !== "base" &&
+                  map.hasLayer(layer)
+              )
+              .map(({ catalog, wmsParams, options, namedStyles }) => ({
+                key: catalog.key,
+                title: catalog.title,
+                kind: wmsParams ? "wms" : "wfs",
+                source: catalog.source,
+                name: catalog.name,
+                styleName: wmsParams?.styles || undefined,
+                sld: wmsParams?.sld,
+                defaultStyle: catalog.styleName || "",
+                styles: namedStyles || [], // advertised by the capabilities
+                style: catalog.style,
+                opacity: options.opacity ?? 1,
+              }))
           );
-          const label = L.DomUtil.create("span", "", sliderContainer);
-          label.innerText = name;
+        map.refreshLegend = refreshLegend;
+        map.on("layeradd layerremove", (e) => {
+          if (e.layer.catalog) refreshLegend();
+        });
+        sliders.addEventListener("input", refreshLegend);
+        refreshLegend();
 
-          const input = L.DomUtil.create(
-            "input",
-            "ml-2 w-24 accent-blue-600 cursor-pointer",
-            sliderContainer
-          );
-          input.type = "range";
-          input.min = "0";
-          input.max = "1";
-          input.step = "0.05";
-          input.value = layer.options.opacity;
-
-          input.addEventListener("input", (e) =>
-            layer.setOpacity(parseFloat(e.target.value))
+        // ---- WFS layers: keep the open attribute table in sync ----
+        const vectorLayers = Object.values(layersRef.current).filter(
+          (layer) => layer.wfs
+        );
+        vectorLayers.forEach((layer) => {
+          const { key, title } = layer.catalog;
+          // Selecting a feature on the map opens its layer's table
+          layer.on("wfschange", () =>
+            setAttributeTable((table) =>
+              table?.key === key || layer.wfs.selectedId
+                ? { key, title, data: layer.wfs }
+                : table
+            )
           );
+        });
+        setWfsLayers(
+          vectorLayers.map(({ catalog }) => ({
+            key: catalog.key,
+            title: catalog.title,
+          }))
+        );
 
-          control._overlaysList.appendChild(sliderContainer);
+        // ---- Layers the user added from capabilities ----
+        setLayerSources(catalog.sources);
+        const restored = loadAddedLayers().filter((entry) =>
+          addMapLayer(
+            entry,
+            catalog.sources.find((s) => s.id === entry.source)
+          )
+        );
+        setAddedLayers(restored);
+        applyStyleSelections();
+
+        // ---- WMS layers with a TIME dimension get the timeline ----
+        const wmsLayers = Object.values(layersRef.current).filter(
+          (layer) => layer.wmsParams && layer.catalog
+        );
+        loadCapabilities(
+          "wms",
+          wmsLayers.map((layer) => layer.catalog.source)
+        ).then((capabilities) => {
+          const capLayers = wmsLayers.map(({ catalog }) =>
+            capabilities[catalog.source]?.layers.find(
+              (l) => l.name === catalog.name
+            )
+          );
+          // Named styles for the legend's style picker
+          wmsLayers.forEach((layer, i) => {
+            layer.namedStyles = capLayers[i]?.styles || [];
+          });
+          refreshLegend();
+          setTemporalLayers(
+            wmsLayers
+              .map(({ catalog }, i) =>
+                temporalLayer(catalog.key, catalog.title, capLayers[i])
+              )
+              .filter(Boolean)
+          );
         });
 
         // ---- Draw AOI ----
@@ -350,154 +1481,239 @@ export default function MapViewer() {
         });
         map.addControl(drawControl);
 
+        // ---- Measure tools, under the draw toolbar ----
+        map.measureTool = createMeasureTool(L, map);
+        addMeasureControl(L, map, map.measureTool);
+        map.on("measurechange", (e) => setMeasurement(e.state));
+
+        // ---- Cursor coordinates and go-to box ----
+        addCoordinateControl(L, map);
+
         // ---- Handle Created Polygons ----
-        map.on(L.Draw.Event.CREATED, async (e) => {
+        // The shape waits on the map, outside the draw group (AOI reloads
+        // clear it), while the sidebar's form asks for its name
+        map.on(L.Draw.Event.CREATED, (e) => {
+          if (Object.values(MEASURE_LAYER_TYPES).includes(e.layerType)) return;
           const { isSignedIn: signedInNow, isLoaded: loadedNow } =
             authRef.current;
           if (!signedInNow || !loadedNow) {
-            alert("Please sign in to save Areas of Interest");
+            notify("info", "Please sign in to save Areas of Interest");
             return;
           }
 
-          const layer = e.layer;
-          let geojson = layer.toGeoJSON();
-          drawnItems.addLayer(layer);
-
-          // Ensure polygon ring is closed. Leaflet outputs valid GeoJSON with [lng, lat]
-          if (geojson.geometry?.type === "Polygon") {
-            const ring = geojson.geometry.coordinates?.[0] || [];
-            if (ring.length >= 1) {
-              const first = ring[0];
-              const last = ring[ring.length - 1];
-              if (first[0] !== last[0] || first[1] !== last[1]) {
-                geojson.geometry.coordinates[0] = [...ring, first];
-              }
-            }
-          }
+          map.pendingAoi?.remove();
+          map.pendingAoi = e.layer.addTo(map);
+          setAoiForm({ mode: "create" });
+        });
 
-          // Convert Circle to Polygon approximation (GeoJSON-friendly)
-          if (e.layerType === "circle" && layer.getLatLng && layer.getRadius) {
-            const center = layer.getLatLng();
-            const radiusMeters = layer.getRadius();
-            const steps = 64;
-            const coords = [];
-            for (let i = 0; i < steps; i++) {
-              const angle = (i / steps) * 2 * Math.PI;
-              const dx = (radiusMeters * Math.cos(angle)) / 111320; // deg per meter approx for lng at equator
-              const dy = (radiusMeters * Math.sin(angle)) / 110540; // deg per meter approx for lat
-              const lng = center.lng + dx / Math.cos((center.lat * Math.PI) / 180);
-              const lat = center.lat + dy;
-              coords.push([lng, lat]);
-            }
-            // close ring
-            coords.push(coords[0]);
-            geojson = {
-              type: "Feature",
-              properties: { shape: "circle", radius: radiusMeters },
-              geometry: { type: "Polygon", coordinates: [coords] },
-            };
+        // ---- Edit full-detail geometry, not the zoom rendition ----
+        const loadFullGeometry = async (layer) => {
+          const token = await getToken();
+          if (!token) throw new Error("Authentication token not available");
+          const res = await fetch(`${API_URL}/aoi/${layer.aoiId}`, {
+            headers: { Authorization: `Bearer ${token}` },
+          });
+          if (!res.ok) throw new Error(`Server error: ${res.status}`);
+          const { geometry } = await res.json();
+          if (geometry.type !== "Polygon" && geometry.type !== "MultiPolygon") {
+            return;
           }
 
-          const name =
-            prompt("Enter a name for this Area of Interest (optional):") ||
-            "Unnamed AOI";
-          const description = prompt("Enter a description (optional):") || "";
+          // Leaflet.Draw keeps references to the old vertex arrays, so
+          // rebuild its handlers around the new ones
+          const wasEditing = layer.editing && layer.editing.enabled();
+          if (wasEditing) layer.editing.disable();
+          layer.setLatLngs(
+            L.GeoJSON.coordsToLatLngs(
+              geometry.coordinates,
+              geometry.type === "Polygon" ? 1 : 2
+            )
+          );
+          layer.fire("revert-edited", { layer });
+          if (wasEditing) layer.editing.enable();
+          layer.aoiSimplified = false;
+        };
+
+        map.on(L.Draw.Event.EDITSTART, () => {
+          map.isEditing = true;
+          drawnItems.eachLayer((layer) => {
+            if (!layer.aoiId || !layer.aoiSimplified) return;
+            loadFullGeometry(layer).catch((err) =>
+              console.error("Error loading full AOI geometry:", err)
+            );
+          });
+        });
+        map.on(L.Draw.Event.DELETESTART, () => {
+          map.isEditing = true;
+        });
+        map.on(L.Draw.Event.EDITSTOP, () => {
+          map.isEditing = false;
+          // Cancelling restores the rendition shown before editing; reload
+          // so layers are flagged correctly again
+          loadSavedAOIs();
+        });
+        map.on(L.Draw.Event.DELETESTOP, () => {
+          map.isEditing = false;
+        });
+
+        // ---- Persist edited shapes ----
+        map.on(L.Draw.Event.EDITED, async (e) => {
+          const edited = [];
+          e.layers.eachLayer((layer) => {
+            if (layer.aoiId) edited.push(layer);
+          });
+          if (edited.length === 0) return;
+
+          // Never overwrite the stored original with a simplified rendition
+          if (edited.some((layer) => layer.aoiSimplified)) {
+            notify(
+              "error",
+              "Full-detail geometry has not loaded yet for every edited AOI; please try again."
+            );
+            return;
+          }
 
           try {
             setIsLoading(true);
             const token = await getToken();
             if (!token) throw new Error("Authentication token not available");
 
-            const apiUrl = `${
-              process.env.NEXT_PUBLIC_API_URL || "http://localhost:5001"
-            }/aoi`;
+            for (const layer of edited) {
+              const geojson = layerToGeoJSON(layer);
+              const res = await fetch(`${API_URL}/aoi/${layer.aoiId}`, {
+                method: "PATCH",
+                headers: {
+                  "Content-Type": "application/json",
+                  Authorization: `Bearer ${token}`,
+                },
+                body: JSON.stringify({ geometry: geojson.geometry }),
+              });
+              if (!res.ok) {
+                const errorData = await res.json().catch(() => ({}));
+                highlightGeometryIssues(map, errorData.issues);
+                throw new Error(saveErrorMessage(res.status, errorData));
+              }
+            }
+            notify(
+              "success",
+              edited.length === 1
+                ? "AOI shape updated"
+                : `${edited.length} AOI shapes updated`
+            );
+          } catch (err) {
+            console.error("Error updating AOI:", err);
+            notify("error", "Error updating AOI: " + err.message);
+          } finally {
+            setIsLoading(false);
+            setAoiListKey((key) => key + 1);
+            // Re-sync with the server so failed edits are reverted visibly
+            loadSavedAOIs();
+          }
+        });
 
-            console.log("Sending AOI to server:", {
-              name,
-              description,
-              geometry: geojson.geometry,
-            });
+        // ---- Persist deleted shapes ----
+        map.on(L.Draw.Event.DELETED, async (e) => {
+          const deleted = [];
+          e.layers.eachLayer((layer) => {
+            if (layer.aoiId) deleted.push(layer);
+          });
+          if (deleted.length === 0) return;
 
-            const res = await fetch(apiUrl, {
-              method: "POST",
-              headers: {
-                "Content-Type": "application/json",
-                Authorization: `Bearer ${token}`,
-              },
-              body: JSON.stringify({
-                name,
-                description,
-                geometry: geojson.geometry, // backend accepts wrapper { geometry, ... }
-              }),
-            });
+          try {
+            setIsLoading(true);
+            const token = await getToken();
+            if (!token) throw new Error("Authentication token not available");
 
-            if (!res.ok) {
-              const errorData = await res.json().catch(() => ({}));
-              console.error("Server response error:", res.status, errorData);
-              throw new Error(
-                `Server error: ${res.status} - ${
-                  errorData.error || errorData.message || "Unknown error"
-                }`
-              );
+            for (const layer of deleted) {
+              const res = await fetch(`${API_URL}/aoi/${layer.aoiId}`, {
+                method: "DELETE",
+                headers: { Authorization: `Bearer ${token}` },
+              });
+              if (!res.ok && res.status !== 404) {
+                const errorData = await res.json().catch(() => ({}));
+                throw new Error(
+                  `Server error: ${res.status} - ${
+                    errorData.error || "Unknown error"
+                  }`
+                );
+              }
             }
-
-            const data = await res.json();
-            console.log("AOI saved successfully:", data);
-            // Bind popup to created layer
-            try {
-              layer.bindPopup(`
-                <div class="p-2">
-                  <h3 class="font-bold">${name || "Unnamed AOI"}</h3>
-                  ${
-                    description
-                      ? `<p class="text-sm text-gray-600">${description}</p>`
-                      : ""
-                  }
-                </div>
-              `);
-            } catch (_) {}
-            alert("AOI saved successfully!");
+            notify(
+              "success",
+              `${deleted.length === 1 ? "AOI" : `${deleted.length} AOIs`} deleted; restore from Deleted AOIs`
+            );
           } catch (err) {
-            console.error("Error saving AOI:", err);
-            alert("Error saving AOI: " + err.message);
+            console.error("Error deleting AOI:", err);
+            notify("error", "Error deleting AOI: " + err.message);
+            loadSavedAOIs();
           } finally {
             setIsLoading(false);
+            setAoiListKey((key) => key + 1);
           }
         });
 
         // ---- Map click handler for GetFeatureInfo ----
         map.on("click", async (e) => {
           const { isSignedIn, isLoaded } = authRef.current;
+
+          // Clicks place measure points while measuring
+          if (map.measureTool.isActive()) return;
+
+          // Spatial query tool takes over map clicks while it is active
+          const spatial = spatialRef.current;
+          if (spatial.mode !== "off" && isSignedIn && isLoaded && spatial.run) {
+            spatial.run(spatial.mode, {
+              latlng: e.latlng,
+              maxDistance: spatial.maxDistance,
+            });
+            return;
+          }
+
           console.log("Map clicked, checking auth state:", {
             isSignedIn,
             isLoaded,
           });
 
           if (!isSignedIn || !isLoaded) {
-            alert("Please sign in to view feature information");
+            notify("info", "Please sign in to view feature information");
             return;
           }
 
-          const point = map.latLngToContainerPoint(e.latlng);
+          await queryFeatureInfo(e.latlng);
+        });
+
+        // GetFeatureInfo for the visible queryable layers at a point; also
+        // re-run from the feature info panel when the feature count changes
+        const queryFeatureInfo = async (latlng) => {
+          const point = map.latLngToContainerPoint(latlng);
           const size = map.getSize();
-          const bbox = map.getBounds().toBBoxString();
-
-          const activeLayers = [];
-          if (
-            layersRef.current.boundary &&
-            map.hasLayer(layersRef.current.boundary)
-          ) {
-            activeLayers.push("tripura:tripura_gpvc_boundary");
-          }
-          if (
-            layersRef.current.drainage &&
-            map.hasLayer(layersRef.current.drainage)
-          ) {
-            activeLayers.push("tripura:tripura_drainage");
-          }
+          // Request in the map's own projection so pixels line up with the view
+          const bounds = map.getBounds();
+          const sw = map.options.crs.project(bounds.getSouthWest());
+          const ne = map.options.crs.project(bounds.getNorthEast());
+          const bbox = [sw.x, sw.y, ne.x, ne.y].join(",");
+
+          // Visible queryable catalog layers, grouped by WMS source and version
+          const activeLayers = Object.values(layersRef.current).filter(
+            (layer) => layer.catalog?.queryable && map.hasLayer(layer)
+          );
+          const groups = {};
+          const layerNames = {}; // name, also without workspace -> catalog name
+          const layerTitles = {};
+          activeLayers.forEach((layer) => {
+            const { source, name, version = "1.1.1" } = layer.catalog;
+            layerNames[name] = name;
+            layerNames[name.split(":").pop()] ??= name;
+            layerTitles[name] = layer.catalog.title;
+            const time = layer.wmsParams?.time;
+            const key = `${source}|${version}|${time || ""}`;
+            groups[key] = groups[key] || { source, version, time, names: [] };
+            groups[key].names.push(name);
+          });
 
           if (activeLayers.length === 0) {
-            alert(
+            notify(
+              "info",
               "No WMS layers are currently visible. Please enable at least one layer to get feature information."
             );
             return;
@@ -509,51 +1725,82 @@ export default function MapViewer() {
             const serverHealthy = await checkServerHealth();
             if (!serverHealthy) throw new Error("Server not responding");
 
-            const params = new URLSearchParams({
-              x: Math.round(point.x).toString(),
-              y: Math.round(point.y).toString(),
-              bbox,
-              width: size.x.toString(),
-              height: size.y.toString(),
-              layers: activeLayers.join(","),
-            });
-
-            const wmsUrl = `${
-              process.env.NEXT_PUBLIC_API_URL || "http://localhost:5001"
-            }/wms/feature-info?${params}`;
-            console.log("Attempting to fetch feature info from:", wmsUrl);
-
-            const res = await fetch(wmsUrl);
-            const raw = await res.text();
-            console.log("Raw response text:", raw);
-
-            let data;
-            try {
-              data = JSON.parse(raw);
-            } catch (err) {
-              throw new Error(
-                "Server returned non-JSON response: " + raw.slice(0, 200)
-              );
+            const features = [];
+            for (const { source, version, time, names } of Object.values(
+              groups
+            )) {
+              const v130 = version === "1.3.0";
+              const params = new URLSearchParams({
+                version,
+                [v130 ? "i" : "x"]: Math.round(point.x).toString(),
+                [v130 ? "j" : "y"]: Math.round(point.y).toString(),
+                [v130 ? "crs" : "srs"]: "EPSG:3857",
+                bbox,
+                width: size.x.toString(),
+                height: size.y.toString(),
+                layers: names.join(","),
+                feature_count: featureCountRef.current.toString(),
+                source,
+              });
+              if (time) params.set("time", time);
+
+              const wmsUrl = `${API_URL}/wms/feature-info?${params}`;
+              console.log("Attempting to fetch feature info from:", wmsUrl);
+
+              const res = await fetch(wmsUrl);
+              const raw = await res.text();
+              console.log("Raw response text:", raw);
+
+              let data;
+              try {
+                data = JSON.parse(raw);
+              } catch (err) {
+                throw new Error(
+                  "Server returned non-JSON response: " + raw.slice(0, 200)
+                );
+              }
+              if (!res.ok) {
+                throw new Error(data.error || `Server error: ${res.status}`);
+              }
+              // Geometries come back in the request CRS (EPSG:3857)
+              (data.features || []).forEach((feature) => {
+                const layer =
+                  layerNames[feature.layer] ||
+                  feature.layer ||
+                  (names.length === 1 ? names[0] : "");
+                features.push({
+                  ...feature,
+                  uid: ++featureUidRef.current,
+                  layer,
+                  layerTitle: layerTitles[layer],
+                  latlng,
+                  geometry: unprojectGeometry(
+                    feature.geometry,
+                    map.options.crs,
+                    L
+                  ),
+                });
+              });
             }
 
-            console.log("Feature info received:", data);
+            console.log("Feature info received:", features);
 
-            if (data.features && data.features.length > 0) {
-              setFeatureInfo({
-                latlng: e.latlng,
-                data: data.features,
-                layers: activeLayers,
-              });
+            if (features.length > 0) {
+              setFeatureInfo({ latlng, features });
             } else {
-              alert("No features found at this location.");
+              notify("info", "No features found at this location.");
             }
           } catch (err) {
             console.error("Error fetching feature info:", err);
-            alert("Error fetching feature information: " + err.message);
+            notify(
+              "error",
+              "Error fetching feature information: " + err.message
+            );
           } finally {
             setIsLoading(false);
           }
-        });
+        };
+        mapRef.current.queryFeatureInfo = queryFeatureInfo;
 
         // ---- Load saved AOIs ----
         // This function is now handled by the useEffect hook
@@ -587,7 +1834,15 @@ export default function MapViewer() {
         mapRef.current = null;
       }
     };
-  }, [getToken, isSignedIn, isLoaded, loadSavedAOIs]);
+  }, [
+    getToken,
+    isSignedIn,
+    isLoaded,
+    loadSavedAOIs,
+    addMapLayer,
+    applyStyleSelections,
+    notify,
+  ]);
 
   // Debug information
   console.log("Clerk loaded:", isLoaded);
@@ -611,46 +1866,22 @@ export default function MapViewer() {
     <div className="relative w-full h-full">
       <div id="map" className="w-full h-full z-10" />
 
-      {/* Feature Info Popup */}
-      {featureInfo && (
-        <div className="absolute top-4 right-4 bg-white rounded-lg shadow-lg border border-gray-200 p-4 max-w-sm max-h-96 overflow-y-auto z-50">
-          <div className="flex justify-between items-center mb-2">
-            <h3 className="font-bold text-gray-800">Feature Information</h3>
-            <button
-              onClick={() => setFeatureInfo(null)}
-              className="text-gray-500 hover:text-gray-700 text-xl font-bold"
-            >
-              ×
-            </button>
-          </div>
-
-          <div className="text-sm text-gray-600 mb-2">
-            <p>Lat: {featureInfo.latlng.lat.toFixed(6)}</p>
-            <p>Lng: {featureInfo.latlng.lng.toFixed(6)}</p>
-            <p>Layers: {featureInfo.layers.join(", ")}</p>
-          </div>
-
-          <div className="space-y-2">
-            {featureInfo.data.map((feature, index) => (
-              <div key={index} className="border-t pt-2">
-                <h4 className="font-semibold text-gray-700">
-                  {feature.properties?.name || `Feature ${index + 1}`}
-                </h4>
-                {feature.properties && (
-                  <div className="text-xs text-gray-600 mt-1">
-                    {Object.entries(feature.properties).map(([key, value]) => (
-                      <div key={key} className="flex justify-between">
-                        <span className="font-medium">{key}:</span>
-                        <span>{String(value)}</span>
-                      </div>
-                    ))}
-                  </div>
-                )}
-              </div>
-            ))}
-          </div>
-        </div>
-      )}
+      {/* Feature Info Panel */}
+      <FeatureInfoPanel
+        info={featureInfo}
+        pinned={pinnedFeatures}
+        featureCount={featureCount}
+        onFeatureCountChange={changeFeatureCount}
+        onHighlight={highlightFeatures}
+        onZoom={zoomToAoi}
+        onPin={pinFeature}
+        onUnpin={unpinFeature}
+        onClearPins={() => setPinnedFeatures([])}
+        onClose={() => {
+          setFeatureInfo(null);
+          setPinnedFeatures([]);
+        }}
+      />
 
       {/* Loading Indicator */}
       {isLoading && (
@@ -705,6 +1936,229 @@ export default function MapViewer() {
         </div>
       </div>
 
+      {/* Spatial query + AOI import/export */}
+      {isSignedIn && (
+        <div className="absolute bottom-8 right-4 z-50 flex flex-col items-end gap-2">
+          <AoiSidebar
+            getToken={getToken}
+            reloadKey={aoiListKey}
+            form={aoiForm}
+            onFormSubmit={submitAoiForm}
+            onFormCancel={cancelAoiForm}
+            hiddenIds={hiddenAois}
+            onToggleVisible={toggleAoiVisibility}
+            onZoom={zoomToAoi}
+            onEdit={editAoi}
+            onDelete={deleteAoi}
+          />
+          <SpatialQueryPanel
+            mode={spatialMode}
+            onModeChange={setSpatialMode}
+            maxDistance={nearDistance}
+            onMaxDistanceChange={setNearDistance}
+            selectedAoi={selectedAoi}
+            onFindIntersecting={(id) =>
+              runSpatialQuery("intersecting", { aoiId: id })
+            }
+            results={spatialResults}
+            onResultClick={zoomToAoi}
+            onClear={clearSpatialResults}
+          />
+          <div className="bg-white text-gray-800 rounded-lg shadow-lg border border-gray-200 p-3 text-sm w-64">
+            <div className="font-semibold mb-2">AOI Files</div>
+            <div className="flex items-center gap-2">
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                className="border border-gray-300 rounded px-2 py-1"
+              >
+                <option value="geojson">GeoJSON</option>
+                <option value="kml">KML</option>
+                <option value="gpx">GPX</option>
+                <option value="shp">Shapefile (zip)</option>
+                <option value="csv">CSV (WKT)</option>
+              </select>
+              <button
+                onClick={() => exportAOIs()}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded"
+              >
+                Export
+              </button>
+            </div>
+            <label className="flex items-center gap-2 mt-2 text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={exportVisibleOnly}
+                onChange={(e) => setExportVisibleOnly(e.target.checked)}
+              />
+              Current map view only
+            </label>
+            {selectedAoi && (
+              <button
+                onClick={() => exportAOIs(selectedAoi.id)}
+                className="mt-2 w-full text-xs bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded"
+              >
+                Export &quot;{selectedAoi.name || "Unnamed AOI"}&quot;
+              </button>
+            )}
+            <button
+              onClick={() => setShowImport(true)}
+              className="mt-2 w-full text-xs bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded"
+            >
+              Import from file...
+            </button>
+            {selectedAoi && (
+              <button
+                onClick={() => setHistoryPanel({ aoi: selectedAoi })}
+                className="mt-2 w-full text-xs bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded"
+              >
+                History of &quot;{selectedAoi.name || "Unnamed AOI"}&quot;
+              </button>
+            )}
+            <button
+              onClick={() => setHistoryPanel({ aoi: null })}
+              className="mt-2 w-full text-xs bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded"
+            >
+              Deleted AOIs...
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Layer browser + AOI revision history / deleted AOIs */}
+      <div className="absolute top-20 left-4 z-50 flex flex-col gap-2 items-start">
+        {showLayerBrowser ? (
+          <LayerBrowser
+            sources={layerSources.filter((s) => s.type === "wms")}
+            addedKeys={addedLayers.map((entry) => entry.key)}
+            onAdd={addCapabilityLayer}
+            onRemove={removeCapabilityLayer}
+            onZoom={zoomToBBox}
+            onClose={() => setShowLayerBrowser(false)}
+          />
+        ) : (
+          <button
+            onClick={() => setShowLayerBrowser(true)}
+            className="bg-white text-gray-800 text-xs border border-gray-200 shadow-lg hover:bg-gray-100 px-3 py-1.5 rounded-lg"
+          >
+            Add layer...
+          </button>
+        )}
+        {wfsLayers.map(({ key, title }) => (
+          <button
+            key={key}
+            onClick={() => openAttributeTable(key)}
+            className="bg-white text-gray-800 text-xs border border-gray-200 shadow-lg hover:bg-gray-100 px-3 py-1.5 rounded-lg"
+          >
+            Attributes: {title}
+          </button>
+        ))}
+        <LegendPanel
+          layers={legendLayers.map((layer) => ({
+            ...layer,
+            slds: userStyles.styles.filter(
+              (s) => s.source === layer.source && s.layer === layer.name
+            ),
+          }))}
+          onStyleChange={chooseLayerStyle}
+          onEditStyles={
+            isSignedIn
+              ? (key) => setStyleEditor(layersRef.current[key]?.catalog)
+              : undefined
+          }
+        />
+        {isSignedIn && historyPanel && (
+          <AoiHistoryPanel
+            aoi={historyPanel.aoi}
+            getToken={getToken}
+            onSelectAoi={(aoi) => setHistoryPanel({ aoi })}
+            onPreview={showRevisionPreview}
+            onRestored={() => {
+              loadSavedAOIs();
+              setAoiListKey((key) => key + 1);
+            }}
+            onClose={() => {
+              showRevisionPreview(null);
+              setHistoryPanel(null);
+            }}
+          />
+        )}
+      </div>
+
+      {/* Measure tool readout */}
+      {measurement && (
+        <div className="absolute bottom-20 left-1/2 -translate-x-1/2 z-50">
+          <MeasurePanel
+            measurement={measurement}
+            units={measureUnits}
+            onUnitsChange={(units) =>
+              setMeasureUnits((prev) => ({ ...prev, ...units }))
+            }
+            onSaveAoi={isSignedIn ? saveMeasurementAsAoi : undefined}
+            onClear={() => mapRef.current?.measureTool.clear()}
+          />
+        </div>
+      )}
+
+      {/* Timeline of WMS layers with a TIME dimension */}
+      {temporalLayers.length > 0 && (
+        <div className="absolute top-4 left-1/2 -translate-x-1/2 z-50">
+          <TimelineControl
+            layers={temporalLayers}
+            onTimeChange={setLayerTime}
+            onPrefetch={prefetchLayerTimes}
+            isLoading={isLayerLoading}
+          />
+        </div>
+      )}
+
+      {/* Attribute table of a WFS layer */}
+      {attributeTable && (
+        <div className="absolute bottom-16 left-4 z-50">
+          <AttributeTable
+            title={attributeTable.title}
+            data={attributeTable.data}
+            onSelect={(id) =>
+              layersRef.current[attributeTable.key]?.selectFeature(id, {
+                zoom: true,
+              })
+            }
+            onHover={(id) =>
+              layersRef.current[attributeTable.key]?.highlightFeature(id)
+            }
+            onFilter={(cql) =>
+              layersRef.current[attributeTable.key]?.setFilter(cql)
+            }
+            onLoadMore={() => layersRef.current[attributeTable.key]?.loadMore()}
+            onClose={closeAttributeTable}
+          />
+        </div>
+      )}
+
+      <StyleEditor
+        target={styleEditor}
+        styles={userStyles.styles.filter(
+          (s) =>
+            s.source === styleEditor?.source && s.layer === styleEditor?.name
+        )}
+        getToken={getToken}
+        onSaved={handleStyleSaved}
+        onDeleted={handleStyleDeleted}
+        onClose={() => setStyleEditor(null)}
+      />
+
+      <Toasts toasts={toasts} onDismiss={dismiss} />
+
+      <ImportDialog
+        open={showImport}
+        onClose={() => setShowImport(false)}
+        getToken={getToken}
+        onImported={() => {
+          loadSavedAOIs();
+          setAoiListKey((key) => key + 1);
+        }}
+      />
+
       {/* Debug info for development */}
       {process.env.NODE_ENV === "development" && (
         <div className="absolute bottom-4 left-4 bg-gray-800 text-white p-2 rounded text-xs z-50">
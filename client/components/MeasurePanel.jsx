@@ -0,0 +1,121 @@
+"use client";
+
+import {
+  AREA_UNITS,
+  LENGTH_UNITS,
+  formatArea,
+  formatLength,
+} from "@/lib/units";
+
+function UnitSelect({ units, value, onChange }) {
+  return (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="border border-gray-300 rounded px-1 py-0.5 text-xs"
+    >
+      {Object.entries(units).map(([key, unit]) => (
+        <option key={key} value={key}>
+          {unit.label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+/**
+ * Readout of the measure tool (see lib/measureTool.js): total length or
+ * area and perimeter, updated live while drawing, with the segment lengths
+ * and unit selects. A finished area can be saved as an AOI through
+ * onSaveAoi (omitted when signed out).
+ */
+export default function MeasurePanel({
+  measurement,
+  units,
+  onUnitsChange,
+  onSaveAoi,
+  onClear,
+}) {
+  if (!measurement) return null;
+  const { mode, segments, length, area, finished } = measurement;
+  const isArea = mode === "area";
+
+  return (
+    <div className="bg-white text-gray-800 rounded-lg shadow-lg border border-gray-200 p-3 text-sm w-72">
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="font-semibold">
+          {isArea ? "Measure area" : "Measure distance"}
+        </h3>
+        <button
+          onClick={onClear}
+          className="text-gray-500 hover:text-gray-700 text-xl font-bold leading-none"
+          aria-label="Clear measurement"
+        >
+          ×
+        </button>
+      </div>
+
+      <table className="w-full text-xs mb-2">
+        <tbody>
+          {isArea && (
+            <tr>
+              <td className="font-medium py-0.5">Area</td>
+              <td className="py-0.5">{formatArea(area, units.area)}</td>
+              <td className="py-0.5 text-right">
+                <UnitSelect
+                  units={AREA_UNITS}
+                  value={units.area}
+                  onChange={(area) => onUnitsChange({ area })}
+                />
+              </td>
+            </tr>
+          )}
+          <tr>
+            <td className="font-medium py-0.5">
+              {isArea ? "Perimeter" : "Length"}
+            </td>
+            <td className="py-0.5">{formatLength(length, units.length)}</td>
+            <td className="py-0.5 text-right">
+              <UnitSelect
+                units={LENGTH_UNITS}
+                value={units.length}
+                onChange={(length) => onUnitsChange({ length })}
+              />
+            </td>
+          </tr>
+        </tbody>
+      </table>
+
+      {segments.length > 1 && (
+        <ol className="text-xs text-gray-600 max-h-32 overflow-y-auto border-t pt-1 mb-2">
+          {segments.map((segment, i) => (
+            <li key={i} className="flex justify-between">
+              <span>Segment {i + 1}</span>
+              <span>{formatLength(segment, units.length)}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {!finished && (
+        <p className="text-xs text-gray-500">
+          Click to add points; click the {isArea ? "first" : "last"} point to
+          finish, Esc cancels
+        </p>
+      )}
+      {finished && isArea && onSaveAoi && (
+        <button
+          onClick={onSaveAoi}
+          className="bg-blue-600 hover:bg-blue-700 text-white text-xs px-3 py-1 rounded"
+        >
+          Save as AOI
+        </button>
+      )}
+      {finished && !isArea && (
+        <p className="text-xs text-gray-500">
+          AOIs are areas; measure an area to save it as one
+        </p>
+      )}
+    </div>
+  );
+}
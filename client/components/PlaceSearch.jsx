@@ -0,0 +1,160 @@
+"use client";
+
+import { useEffect, useRef, useState } from "react";
+import { useAuth } from "@clerk/nextjs";
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5001";
+const DEBOUNCE_MS = 250;
+
+// Window event carrying the chosen result to MapViewer, which lives in the
+// page rather than the layout
+export const SEARCH_SELECT_EVENT = "geoviewer:search-select";
+
+const TYPE_LABELS = { aoi: "AOI", place: "Place" };
+
+/**
+ * Search box of the header: ranked suggestions from GET /search (AOI names
+ * and descriptions plus gazetteer place names) while typing, navigable with
+ * the arrow keys. Choosing one dispatches SEARCH_SELECT_EVENT with the
+ * result as `detail`.
+ */
+export default function PlaceSearch() {
+  const { getToken } = useAuth();
+  const [text, setText] = useState("");
+  const [results, setResults] = useState([]);
+  const [warning, setWarning] = useState("");
+  const [active, setActive] = useState(-1);
+  const [open, setOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const boxRef = useRef(null);
+
+  useEffect(() => {
+    const q = text.trim();
+    if (!q) {
+      setResults([]);
+      setWarning("");
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const token = await getToken();
+        const res = await fetch(
+          `${API_URL}/search?${new URLSearchParams({ q, limit: "10" })}`,
+          {
+            headers: { Authorization: `Bearer ${token}` },
+            signal: controller.signal,
+          }
+        );
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        setResults(data.results);
+        setWarning(
+          data.errors.length ? "Some sources could not be searched" : ""
+        );
+        setActive(data.results.length ? 0 : -1);
+      } catch (err) {
+        if (err.name === "AbortError") return;
+        console.error("Search failed:", err);
+        setResults([]);
+        setWarning("Search failed");
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [text, getToken]);
+
+  // Close the suggestions on clicks elsewhere
+  useEffect(() => {
+    const onClick = (e) => {
+      if (!boxRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onClick);
+    return () => document.removeEventListener("mousedown", onClick);
+  }, []);
+
+  const choose = (result) => {
+    window.dispatchEvent(
+      new CustomEvent(SEARCH_SELECT_EVENT, { detail: result })
+    );
+    setText(result.name);
+    setOpen(false);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      if (!results.length) return;
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setOpen(true);
+      setActive((i) => (i + step + results.length) % results.length);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (results[active]) choose(results[active]);
+    } else if (e.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  const showList = open && text.trim() && (results.length || !loading);
+
+  return (
+    <div ref={boxRef} className="relative w-48 sm:w-80">
+      <input
+        type="search"
+        value={text}
+        onChange={(e) => {
+          setText(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={onKeyDown}
+        placeholder="Search AOIs and places…"
+        aria-label="Search AOIs and places"
+        className="w-full rounded-full bg-gray-700 text-white placeholder-gray-400 text-sm px-4 py-2 focus:outline-none focus:ring-2 focus:ring-blue-500"
+      />
+      {showList && (
+        <ul className="absolute left-0 right-0 mt-1 bg-white text-gray-800 rounded shadow-lg max-h-96 overflow-y-auto text-sm z-50">
+          {results.map((result, i) => (
+            <li key={`${result.type}:${result.id}`}>
+              <button
+                type="button"
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => choose(result)}
+                onMouseEnter={() => setActive(i)}
+                className={`w-full text-left px-3 py-2 flex items-baseline gap-2 ${
+                  i === active ? "bg-blue-50" : ""
+                }`}
+              >
+                <span className="text-[10px] uppercase font-semibold text-gray-500 w-10 shrink-0">
+                  {TYPE_LABELS[result.type]}
+                </span>
+                <span className="min-w-0">
+                  <span className="block font-medium truncate">
+                    {result.name}
+                  </span>
+                  <span className="block text-xs text-gray-500 truncate">
+                    {result.detail}
+                  </span>
+                </span>
+              </button>
+            </li>
+          ))}
+          {!results.length && !loading && (
+            <li className="px-3 py-2 text-gray-500">No matches</li>
+          )}
+          {warning && (
+            <li className="px-3 py-1 text-xs text-amber-700 border-t">
+              {warning}
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+}
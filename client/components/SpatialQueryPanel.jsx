@@ -0,0 +1,113 @@
+"use client";
+
+const MODES = [
+  { value: "off", label: "Off (feature info)" },
+  { value: "near", label: "AOIs near click" },
+  { value: "containing", label: "AOIs containing click" },
+];
+
+function formatDistance(meters) {
+  if (meters === undefined || meters === null) return null;
+  return meters >= 1000
+    ? `${(meters / 1000).toFixed(2)} km`
+    : `${Math.round(meters)} m`;
+}
+
+/**
+ * Controls for the spatial query tool: pick what a map click should query,
+ * run "intersecting" for the selected AOI, and list the matching AOIs.
+ */
+export default function SpatialQueryPanel({
+  mode,
+  onModeChange,
+  maxDistance,
+  onMaxDistanceChange,
+  selectedAoi,
+  onFindIntersecting,
+  results,
+  onResultClick,
+  onClear,
+}) {
+  return (
+    <div className="bg-white text-gray-800 rounded-lg shadow-lg border border-gray-200 p-3 text-sm w-64">
+      <div className="font-semibold mb-2">Spatial Query</div>
+      <select
+        value={mode}
+        onChange={(e) => onModeChange(e.target.value)}
+        className="border border-gray-300 rounded px-2 py-1 w-full"
+      >
+        {MODES.map((m) => (
+          <option key={m.value} value={m.value}>
+            {m.label}
+          </option>
+        ))}
+      </select>
+
+      {mode === "near" && (
+        <label className="flex items-center justify-between gap-2 mt-2 text-xs text-gray-600">
+          Max distance (m)
+          <input
+            type="number"
+            min="1"
+            value={maxDistance}
+            onChange={(e) => onMaxDistanceChange(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1 w-24"
+          />
+        </label>
+      )}
+      {mode !== "off" && (
+        <p className="mt-2 text-xs text-gray-500">
+          Click the map to run the query.
+        </p>
+      )}
+
+      {selectedAoi && (
+        <button
+          onClick={() => onFindIntersecting(selectedAoi.id)}
+          className="mt-2 w-full text-xs bg-gray-100 hover:bg-gray-200 px-2 py-1 rounded"
+        >
+          AOIs intersecting &quot;{selectedAoi.name || "Unnamed AOI"}&quot;
+        </button>
+      )}
+
+      {results && (
+        <div className="mt-3 border-t pt-2">
+          <div className="flex justify-between items-center mb-1">
+            <span className="font-medium">
+              {results.items.length} result
+              {results.items.length === 1 ? "" : "s"}
+            </span>
+            <button
+              onClick={onClear}
+              className="text-xs text-blue-700 hover:underline"
+            >
+              Clear
+            </button>
+          </div>
+          <ul className="max-h-48 overflow-y-auto space-y-1">
+            {results.items.map((aoi) => (
+              <li key={aoi._id}>
+                <button
+                  onClick={() => onResultClick(aoi)}
+                  className="w-full text-left text-xs hover:bg-blue-50 px-1 py-0.5 rounded flex justify-between gap-2"
+                >
+                  <span className="truncate">
+                    {aoi.name || "Unnamed AOI"}
+                    {aoi.userId === "public" && (
+                      <span className="text-gray-400"> (public)</span>
+                    )}
+                  </span>
+                  {formatDistance(aoi.distance) && (
+                    <span className="text-gray-500 shrink-0">
+                      {formatDistance(aoi.distance)}
+                    </span>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
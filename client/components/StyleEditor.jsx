@@ -0,0 +1,222 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5001";
+
+// Starting point for a new style: one polygon rule for the layer
+function sldTemplate(layerName) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<StyledLayerDescriptor version="1.0.0"
+    xmlns="http://www.opengis.net/sld"
+    xmlns:ogc="http://www.opengis.net/ogc">
+  <NamedLayer>
+    <Name>${layerName}</Name>
+    <UserStyle>
+      <Title>Custom style</Title>
+      <FeatureTypeStyle>
+        <Rule>
+          <PolygonSymbolizer>
+            <Fill>
+              <CssParameter name="fill">#3b82f6</CssParameter>
+              <CssParameter name="fill-opacity">0.5</CssParameter>
+            </Fill>
+            <Stroke>
+              <CssParameter name="stroke">#1e3a8a</CssParameter>
+              <CssParameter name="stroke-width">1</CssParameter>
+            </Stroke>
+          </PolygonSymbolizer>
+        </Rule>
+      </FeatureTypeStyle>
+    </UserStyle>
+  </NamedLayer>
+</StyledLayerDescriptor>
+`;
+}
+
+/**
+ * Modal for uploading or writing an SLD for one WMS layer (`target` is
+ * { key, title, source, name }; null hides it). Saved styles are immutable on
+ * the server, so editing one saves a copy. `styles` are the user's SLDs for
+ * the layer; onSaved(key, style) is called with a new one to select it.
+ */
+export default function StyleEditor({
+  target,
+  styles,
+  getToken,
+  onSaved,
+  onDeleted,
+  onClose,
+}) {
+  const [name, setName] = useState("");
+  const [body, setBody] = useState("");
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Fresh template whenever the editor opens for a layer
+  useEffect(() => {
+    if (!target) return;
+    setName("");
+    setBody(sldTemplate(target.name));
+    setError(null);
+  }, [target]);
+
+  if (!target) return null;
+
+  // Authenticated request to /styles; throws with the server's message
+  const request = async (path, options = {}) => {
+    const token = await getToken();
+    if (!token) throw new Error("Authentication token not available");
+    const res = await fetch(`${API_URL}/styles${path}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${token}` },
+    });
+    if (!res.ok) {
+      const data = await res.json().catch(() => ({}));
+      throw new Error(data.error || `Server error: ${res.status}`);
+    }
+    return res;
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setBody(await file.text());
+    if (!name) setName(file.name.replace(/\.(sld|xml)$/i, ""));
+  };
+
+  const handleEdit = async (style) => {
+    try {
+      setError(null);
+      const res = await request(`/${style._id}/sld`);
+      setBody(await res.text());
+      setName(`${style.name} (copy)`);
+    } catch (err) {
+      console.error("Error loading style:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (style) => {
+    if (!window.confirm(`Delete the style "${style.name}"?`)) return;
+    try {
+      setError(null);
+      await request(`/${style._id}`, { method: "DELETE" });
+      onDeleted(style._id);
+    } catch (err) {
+      console.error("Error deleting style:", err);
+      setError(err.message);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setIsSaving(true);
+      setError(null);
+      const res = await request("", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          source: target.source,
+          layer: target.name,
+          name: name.trim(),
+          body,
+        }),
+      });
+      onSaved(target.key, await res.json());
+      onClose();
+    } catch (err) {
+      console.error("Error saving style:", err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-[1000]">
+      <div className="bg-white text-gray-800 rounded-lg shadow-xl w-full max-w-2xl p-5">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="font-bold text-lg">Custom SLD: {target.title}</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 text-xl font-bold"
+          >
+            ×
+          </button>
+        </div>
+
+        {styles.length > 0 && (
+          <div className="mb-4 text-sm">
+            <div className="font-semibold mb-1">Your styles</div>
+            <ul className="border border-gray-200 rounded divide-y max-h-32 overflow-y-auto">
+              {styles.map((style) => (
+                <li
+                  key={style._id}
+                  className="flex items-center justify-between px-2 py-1"
+                >
+                  <span className="truncate">{style.name}</span>
+                  <span className="flex gap-2 text-xs shrink-0">
+                    <button
+                      onClick={() => handleEdit(style)}
+                      className="text-blue-700 hover:underline"
+                    >
+                      Edit a copy
+                    </button>
+                    <button
+                      onClick={() => handleDelete(style)}
+                      className="text-red-700 hover:underline"
+                    >
+                      Delete
+                    </button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-3 text-sm">
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Style name"
+              maxLength={100}
+              required
+              className="border border-gray-300 rounded px-2 py-1 flex-1"
+            />
+            <input
+              type="file"
+              accept=".sld,.xml"
+              onChange={handleFile}
+              className="text-xs"
+            />
+          </div>
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            spellCheck={false}
+            rows={16}
+            className="w-full border border-gray-300 rounded px-2 py-1 font-mono text-xs"
+          />
+          <p className="text-xs text-gray-500">
+            SLD 1.0 with a NamedLayer named <code>{target.name}</code>. The map
+            server renders tiles and the legend with it.
+          </p>
+          <button
+            type="submit"
+            disabled={!name.trim() || !body.trim() || isSaving}
+            className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 text-white px-4 py-2 rounded"
+          >
+            {isSaving ? "Saving..." : "Save and apply"}
+          </button>
+        </form>
+
+        {error && <p className="mt-3 text-sm text-red-700">{error}</p>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,160 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+const SPEEDS = [0.5, 1, 2, 4]; // frames per second
+const PREFETCH_FRAMES = 3;
+
+// "2020-06-01T06:00:00.000Z" -> "2020-06-01 06:00 UTC"; other values as given
+function formatTime(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})(:\d{2}(\.\d+)?)?Z$/.exec(
+    value
+  );
+  if (!match) return value;
+  return match[2] === "00:00" ? match[1] : `${match[1]} ${match[2]} UTC`;
+}
+
+// Index of the layer's default time (the latest when there is none)
+function defaultIndex({ times, defaultTime }) {
+  const i = times.indexOf(defaultTime);
+  if (i >= 0) return i;
+  const target = Date.parse(defaultTime);
+  if (Number.isFinite(target)) {
+    const after = times.findIndex((t) => Date.parse(t) >= target);
+    if (after >= 0) return after;
+  }
+  return times.length - 1;
+}
+
+/**
+ * Steps a temporal WMS layer through the instants of its TIME dimension:
+ * slider, step buttons, play / pause with loop and speed. Frames wait for
+ * the previous one to finish loading (isLoading) and the next few are
+ * prefetched through onPrefetch so playback stays smooth.
+ * `layers` are { key, title, times, defaultTime }.
+ */
+export default function TimelineControl({
+  layers,
+  onTimeChange,
+  onPrefetch,
+  isLoading,
+}) {
+  const [layerKey, setLayerKey] = useState(layers[0]?.key);
+  const [indices, setIndices] = useState({}); // layer key -> selected index
+  const [playing, setPlaying] = useState(false);
+  const [loop, setLoop] = useState(true);
+  const [speed, setSpeed] = useState(1);
+  const [, setWaits] = useState(0); // re-renders while a frame is loading
+
+  const layer = layers.find((l) => l.key === layerKey) || layers[0];
+  const times = layer?.times || [];
+  const index = layer ? (indices[layer.key] ?? defaultIndex(layer)) : 0;
+
+  const goTo = (i) => {
+    if (!layer || i < 0 || i >= times.length) return;
+    setIndices((prev) => ({ ...prev, [layer.key]: i }));
+    onTimeChange(layer.key, times[i]);
+    onPrefetch(layer.key, times.slice(i + 1, i + 1 + PREFETCH_FRAMES));
+  };
+
+  // Advance one frame per tick once the current frame has loaded
+  useEffect(() => {
+    if (!playing || !layer) return;
+    const timer = setTimeout(() => {
+      if (isLoading(layer.key)) {
+        // Wait another tick rather than skipping the frame
+        setWaits((n) => n + 1);
+        return;
+      }
+      if (index + 1 < times.length) goTo(index + 1);
+      else if (loop) goTo(0);
+      else setPlaying(false);
+    }, 1000 / speed);
+    return () => clearTimeout(timer);
+  });
+
+  if (!layer) return null;
+
+  return (
+    <div className="bg-white text-gray-800 rounded-lg shadow-lg border border-gray-200 p-3 text-sm w-96">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <select
+          value={layer.key}
+          onChange={(e) => {
+            setPlaying(false);
+            setLayerKey(e.target.value);
+          }}
+          className="border border-gray-300 rounded px-2 py-1 text-xs flex-1 min-w-0"
+        >
+          {layers.map((l) => (
+            <option key={l.key} value={l.key}>
+              {l.title}
+            </option>
+          ))}
+        </select>
+        <span className="font-mono text-xs whitespace-nowrap">
+          {formatTime(times[index])}
+        </span>
+      </div>
+
+      <input
+        type="range"
+        min="0"
+        max={times.length - 1}
+        value={index}
+        onChange={(e) => goTo(Number(e.target.value))}
+        className="w-full accent-blue-600 cursor-pointer"
+      />
+
+      <div className="flex items-center justify-between gap-2 mt-1 text-xs">
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => goTo(index - 1)}
+            disabled={index === 0}
+            className="bg-gray-100 hover:bg-gray-200 disabled:opacity-50 px-2 py-1 rounded"
+            title="Previous time"
+          >
+            ◀
+          </button>
+          <button
+            onClick={() => setPlaying((p) => !p)}
+            className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded w-16"
+          >
+            {playing ? "Pause" : "Play"}
+          </button>
+          <button
+            onClick={() => goTo(index + 1)}
+            disabled={index === times.length - 1}
+            className="bg-gray-100 hover:bg-gray-200 disabled:opacity-50 px-2 py-1 rounded"
+            title="Next time"
+          >
+            ▶
+          </button>
+        </div>
+        <label className="flex items-center gap-1 text-gray-600">
+          <input
+            type="checkbox"
+            checked={loop}
+            onChange={(e) => setLoop(e.target.checked)}
+          />
+          Loop
+        </label>
+        <select
+          value={speed}
+          onChange={(e) => setSpeed(Number(e.target.value))}
+          className="border border-gray-300 rounded px-1 py-0.5"
+          title="Frames per second"
+        >
+          {SPEEDS.map((s) => (
+            <option key={s} value={s}>
+              {s} fps
+            </option>
+          ))}
+        </select>
+        <span className="text-gray-500">
+          {index + 1} / {times.length}
+        </span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+"use client";
+
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const KIND_STYLES = {
+  success: "bg-green-100 border-green-300 text-green-800",
+  error: "bg-red-100 border-red-300 text-red-800",
+  info: "bg-white border-gray-200 text-gray-800",
+};
+
+// How long a toast stays up (ms); errors get longer to be read
+const DURATIONS = { success: 4000, info: 4000, error: 8000 };
+
+/**
+ * Toast notifications for a component tree: notify(kind, message) shows one
+ * ("success" | "error" | "info") and dismiss(id) closes it early. notify is
+ * stable, so map event handlers registered once can keep using it.
+ */
+export function useToasts() {
+  const [toasts, setToasts] = useState([]);
+  const nextId = useRef(1);
+
+  const dismiss = useCallback((id) => {
+    setToasts((prev) => prev.filter((toast) => toast.id !== id));
+  }, []);
+
+  const notify = useCallback((kind, message) => {
+    const id = nextId.current++;
+    setToasts((prev) => [...prev, { id, kind, message }]);
+  }, []);
+
+  return { toasts, notify, dismiss };
+}
+
+function Toast({ toast, onDismiss }) {
+  useEffect(() => {
+    const timer = setTimeout(
+      () => onDismiss(toast.id),
+      DURATIONS[toast.kind] || DURATIONS.info
+    );
+    return () => clearTimeout(timer);
+  }, [toast, onDismiss]);
+
+  return (
+    <div
+      role={toast.kind === "error" ? "alert" : "status"}
+      className={`flex items-start gap-3 border rounded-lg shadow-lg px-4 py-2 text-sm max-w-md ${
+        KIND_STYLES[toast.kind] || KIND_STYLES.info
+      }`}
+    >
+      <span className="flex-1 break-words">{toast.message}</span>
+      <button
+        onClick={() => onDismiss(toast.id)}
+        className="opacity-60 hover:opacity-100 font-bold"
+        aria-label="Dismiss"
+      >
+        ×
+      </button>
+    </div>
+  );
+}
+
+/** Stack of the toasts from useToasts(), bottom centre of the screen */
+export default function Toasts({ toasts, onDismiss }) {
+  if (!toasts.length) return null;
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-[1100] flex flex-col items-center gap-2">
+      {toasts.map((toast) => (
+        <Toast key={toast.id} toast={toast} onDismiss={onDismiss} />
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+// Leaflet control with the cursor position in a chosen notation and a
+// "go to coordinate" box. Formatting and parsing come from
+// shared/coordinates.js, which the server uses for ?coord= too.
+
+import {
+  COORDINATE_FORMATS,
+  formatCoordinate,
+  parseCoordinate,
+} from "../../shared/coordinates";
+
+const FORMAT_LABELS = { dd: "DD", dms: "DMS", utm: "UTM", mgrs: "MGRS" };
+const MARKER_MS = 15000; // how long the go-to marker stays
+
+/**
+ * Adds the coordinate control to the bottom left of the map. The readout
+ * follows the mouse (or the map centre before it moves); clicking it copies
+ * the text. The go-to box takes decimal or DMS degrees, UTM or MGRS, pans
+ * there and drops a temporary marker.
+ */
+export function addCoordinateControl(L, map) {
+  let format = "dd";
+  let latlng = map.getCenter();
+  let marker = null;
+  let markerTimer;
+
+  const CoordinateControl = L.Control.extend({
+    options: { position: "bottomleft" },
+
+    onAdd() {
+      const container = L.DomUtil.create(
+        "div",
+        "leaflet-bar bg-white text-gray-800 text-xs px-2 py-1 space-y-1"
+      );
+      L.DomEvent.disableClickPropagation(container);
+      L.DomEvent.disableScrollPropagation(container);
+
+      const row = L.DomUtil.create("div", "flex items-center gap-2", container);
+      const select = L.DomUtil.create(
+        "select",
+        "border border-gray-300 rounded px-1 py-0.5",
+        row
+      );
+      COORDINATE_FORMATS.forEach((key) => {
+        const option = L.DomUtil.create("option", "", select);
+        option.value = key;
+        option.textContent = FORMAT_LABELS[key];
+      });
+
+      const readout = L.DomUtil.create(
+        "button",
+        "font-mono min-w-[13rem] text-left hover:bg-gray-100 rounded px-1",
+        row
+      );
+      readout.type = "button";
+      readout.title = "Click to copy";
+
+      const toggle = L.DomUtil.create(
+        "button",
+        "hover:bg-gray-100 rounded px-1",
+        row
+      );
+      toggle.type = "button";
+      toggle.title = "Go to coordinate";
+      toggle.textContent = "⌖";
+
+      const form = L.DomUtil.create("form", "hidden", container);
+      const input = L.DomUtil.create(
+        "input",
+        "border border-gray-300 rounded px-1 py-0.5 w-64",
+        form
+      );
+      input.placeholder = "23.7, 91.6 · 23°42'N 91°36'E · 46QGB4567821456";
+      const go = L.DomUtil.create(
+        "button",
+        "ml-1 bg-blue-600 hover:bg-blue-700 text-white rounded px-2 py-0.5",
+        form
+      );
+      go.type = "submit";
+      go.textContent = "Go";
+      const message = L.DomUtil.create("div", "text-red-700", form);
+
+      const render = () => {
+        readout.textContent =
+          formatCoordinate(latlng.lat, latlng.lng, format) ||
+          `No ${FORMAT_LABELS[format]} here`;
+      };
+
+      map.on("mousemove", (e) => {
+        latlng = e.latlng.wrap();
+        render();
+      });
+      L.DomEvent.on(select, "change", () => {
+        format = select.value;
+        render();
+      });
+
+      L.DomEvent.on(readout, "click", async () => {
+        const text = readout.textContent;
+        try {
+          await navigator.clipboard.writeText(text);
+          readout.textContent = "Copied";
+        } catch {
+          readout.textContent = "Copy failed";
+        }
+        setTimeout(render, 800);
+      });
+
+      L.DomEvent.on(toggle, "click", () => {
+        form.classList.toggle("hidden");
+        if (!form.classList.contains("hidden")) input.focus();
+      });
+
+      L.DomEvent.on(form, "submit", (e) => {
+        L.DomEvent.preventDefault(e);
+        const point = parseCoordinate(input.value);
+        if (!point) {
+          message.textContent =
+            "Unrecognised coordinate; use lat, lng, DMS, UTM or MGRS";
+          return;
+        }
+        message.textContent = "";
+        const target = L.latLng(point.lat, point.lng);
+        map.setView(target, Math.max(map.getZoom(), 14));
+
+        clearTimeout(markerTimer);
+        marker?.remove();
+        marker = L.circleMarker(target, {
+          radius: 9,
+          color: "#dc2626",
+          weight: 3,
+          fillOpacity: 0.3,
+        })
+          .bindTooltip(formatCoordinate(point.lat, point.lng, point.format), {
+            permanent: true,
+            direction: "top",
+            offset: [0, -10],
+          })
+          .addTo(map);
+        markerTimer = setTimeout(() => {
+          marker?.remove();
+          marker = null;
+        }, MARKER_MS);
+      });
+
+      render();
+      return container;
+    },
+  });
+
+  return new CoordinateControl().addTo(map);
+}
@@ -0,0 +1,119 @@
+// Helpers for GetFeatureInfo results: map-CRS geometries back to lon/lat,
+// titles, per-layer grouping and CSV / GeoJSON export.
+
+// Applies fn([x, y]) to every position of GeoJSON coordinates
+function mapPositions(coordinates, fn) {
+  if (typeof coordinates[0] === "number") return fn(coordinates);
+  return coordinates.map((c) => mapPositions(c, fn));
+}
+
+/**
+ * GeoJSON geometry in the map's projected CRS (what GetFeatureInfo answers
+ * for an EPSG:3857 request) as lon/lat; `crs` is a Leaflet CRS.
+ */
+export function unprojectGeometry(geometry, crs, L) {
+  if (!geometry?.coordinates && !geometry?.geometries) return null;
+  if (geometry.type === "GeometryCollection") {
+    return {
+      type: geometry.type,
+      geometries: geometry.geometries.map((g) => unprojectGeometry(g, crs, L)),
+    };
+  }
+  return {
+    type: geometry.type,
+    coordinates: mapPositions(geometry.coordinates, ([x, y]) => {
+      const latlng = crs.unproject(L.point(x, y));
+      return [latlng.lng, latlng.lat];
+    }),
+  };
+}
+
+// Property names that usually hold a human-readable label
+const TITLE_KEYS = ["name", "NAME", "title", "label", "Name"];
+
+export function featureTitle(feature, index = 0) {
+  const key = TITLE_KEYS.find((k) => feature.properties?.[k]);
+  if (key) return String(feature.properties[key]);
+  return feature.id ? String(feature.id) : `Feature ${index + 1}`;
+}
+
+/**
+ * Features grouped by their layer, in first-seen order:
+ * [{ layer, title, features }]; titles come from `feature.layerTitle`.
+ */
+export function groupByLayer(features) {
+  const groups = new Map();
+  features.forEach((feature) => {
+    const layer = feature.layer || "";
+    if (!groups.has(layer)) {
+      groups.set(layer, {
+        layer,
+        title: feature.layerTitle || layer || "Unknown layer",
+        features: [],
+      });
+    }
+    groups.get(layer).features.push(feature);
+  });
+  return [...groups.values()];
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with one row per feature: layer, id, the clicked lat / lng, then the
+ * union of all property names and the geometry as GeoJSON.
+ */
+export function featuresToCsv(features) {
+  const columns = [];
+  features.forEach((feature) =>
+    Object.keys(feature.properties || {}).forEach((key) => {
+      if (!columns.includes(key)) columns.push(key);
+    })
+  );
+  const header = ["layer", "id", "lat", "lng", ...columns, "geometry"];
+  const rows = features.map((feature) => [
+    feature.layer,
+    feature.id,
+    feature.latlng?.lat,
+    feature.latlng?.lng,
+    ...columns.map((key) => feature.properties?.[key]),
+    feature.geometry,
+  ]);
+  return [header, ...rows]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n");
+}
+
+/** FeatureCollection of the features (lon/lat geometries) */
+export function featuresToGeoJson(features) {
+  return JSON.stringify(
+    {
+      type: "FeatureCollection",
+      features: features.map((feature) => ({
+        type: "Feature",
+        ...(feature.id !== undefined && { id: feature.id }),
+        properties: { layer: feature.layer, ...feature.properties },
+        geometry: feature.geometry,
+      })),
+    },
+    null,
+    2
+  );
+}
+
+/** Saves text as a file through a temporary download link */
+export function downloadText(text, filename, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
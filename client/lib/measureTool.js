@@ -0,0 +1,235 @@
+// Distance and area measuring on the map. Shapes are drawn with Leaflet.Draw
+// handlers and measured geodesically on the WGS84 ellipsoid, like the
+// server's AOI metrics.
+
+import geographiclib from "geographiclib-geodesic";
+import { formatArea, formatLength } from "./units";
+
+const geod = geographiclib.Geodesic.WGS84;
+
+// layerType of the draw:created events of the measure handlers, so the AOI
+// drawing handler can tell them apart
+export const MEASURE_LAYER_TYPES = {
+  line: "measure-line",
+  area: "measure-area",
+};
+
+const SHAPE_OPTIONS = {
+  color: "#db2777",
+  weight: 3,
+  opacity: 0.9,
+  fillOpacity: 0.15,
+  dashArray: "8 6",
+};
+
+/** Geodesic length (m) of each segment between consecutive latlngs */
+export function segmentLengths(latlngs) {
+  return latlngs
+    .slice(1)
+    .map(
+      (ll, i) =>
+        geod.Inverse(latlngs[i].lat, latlngs[i].lng, ll.lat, ll.lng).s12
+    );
+}
+
+/** Geodesic area (m²) and perimeter (m) of the ring through the latlngs */
+export function polygonMeasure(latlngs) {
+  if (latlngs.length < 3) return { area: 0, perimeter: 0 };
+  const polygon = geod.Polygon(false);
+  latlngs.forEach(({ lat, lng }) => polygon.AddPoint(lat, lng));
+  const { area, perimeter } = polygon.Compute(false, true);
+  return { area: Math.abs(area), perimeter };
+}
+
+/**
+ * Measure tool for a map. `map.fire("measurechange", { state })` reports
+ * every change; state is null when nothing is measured, otherwise
+ * { mode: "line" | "area", latlngs, segments (m), length (m), area (m²),
+ * finished }. Segments are labelled on the map as they are drawn.
+ *   start(mode)      begin a new measurement ("line" or "area")
+ *   clear()          stop drawing and remove the measurement
+ *   setUnits({ length, area })   unit keys of lib/units.js for the labels
+ *   mode()           mode being drawn or shown, null when idle
+ *   isActive()       true while a shape is being drawn
+ */
+export function createMeasureTool(L, map) {
+  const shapes = L.featureGroup().addTo(map);
+  const labels = L.layerGroup().addTo(map);
+  let units = { length: "km", area: "ha" };
+  let handler = null;
+  let mode = null;
+  let vertices = []; // placed vertices while drawing
+  let state = null;
+
+  const tool = {};
+
+  const label = (latlng, text, className = "") =>
+    L.tooltip({
+      permanent: true,
+      direction: "center",
+      className: `measure-label ${className}`,
+    })
+      .setLatLng(latlng)
+      .setContent(text)
+      .addTo(labels);
+
+  const drawLabels = () => {
+    labels.clearLayers();
+    if (!state) return;
+    const { latlngs, segments, finished } = state;
+    segments.forEach((length, i) => {
+      if (!length) return;
+      const a = latlngs[i];
+      const b = latlngs[(i + 1) % latlngs.length];
+      label(
+        L.latLng((a.lat + b.lat) / 2, (a.lng + b.lng) / 2),
+        formatLength(length, units.length)
+      );
+    });
+    if (finished && state.mode === "line" && latlngs.length > 1) {
+      label(
+        latlngs[latlngs.length - 1],
+        `Total ${formatLength(state.length, units.length)}`,
+        "font-semibold"
+      );
+    }
+    if (state.mode === "area" && state.area > 0) {
+      label(
+        L.latLngBounds(latlngs).getCenter(),
+        formatArea(state.area, units.area),
+        "font-semibold"
+      );
+    }
+  };
+
+  const update = (latlngs, finished) => {
+    if (!latlngs.length) {
+      state = null;
+    } else {
+      // A finished area also has its closing segment
+      const closed = mode === "area" && finished && latlngs.length > 2;
+      const segments = segmentLengths(
+        closed ? [...latlngs, latlngs[0]] : latlngs
+      );
+      const { area, perimeter } = polygonMeasure(
+        mode === "area" ? latlngs : []
+      );
+      state = {
+        mode,
+        latlngs,
+        segments,
+        length: perimeter || segments.reduce((sum, s) => sum + s, 0),
+        area,
+        finished,
+      };
+    }
+    drawLabels();
+    map.fire("measurechange", { state });
+  };
+
+  const onVertex = (e) => {
+    vertices = e.layers.getLayers().map((marker) => marker.getLatLng());
+    update(vertices, false);
+  };
+
+  // Follow the cursor from the last vertex. Leaflet.Draw's cursor marker
+  // keeps mousemove from the map, so listen on the container
+  const onMouseMove = (e) => {
+    if (vertices.length) {
+      update([...vertices, map.mouseEventToLatLng(e)], false);
+    }
+  };
+
+  const onCreated = (e) => {
+    if (e.layerType !== MEASURE_LAYER_TYPES[mode]) return;
+    shapes.addLayer(e.layer);
+    const latlngs = e.layer.getLatLngs();
+    update(mode === "area" ? latlngs[0] : latlngs, true);
+  };
+
+  // Fired after draw:created too; a shape never finished is dropped
+  const onDrawStop = () => {
+    map.off(L.Draw.Event.DRAWVERTEX, onVertex);
+    L.DomEvent.off(map.getContainer(), "mousemove", onMouseMove);
+    map.off(L.Draw.Event.CREATED, onCreated);
+    map.off(L.Draw.Event.DRAWSTOP, onDrawStop);
+    handler = null;
+    vertices = [];
+    if (!state?.finished) update([], false);
+  };
+
+  tool.start = (newMode) => {
+    tool.clear();
+    mode = newMode;
+    handler =
+      mode === "area"
+        ? new L.Draw.Polygon(map, {
+            shapeOptions: SHAPE_OPTIONS,
+            showArea: false,
+            showLength: false,
+          })
+        : new L.Draw.Polyline(map, {
+            shapeOptions: { ...SHAPE_OPTIONS, fill: false },
+            showLength: false,
+          });
+    handler.type = MEASURE_LAYER_TYPES[mode];
+    map.on(L.Draw.Event.DRAWVERTEX, onVertex);
+    L.DomEvent.on(map.getContainer(), "mousemove", onMouseMove);
+    map.on(L.Draw.Event.CREATED, onCreated);
+    map.on(L.Draw.Event.DRAWSTOP, onDrawStop);
+    handler.enable();
+  };
+
+  tool.clear = () => {
+    handler?.disable();
+    shapes.clearLayers();
+    vertices = [];
+    update([], false);
+  };
+
+  tool.setUnits = (next) => {
+    units = { ...units, ...next };
+    drawLabels();
+  };
+
+  tool.mode = () => (handler || state ? mode : null);
+
+  tool.isActive = () => Boolean(handler);
+
+  return tool;
+}
+
+/**
+ * Toolbar with "measure distance" and "measure area" buttons for the top
+ * left corner, under the Leaflet.Draw toolbar. A button of the running
+ * mode clears the measurement instead.
+ */
+export function addMeasureControl(L, map, tool) {
+  const MeasureControl = L.Control.extend({
+    options: { position: "topleft" },
+
+    onAdd() {
+      const bar = L.DomUtil.create("div", "leaflet-bar");
+      [
+        ["line", "📏", "Measure distance"],
+        ["area", "⬠", "Measure area"],
+      ].forEach(([mode, icon, title]) => {
+        const button = L.DomUtil.create("a", "", bar);
+        button.href = "#";
+        button.title = title;
+        button.setAttribute("role", "button");
+        button.setAttribute("aria-label", title);
+        button.textContent = icon;
+        L.DomEvent.disableClickPropagation(button);
+        L.DomEvent.on(button, "click", (e) => {
+          L.DomEvent.preventDefault(e);
+          if (tool.mode() === mode) tool.clear();
+          else tool.start(mode);
+        });
+      });
+      return bar;
+    },
+  });
+
+  return new MeasureControl().addTo(map);
+}
@@ -0,0 +1,32 @@
+// Unit conversion and formatting for geodesic lengths (meters) and areas (m²)
+
+export const LENGTH_UNITS = {
+  m: { label: "m", factor: 1 },
+  km: { label: "km", factor: 1000 },
+  mi: { label: "mi", factor: 1609.344 },
+};
+
+export const AREA_UNITS = {
+  m2: { label: "m²", factor: 1 },
+  ha: { label: "ha", factor: 10000 },
+  km2: { label: "km²", factor: 1000000 },
+  acres: { label: "acres", factor: 4046.8564224 },
+};
+
+function formatNumber(value) {
+  const digits = Math.abs(value) >= 100 ? 0 : Math.abs(value) >= 1 ? 2 : 4;
+  return value.toLocaleString(undefined, {
+    minimumFractionDigits: 0,
+    maximumFractionDigits: digits,
+  });
+}
+
+export function formatLength(meters, unit = "m") {
+  const u = LENGTH_UNITS[unit] || LENGTH_UNITS.m;
+  return `${formatNumber((meters || 0) / u.factor)} ${u.label}`;
+}
+
+export function formatArea(squareMeters, unit = "m2") {
+  const u = AREA_UNITS[unit] || AREA_UNITS.m2;
+  return `${formatNumber((squareMeters || 0) / u.factor)} ${u.label}`;
+}
@@ -0,0 +1,196 @@
+// Leaflet vector layer for a WFS catalog entry. Features of the current view
+// come from the server's /wfs/features proxy and are drawn client-side.
+
+const DEFAULT_STYLE = {
+  color: "#2563eb",
+  weight: 2,
+  opacity: 1,
+  fillColor: "#3b82f6",
+  fillOpacity: 0.2,
+  radius: 6,
+};
+const HOVER_STYLE = { color: "#f59e0b", weight: 4 };
+const SELECTED_STYLE = { color: "#dc2626", weight: 4, fillOpacity: 0.4 };
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Returns an L.GeoJSON layer with `layer.wfs` holding
+ * { features, total, loading, error, filter, selectedId } and methods:
+ *   reload()          first page for the current view (also on every pan / zoom)
+ *   loadMore()        next page, appended
+ *   setFilter(cql)    CQL_FILTER for the type ("" for none) and reload
+ *   selectFeature(id, { zoom })   null clears the selection
+ *   highlightFeature(id)          hover highlight; null clears it
+ * It fires "wfschange" whenever `layer.wfs` changes.
+ */
+export function createWfsLayer(L, entry, source, apiUrl) {
+  const baseStyle = { ...DEFAULT_STYLE, ...(entry.style || {}) };
+  let opacity = entry.opacity ?? 1;
+  let hoveredId = null;
+  let request = null; // AbortController of the running request
+  let moveTimer;
+  const byId = {}; // feature id -> Leaflet layer
+
+  const styleFor = (id) => ({
+    ...baseStyle,
+    ...(id === hoveredId && HOVER_STYLE),
+    ...(id === layer.wfs.selectedId && SELECTED_STYLE),
+    opacity: baseStyle.opacity * opacity,
+    fillOpacity:
+      (id === layer.wfs.selectedId
+        ? SELECTED_STYLE.fillOpacity
+        : baseStyle.fillOpacity) * opacity,
+  });
+
+  const layer = L.geoJSON(null, {
+    style: (feature) => styleFor(feature.id),
+    pointToLayer: (feature, latlng) =>
+      L.circleMarker(latlng, { radius: baseStyle.radius }),
+    onEachFeature: (feature, featureLayer) => {
+      byId[feature.id] = featureLayer;
+      featureLayer.on("mouseover", () => layer.highlightFeature(feature.id));
+      featureLayer.on("mouseout", () => layer.highlightFeature(null));
+      featureLayer.on("click", (e) => {
+        // Keep the click from also running a feature info query
+        L.DomEvent.stopPropagation(e);
+        layer.selectFeature(feature.id);
+      });
+    },
+  });
+  layer.options.opacity = opacity;
+  layer.wfs = {
+    features: [],
+    total: null,
+    loading: false,
+    error: null,
+    filter: "",
+    selectedId: null,
+  };
+
+  const update = (changes) => {
+    layer.wfs = { ...layer.wfs, ...changes };
+    layer.fire("wfschange");
+  };
+
+  const restyle = (id) => {
+    const featureLayer = byId[id];
+    if (!featureLayer) return;
+    featureLayer.setStyle(styleFor(id));
+    if (id === hoveredId || id === layer.wfs.selectedId) {
+      featureLayer.bringToFront?.();
+    }
+  };
+
+  async function load(startIndex) {
+    const map = layer._map;
+    if (!map) return;
+    request?.abort();
+    request = new AbortController();
+    const { signal } = request;
+
+    const bounds = map.getBounds();
+    const params = new URLSearchParams({
+      source: source.id,
+      typeName: entry.name,
+      bbox: [
+        bounds.getWest(),
+        bounds.getSouth(),
+        bounds.getEast(),
+        bounds.getNorth(),
+      ]
+        .map((n) => n.toFixed(6))
+        .join(","),
+      startIndex: String(startIndex),
+      count: String(PAGE_SIZE),
+    });
+    if (layer.wfs.filter) params.set("CQL_FILTER", layer.wfs.filter);
+
+    update({ loading: true, error: null });
+    try {
+      const res = await fetch(`${apiUrl}/wfs/features?${params}`, { signal });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `Server error: ${res.status}`);
+
+      if (startIndex === 0) {
+        layer.clearLayers();
+        Object.keys(byId).forEach((id) => delete byId[id]);
+      }
+      layer.addData(data.features);
+      const features =
+        startIndex === 0
+          ? data.features
+          : [...layer.wfs.features, ...data.features];
+      const selectedId = features.some((f) => f.id === layer.wfs.selectedId)
+        ? layer.wfs.selectedId
+        : null;
+      update({
+        features,
+        total: data.numberMatched,
+        loading: false,
+        selectedId,
+      });
+    } catch (err) {
+      if (signal.aborted) return;
+      console.error("Error loading WFS features:", err);
+      update({ loading: false, error: err.message });
+    }
+  }
+
+  layer.reload = () => load(0);
+  layer.loadMore = () => load(layer.wfs.features.length);
+
+  layer.setFilter = (cql) => {
+    update({ filter: cql.trim() });
+    layer.reload();
+  };
+
+  layer.selectFeature = (id, { zoom = false } = {}) => {
+    const previous = layer.wfs.selectedId;
+    update({ selectedId: id });
+    restyle(previous);
+    restyle(id);
+    const featureLayer = byId[id];
+    if (zoom && featureLayer && layer._map) {
+      if (featureLayer.getBounds) {
+        layer._map.fitBounds(featureLayer.getBounds(), {
+          maxZoom: 16,
+          padding: [40, 40],
+        });
+      } else {
+        layer._map.panTo(featureLayer.getLatLng());
+      }
+    }
+  };
+
+  layer.highlightFeature = (id) => {
+    const previous = hoveredId;
+    hoveredId = id;
+    restyle(previous);
+    restyle(id);
+  };
+
+  // Used by the opacity slider in the layer control
+  layer.setOpacity = (value) => {
+    opacity = value;
+    layer.options.opacity = value;
+    Object.keys(byId).forEach(restyle);
+  };
+
+  // Follow the view while the layer is on the map
+  const onMoveEnd = () => {
+    clearTimeout(moveTimer);
+    moveTimer = setTimeout(layer.reload, 300);
+  };
+  layer.on("add", () => {
+    layer._map.on("moveend", onMoveEnd);
+    layer.reload();
+  });
+  layer.on("remove", () => {
+    clearTimeout(moveTimer);
+    request?.abort();
+    layer._map.off("moveend", onMoveEnd);
+  });
+
+  return layer;
+}
@@ -0,0 +1,133 @@
+// Leaflet tile layer for a WMTS catalog entry, built from the source's parsed
+// capabilities (GET /wmts/capabilities). Only tile matrix sets in Web
+// Mercator can be shown on the map.
+
+const WEB_MERCATOR = /(3857|900913|102100|102113|GoogleMapsCompatible)/i;
+const ORIGIN = 20037508.342789244; // half the Web Mercator world width (m)
+const ZOOM0_RESOLUTION = 156543.03392804097; // m/px at zoom 0 for 256 px tiles
+const PIXEL_SIZE = 0.00028; // m, the WMTS "standardized rendering pixel"
+
+// Leaflet zoom -> matrix with its column / row offset from the world origin
+function zoomMatrices(set) {
+  const matrices = {};
+  set.matrices.forEach((matrix) => {
+    const resolution = matrix.scaleDenominator * PIXEL_SIZE;
+    const zoom = Math.log2(ZOOM0_RESOLUTION / resolution);
+    if (Math.abs(zoom - Math.round(zoom)) > 0.01) return;
+    const [x, y] = matrix.topLeftCorner;
+    matrices[Math.round(zoom)] = {
+      ...matrix,
+      colOffset: Math.round((x + ORIGIN) / (matrix.tileWidth * resolution)),
+      rowOffset: Math.round((ORIGIN - y) / (matrix.tileHeight * resolution)),
+    };
+  });
+  return matrices;
+}
+
+// Replace {Name} placeholders case-insensitively; unknown ones are kept
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    values[name.toLowerCase()] !== undefined
+      ? encodeURIComponent(values[name.toLowerCase()])
+      : match
+  );
+}
+
+/**
+ * Tile layer for `entry` (name = layer identifier; optional styleName,
+ * tileMatrixSet, format), or null when the capabilities do not offer the
+ * layer in a Web Mercator tile matrix set.
+ */
+export function createWmtsLayer(L, entry, capabilities) {
+  const layer = capabilities?.layers.find((l) => l.identifier === entry.name);
+  if (!layer) {
+    console.warn("WMTS layer not in the capabilities:", entry.name);
+    return null;
+  }
+
+  const setId =
+    entry.tileMatrixSet ||
+    layer.tileMatrixSets.find((id) =>
+      WEB_MERCATOR.test(capabilities.tileMatrixSets[id]?.crs || id)
+    );
+  const set = capabilities.tileMatrixSets[setId];
+  const matrices = set ? zoomMatrices(set) : {};
+  const zooms = Object.keys(matrices).map(Number);
+  if (!zooms.length) {
+    console.warn("No Web Mercator tile matrix set for WMTS layer:", entry.name);
+    return null;
+  }
+
+  const style =
+    entry.styleName ||
+    (layer.styles.find((s) => s.isDefault) || layer.styles[0])?.identifier ||
+    "default";
+  const format = layer.formats.includes(entry.format)
+    ? entry.format
+    : layer.formats[0] || "image/png";
+  const resource =
+    layer.resourceUrls.find((r) => r.format === format) ||
+    layer.resourceUrls[0];
+  const dimensions = Object.fromEntries(
+    layer.dimensions.map((d) => [d.identifier.toLowerCase(), d.default])
+  );
+
+  const tileUrl = (matrix, col, row) => {
+    if (resource) {
+      return fillTemplate(resource.template, {
+        ...dimensions,
+        style,
+        tilematrixset: setId,
+        tilematrix: matrix.identifier,
+        tilerow: row,
+        tilecol: col,
+      });
+    }
+    const url = new URL(capabilities.getTileUrl);
+    Object.entries({
+      SERVICE: "WMTS",
+      REQUEST: "GetTile",
+      VERSION: "1.0.0",
+      LAYER: layer.identifier,
+      STYLE: style,
+      FORMAT: format,
+      TILEMATRIXSET: setId,
+      TILEMATRIX: matrix.identifier,
+      TILEROW: String(row),
+      TILECOL: String(col),
+    }).forEach(([name, value]) => url.searchParams.set(name, value));
+    return url.toString();
+  };
+
+  const WmtsLayer = L.TileLayer.extend({
+    getTileUrl(coords) {
+      const matrix = matrices[this._getZoomForUrl()];
+      if (!matrix) return L.Util.emptyImageUrl;
+      const col = coords.x - matrix.colOffset;
+      const row = coords.y - matrix.rowOffset;
+      if (
+        col < 0 ||
+        row < 0 ||
+        col >= matrix.matrixWidth ||
+        row >= matrix.matrixHeight
+      ) {
+        return L.Util.emptyImageUrl;
+      }
+      return tileUrl(matrix, col, row);
+    },
+  });
+
+  return new WmtsLayer("", {
+    tileSize: matrices[zooms[0]].tileWidth,
+    minNativeZoom: Math.min(...zooms),
+    maxNativeZoom: Math.max(...zooms),
+    minZoom: entry.minZoom ?? 0,
+    maxZoom: entry.maxZoom ?? 20,
+    bounds: layer.bbox && [
+      [layer.bbox[1], layer.bbox[0]],
+      [layer.bbox[3], layer.bbox[2]],
+    ],
+    opacity: entry.opacity ?? 1,
+    attribution: entry.attribution || "",
+  });
+}
@@ -1,4 +1,7 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // Compile ../shared (code shared with the server) like the app's own files
+  experimental: { externalDir: true },
+};
 
 export default nextConfig;
@@ -0,0 +1,36 @@
+// server/cache/codec.js
+
+/**
+ * Binary form of a cache entry, used by the filesystem and Redis backends:
+ *   [4-byte header length][header JSON][body bytes]
+ * The header holds { expires, tags, value } where `value` is the cached
+ * object without its `body` Buffer, which follows the header unchanged so
+ * images are stored without any re-encoding.
+ */
+
+function encodeEntry({ value, expires, tags }) {
+  const { body, ...rest } = value;
+  const header = Buffer.from(
+    JSON.stringify({ expires, tags, value: rest, hasBody: Boolean(body) })
+  );
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(header.length);
+  return Buffer.concat([length, header, body || Buffer.alloc(0)]);
+}
+
+function headerLength(buffer) {
+  return buffer.readUInt32BE(0);
+}
+
+// Only the header: { expires, tags, value, hasBody }
+function decodeHeader(buffer) {
+  return JSON.parse(buffer.subarray(4, 4 + headerLength(buffer)).toString());
+}
+
+function decodeEntry(buffer) {
+  const { expires, tags, value, hasBody } = decodeHeader(buffer);
+  if (hasBody) value.body = buffer.subarray(4 + headerLength(buffer));
+  return { expires, tags, value };
+}
+
+module.exports = { encodeEntry, decodeHeader, decodeEntry };
@@ -0,0 +1,185 @@
+// server/cache/fileCache.js
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { encodeEntry, decodeHeader, decodeEntry } = require("./codec");
+
+/**
+ * Size-bounded on-disk cache.
+ *
+ * Each entry is one file, <dir>/<first two hash chars>/<sha256 of the key>,
+ * in the codec.js format. The in-memory index keeps the entries in least-
+ * recently-used order together with their expiry and tags; it is rebuilt
+ * from the file headers on first use, so the cache survives restarts. Once
+ * the total size passes `maxBytes` the least recently used entries are
+ * removed until it is back under 90% of the limit.
+ */
+function createFileCache({ dir, maxBytes }) {
+  const index = new Map(); // hash -> { size, expires, tags }, LRU first
+  let totalBytes = 0;
+  let evictions = 0;
+  let ready = null;
+
+  const hashOf = (key) => crypto.createHash("sha256").update(key).digest("hex");
+  const fileOf = (hash) => path.join(dir, hash.slice(0, 2), hash);
+
+  async function readHeader(file) {
+    const handle = await fs.open(file, "r");
+    try {
+      const length = Buffer.alloc(4);
+      await handle.read(length, 0, 4, 0);
+      const buffer = Buffer.alloc(4 + length.readUInt32BE(0));
+      await handle.read(buffer, 0, buffer.length, 0);
+      return decodeHeader(buffer);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  async function scan() {
+    await fs.mkdir(dir, { recursive: true });
+    const found = [];
+    for (const sub of await fs.readdir(dir)) {
+      let names;
+      try {
+        names = await fs.readdir(path.join(dir, sub));
+      } catch (_) {
+        continue; // not a directory
+      }
+      for (const name of names) {
+        if (!/^[0-9a-f]{64}$/.test(name)) continue; // temporary files
+        const file = path.join(dir, sub, name);
+        try {
+          const [stat, header] = await Promise.all([
+            fs.stat(file),
+            readHeader(file),
+          ]);
+          found.push({ hash: name, stat, header });
+        } catch (_) {
+          await fs.rm(file, { force: true }); // unreadable entry
+        }
+      }
+    }
+    found
+      .sort((a, b) => a.stat.atimeMs - b.stat.atimeMs)
+      .forEach(({ hash, stat, header }) => {
+        index.set(hash, {
+          size: stat.size,
+          expires: header.expires,
+          tags: header.tags || [],
+        });
+        totalBytes += stat.size;
+      });
+  }
+
+  function init() {
+    if (!ready) {
+      ready = scan().catch((err) =>
+        console.warn("File cache scan failed:", err.message || err)
+      );
+    }
+    return ready;
+  }
+
+  async function removeHash(hash) {
+    const entry = index.get(hash);
+    if (entry) {
+      totalBytes -= entry.size;
+      index.delete(hash);
+    }
+    await fs.rm(fileOf(hash), { force: true });
+    return Boolean(entry);
+  }
+
+  async function evict() {
+    if (totalBytes <= maxBytes) return;
+    const target = maxBytes * 0.9;
+    for (const hash of [...index.keys()]) {
+      if (totalBytes <= target) break;
+      await removeHash(hash);
+      evictions++;
+    }
+  }
+
+  async function get(key) {
+    await init();
+    const hash = hashOf(key);
+    const entry = index.get(hash);
+    if (!entry) return null;
+    if (entry.expires <= Date.now()) {
+      await removeHash(hash);
+      return null;
+    }
+
+    try {
+      const { value } = decodeEntry(await fs.readFile(fileOf(hash)));
+      // Mark as most recently used
+      index.delete(hash);
+      index.set(hash, entry);
+      return value;
+    } catch (_) {
+      await removeHash(hash); // removed from disk behind our back
+      return null;
+    }
+  }
+
+  async function set(key, value, { ttl, tags = [] }) {
+    await init();
+    const hash = hashOf(key);
+    const file = fileOf(hash);
+    const expires = Date.now() + ttl;
+    const data = encodeEntry({ value, expires, tags });
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    // Write to a temporary file first so readers never see a partial entry;
+    // its name is unique so concurrent writes of one key cannot interleave
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+    try {
+      await fs.writeFile(tmp, data);
+      await fs.rename(tmp, file);
+    } catch (err) {
+      await fs.rm(tmp, { force: true });
+      throw err;
+    }
+
+    if (index.has(hash)) {
+      totalBytes -= index.get(hash).size;
+      index.delete(hash);
+    }
+    index.set(hash, { size: data.length, expires, tags });
+    totalBytes += data.length;
+    await evict();
+  }
+
+  async function remove(key) {
+    await init();
+    await removeHash(hashOf(key));
+  }
+
+  async function purgeTag(tag) {
+    await init();
+    let removed = 0;
+    for (const [hash, entry] of [...index]) {
+      if (entry.tags.includes(tag) && (await removeHash(hash))) removed++;
+    }
+    return removed;
+  }
+
+  async function clear() {
+    await init();
+    let removed = 0;
+    for (const hash of [...index.keys()]) {
+      if (await removeHash(hash)) removed++;
+    }
+    return removed;
+  }
+
+  async function stats() {
+    await init();
+    return { entries: index.size, bytes: totalBytes, maxBytes, evictions };
+  }
+
+  return { get, set, remove, purgeTag, clear, stats };
+}
+
+module.exports = { createFileCache };
@@ -0,0 +1,139 @@
+// server/cache/index.js
+const path = require("path");
+const {
+  cacheSettings,
+  routeTtl,
+  DEFAULT_ROUTE_TTLS,
+} = require("../config/cache");
+const { createMemoryCache } = require("./memoryCache");
+const { createFileCache } = require("./fileCache");
+const { createRedisCache } = require("./redisCache");
+
+/**
+ * Response cache shared by the proxy routes.
+ *
+ * Every backend (memoryCache, fileCache, redisCache) implements:
+ *   get(key)                    -> value or null (expired entries are misses)
+ *   set(key, value, { ttl, tags })   ttl in ms; tags for purgeTag()
+ *   remove(key)
+ *   purgeTag(tag)               -> number of entries removed
+ *   clear()                     -> number of entries removed
+ *   stats()                     -> { entries, bytes, maxBytes, evictions }
+ * Values are plain objects; a `body` Buffer is stored as raw bytes.
+ *
+ * Routes use routeCache(name), which prefixes keys with the route, applies
+ * the route's TTL and counts hits and misses. Backend failures are logged
+ * and treated as misses so a broken cache never breaks a request.
+ */
+
+let backend;
+let backendName;
+function getBackend() {
+  if (!backend) {
+    const settings = cacheSettings();
+    backendName = settings.backend;
+    if (settings.backend === "memory") {
+      backend = createMemoryCache({ maxBytes: settings.maxBytes });
+    } else if (settings.backend === "redis") {
+      backend = createRedisCache({ url: settings.redisUrl });
+    } else {
+      backend = createFileCache({
+        dir: settings.dir || path.join(__dirname, "..", ".cache"),
+        maxBytes: settings.maxBytes,
+      });
+    }
+  }
+  return backend;
+}
+
+const counters = {}; // route -> { hits, misses, sets, errors }
+
+function routeCache(route) {
+  const count = (counters[route] = counters[route] || {
+    hits: 0,
+    misses: 0,
+    sets: 0,
+    errors: 0,
+  });
+  const fullKey = (key) => `${route}|${key}`;
+  let lastWarning = 0;
+  const failed = (action, err) => {
+    count.errors++;
+    // An unreachable backend fails every request; warn every 30 s at most
+    if (Date.now() - lastWarning < 30000) return;
+    lastWarning = Date.now();
+    console.warn(`Cache ${action} failed (${route}):`, err.message || err);
+  };
+
+  return {
+    /** TTL of this route in ms */
+    ttl: () => routeTtl(route),
+
+    async get(key) {
+      try {
+        const value = await getBackend().get(fullKey(key));
+        if (value) count.hits++;
+        else count.misses++;
+        return value;
+      } catch (err) {
+        failed("read", err);
+        count.misses++;
+        return null;
+      }
+    },
+
+    /** Store a value; `ttl` (ms) defaults to the route's TTL */
+    async set(key, value, { ttl = routeTtl(route), tags = [] } = {}) {
+      if (ttl <= 0) return;
+      try {
+        await getBackend().set(fullKey(key), value, { ttl, tags });
+        count.sets++;
+      } catch (err) {
+        failed("write", err);
+      }
+    },
+
+    async remove(key) {
+      try {
+        await getBackend().remove(fullKey(key));
+      } catch (err) {
+        failed("remove", err);
+      }
+    },
+  };
+}
+
+/** Backend size figures plus per-route hit/miss counters and TTLs */
+async function cacheStats() {
+  const stats = await getBackend().stats();
+  const routes = {};
+  let hits = 0;
+  let misses = 0;
+  new Set([
+    ...Object.keys(DEFAULT_ROUTE_TTLS),
+    ...Object.keys(counters),
+  ]).forEach((route) => {
+    const count = counters[route] || { hits: 0, misses: 0, sets: 0, errors: 0 };
+    routes[route] = { ...count, ttl: routeTtl(route) / 1000 };
+    hits += count.hits;
+    misses += count.misses;
+  });
+  return { backend: backendName, hits, misses, ...stats, routes };
+}
+
+/**
+ * Remove cached entries of one layer ({ layer }), one source ({ source }),
+ * or everything. Entries are tagged with tagsFor() when stored.
+ */
+async function purgeCache({ layer, source } = {}) {
+  if (layer) return getBackend().purgeTag(`layer:${layer}`);
+  if (source) return getBackend().purgeTag(`source:${source}`);
+  return getBackend().clear();
+}
+
+// Tags of an entry produced from some layers of a source
+function tagsFor(sourceId, layerNames = []) {
+  return [`source:${sourceId}`, ...layerNames.map((name) => `layer:${name}`)];
+}
+
+module.exports = { routeCache, cacheStats, purgeCache, tagsFor };
@@ -0,0 +1,77 @@
+// server/cache/memoryCache.js
+
+// Approximate memory held by a cached value
+function sizeOf(value) {
+  const { body, ...rest } = value;
+  return (body ? body.length : 0) + JSON.stringify(rest).length;
+}
+
+/**
+ * In-process LRU cache. Entries are kept in a Map in least-recently-used
+ * order; reads move an entry to the end and writes evict from the front
+ * until both `maxEntries` and `maxBytes` hold. Not shared between server
+ * instances and lost on restart.
+ */
+function createMemoryCache({ maxEntries = 10000, maxBytes }) {
+  const entries = new Map(); // key -> { value, size, expires, tags }
+  let bytes = 0;
+  let evictions = 0;
+
+  function drop(key) {
+    const entry = entries.get(key);
+    if (!entry) return false;
+    bytes -= entry.size;
+    entries.delete(key);
+    return true;
+  }
+
+  async function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expires <= Date.now()) {
+      drop(key);
+      return null;
+    }
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  }
+
+  async function set(key, value, { ttl, tags = [] }) {
+    drop(key);
+    const size = sizeOf(value);
+    entries.set(key, { value, size, expires: Date.now() + ttl, tags });
+    bytes += size;
+    while (entries.size > maxEntries || bytes > maxBytes) {
+      drop(entries.keys().next().value);
+      evictions++;
+    }
+  }
+
+  async function remove(key) {
+    drop(key);
+  }
+
+  async function purgeTag(tag) {
+    let removed = 0;
+    for (const [key, entry] of [...entries]) {
+      if (entry.tags.includes(tag) && drop(key)) removed++;
+    }
+    return removed;
+  }
+
+  async function clear() {
+    const removed = entries.size;
+    entries.clear();
+    bytes = 0;
+    return removed;
+  }
+
+  async function stats() {
+    return { entries: entries.size, bytes, maxEntries, maxBytes, evictions };
+  }
+
+  return { get, set, remove, purgeTag, clear, stats };
+}
+
+module.exports = { createMemoryCache };
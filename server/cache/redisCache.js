@@ -0,0 +1,134 @@
+// server/cache/redisCache.js
+const Redis = require("ioredis");
+const { encodeEntry, decodeEntry } = require("./codec");
+
+const COMMAND_TIMEOUT = 5000; // ms without a reply before a command fails
+const MAX_RETRY_DELAY = 5000; // ms between reconnection attempts, at most
+const WARNING_INTERVAL = 60 * 1000; // ms between connection warnings
+
+// PEXPIRE that only ever extends a key's life (a key without an expiry, such
+// as a set SADD just created, gets one). PEXPIRE's GT flag would leave those
+// without one, and needs Redis 7.
+const EXTEND_EXPIRY = `
+local ttl = redis.call("PTTL", KEYS[1])
+if ttl < tonumber(ARGV[1]) then
+  return redis.call("PEXPIRE", KEYS[1], ARGV[1])
+end
+return 0`;
+
+// Key-value pairs of an INFO reply
+function parseInfo(reply) {
+  const info = {};
+  String(reply)
+    .split("\r\n")
+    .forEach((line) => {
+      const i = line.indexOf(":");
+      if (i > 0 && !line.startsWith("#"))
+        info[line.slice(0, i)] = line.slice(i + 1);
+    });
+  return info;
+}
+
+/**
+ * Cache in Redis (or any server speaking its protocol), shared by all server
+ * instances, through ioredis. Expiry and eviction are left to Redis: use a
+ * `maxmemory` limit with an LRU `maxmemory-policy` such as allkeys-lru. Each
+ * tag is a set of entry keys so entries can be purged by tag.
+ *
+ * While Redis is unreachable, commands fail at once instead of queueing (the
+ * cache treats that as a miss) and ioredis reconnects with a growing delay.
+ */
+function createRedisCache({ url, prefix = "geoviewer:cache:" }) {
+  const redis = new Redis(url, {
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1,
+    commandTimeout: COMMAND_TIMEOUT,
+    retryStrategy: (attempt) => Math.min(attempt * 200, MAX_RETRY_DELAY),
+  });
+  redis.defineCommand("extendExpiry", { numberOfKeys: 1, lua: EXTEND_EXPIRY });
+  let lastWarning = 0;
+  redis.on("error", (err) => {
+    if (Date.now() - lastWarning < WARNING_INTERVAL) return;
+    lastWarning = Date.now();
+    console.warn("Redis cache connection error:", err.message);
+  });
+
+  const entryKey = (key) => `${prefix}entry:${key}`;
+  const tagKey = (tag) => `${prefix}tag:${tag}`;
+
+  async function scanKeys(pattern) {
+    const keys = [];
+    let cursor = "0";
+    do {
+      const [next, batch] = await redis.scan(
+        cursor,
+        "MATCH",
+        pattern,
+        "COUNT",
+        1000
+      );
+      cursor = next;
+      keys.push(...batch);
+    } while (cursor !== "0");
+    return keys;
+  }
+
+  async function deleteKeys(keys) {
+    let removed = 0;
+    for (let i = 0; i < keys.length; i += 500) {
+      removed += await redis.del(...keys.slice(i, i + 500));
+    }
+    return removed;
+  }
+
+  async function get(key) {
+    const data = await redis.getBuffer(entryKey(key));
+    return data ? decodeEntry(data).value : null;
+  }
+
+  async function set(key, value, { ttl, tags = [] }) {
+    const expires = Date.now() + ttl;
+    const batch = redis
+      .multi()
+      .set(entryKey(key), encodeEntry({ value, expires, tags }), "PX", ttl);
+    tags.forEach((tag) => {
+      batch.sadd(tagKey(tag), entryKey(key));
+      // A tag set lives as long as the longest-lived entry added to it:
+      // routes with different TTLs share tags
+      batch.extendExpiry(tagKey(tag), ttl);
+    });
+    const results = await batch.exec();
+    const failure = results.find(([err]) => err);
+    if (failure) throw failure[0];
+  }
+
+  async function remove(key) {
+    await redis.del(entryKey(key));
+  }
+
+  async function purgeTag(tag) {
+    const removed = await deleteKeys(await redis.smembers(tagKey(tag)));
+    await redis.del(tagKey(tag));
+    return removed;
+  }
+
+  async function clear() {
+    const removed = await deleteKeys(await scanKeys(`${prefix}entry:*`));
+    await deleteKeys(await scanKeys(`${prefix}tag:*`));
+    return removed;
+  }
+
+  async function stats() {
+    const info = parseInfo(await redis.info());
+    return {
+      entries: (await scanKeys(`${prefix}entry:*`)).length,
+      bytes: Number(info.used_memory) || 0, // whole Redis instance
+      maxBytes: Number(info.maxmemory) || null,
+      evictions: Number(info.evicted_keys) || 0,
+    };
+  }
+
+  return { get, set, remove, purgeTag, clear, stats };
+}
+
+module.exports = { createRedisCache };
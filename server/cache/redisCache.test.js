@@ -0,0 +1,39 @@
+// server/cache/redisCache.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const RedisMock = require("ioredis-mock");
+
+// createRedisCache talks to the in-memory mock instead of a server
+require.cache[require.resolve("ioredis")] = { exports: RedisMock };
+const { createRedisCache } = require("./redisCache");
+
+const URL = "redis://localhost:6379";
+const HOUR = 60 * 60 * 1000;
+
+test("a short-lived entry does not cut the life of a shared tag set", async () => {
+  const cache = createRedisCache({ url: URL, prefix: "test:" });
+  const redis = new RedisMock(URL);
+
+  await cache.set("tile", "map", { ttl: 24 * HOUR, tags: ["layer:roads"] });
+  await cache.set("info", "feature info", {
+    ttl: 5 * 60 * 1000,
+    tags: ["layer:roads"],
+  });
+  assert.ok((await redis.pttl("test:tag:layer:roads")) > 23 * HOUR);
+
+  assert.equal(await cache.purgeTag("layer:roads"), 2);
+  assert.equal(await cache.get("tile"), null);
+  assert.equal(await cache.get("info"), null);
+});
+
+test("a new tag set expires with its entry", async () => {
+  const cache = createRedisCache({ url: URL, prefix: "test:" });
+  const redis = new RedisMock(URL);
+
+  await cache.set("legend", "png", { ttl: HOUR, tags: ["layer:rivers"] });
+  const ttl = await redis.pttl("test:tag:layer:rivers");
+  assert.ok(ttl > 0 && ttl <= HOUR);
+
+  await cache.set("tile", "map", { ttl: 24 * HOUR, tags: ["layer:rivers"] });
+  assert.ok((await redis.pttl("test:tag:layer:rivers")) > 23 * HOUR);
+});
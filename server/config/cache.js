@@ -0,0 +1,61 @@
+// server/config/cache.js
+
+/**
+ * Cache configuration.
+ *
+ * CACHE_BACKEND selects where cached responses live:
+ *   - "fs" (default): files under CACHE_DIR, kept across restarts
+ *   - "memory": an in-process LRU, lost on restart
+ *   - "redis": a Redis-protocol server at REDIS_URL, shared between instances
+ * CACHE_MAX_MB bounds the fs and memory backends.
+ *
+ * Each cached route has a TTL in seconds, overridable with
+ * CACHE_TTL_<ROUTE> (e.g. CACHE_TTL_WMS_MAP=3600).
+ */
+
+const CACHE_BACKENDS = ["fs", "memory", "redis"];
+
+const DEFAULT_ROUTE_TTLS = {
+  "wms-map": 24 * 60 * 60, // rendered tiles
+  "wms-feature-info": 5 * 60,
+  "wms-capabilities": 60 * 60,
+  "wms-legend": 24 * 60 * 60,
+  "wmts-capabilities": 60 * 60,
+  "wfs-features": 5 * 60,
+  "wfs-schema": 60 * 60, // DescribeFeatureType
+  gazetteer: 24 * 60 * 60, // place-name index of GET /search
+};
+
+function envName(route) {
+  return `CACHE_TTL_${route.toUpperCase().replace(/[^A-Z0-9]/g, "_")}`;
+}
+
+// TTL of a route in milliseconds
+function routeTtl(route) {
+  const seconds = Number(process.env[envName(route)] || NaN);
+  if (seconds >= 0) return seconds * 1000;
+  return (DEFAULT_ROUTE_TTLS[route] ?? 5 * 60) * 1000;
+}
+
+function cacheSettings() {
+  const backend = (process.env.CACHE_BACKEND || "fs").toLowerCase();
+  if (!CACHE_BACKENDS.includes(backend)) {
+    console.warn(`Unknown CACHE_BACKEND "${backend}", using fs`);
+  }
+  return {
+    backend: CACHE_BACKENDS.includes(backend) ? backend : "fs",
+    dir: process.env.CACHE_DIR,
+    maxBytes:
+      (Number(process.env.CACHE_MAX_MB) || (backend === "memory" ? 128 : 512)) *
+      1024 *
+      1024,
+    redisUrl: process.env.REDIS_URL || "redis://127.0.0.1:6379",
+  };
+}
+
+module.exports = {
+  CACHE_BACKENDS,
+  DEFAULT_ROUTE_TTLS,
+  routeTtl,
+  cacheSettings,
+};
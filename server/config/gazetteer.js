@@ -0,0 +1,43 @@
+// server/config/gazetteer.js
+
+/**
+ * Feature types whose names feed the place gazetteer of GET /search.
+ *
+ * Each entry names a WFS source of config/layerCatalog.js, a feature type
+ * on it and, optionally, the attributes holding place names (`fields`);
+ * without `fields` every text attribute with "name" in its name is used.
+ * `title` labels the results. GAZETTEER_LAYERS (a JSON array of such
+ * entries) replaces the defaults; "[]" turns the gazetteer off.
+ */
+
+const DEFAULT_GAZETTEER_LAYERS = [
+  {
+    source: "haketech-wfs",
+    typeName: "tripura:tripura_gpvc_boundary",
+    title: "Tripura GP / Village",
+  },
+];
+
+function gazetteerLayers() {
+  if (!process.env.GAZETTEER_LAYERS) return DEFAULT_GAZETTEER_LAYERS;
+  try {
+    const layers = JSON.parse(process.env.GAZETTEER_LAYERS);
+    if (!Array.isArray(layers)) throw new Error("expected an array");
+    return layers.filter((layer) => {
+      const ok =
+        typeof layer?.source === "string" &&
+        typeof layer.typeName === "string" &&
+        (layer.fields === undefined ||
+          (Array.isArray(layer.fields) &&
+            layer.fields.every((f) => typeof f === "string")));
+      if (!ok)
+        console.warn("Ignoring invalid entry in GAZETTEER_LAYERS:", layer);
+      return ok;
+    });
+  } catch (err) {
+    console.warn("GAZETTEER_LAYERS is not valid JSON:", err.message);
+    return DEFAULT_GAZETTEER_LAYERS;
+  }
+}
+
+module.exports = { DEFAULT_GAZETTEER_LAYERS, gazetteerLayers };
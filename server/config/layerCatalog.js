@@ -0,0 +1,155 @@
+// server/config/layerCatalog.js
+
+/**
+ * Map services (sources) the server talks to, and the layers the catalog is
+ * seeded with on first start.
+ *
+ * Sources live in configuration rather than the database because they carry
+ * deployment details: URLs can be overridden with env vars and extra sources
+ * added with LAYER_SOURCES (a JSON array of { id, title, type, url }).
+ * Layers reference a source by id and are managed through /layers.
+ *
+ * Types: "wms", "wfs", "wmts" (service or WMTSCapabilities.xml URL), and
+ * tile templates "xyz" and "tms" (y axis counted from the bottom). Tile
+ * templates may use {layer} for the layer's `name` and {s} with the
+ * source's `subdomains`.
+ *
+ * A source may also carry upstream credentials (`username` / `password` for
+ * HTTP Basic auth, or extra `headers`). They are only ever sent from the
+ * server to the upstream service and never returned to clients.
+ */
+
+const SOURCE_TYPES = ["wms", "wfs", "wmts", "tms", "xyz"];
+
+function buildSources() {
+  const sources = [
+    {
+      id: "haketech",
+      title: "Haketech GeoServer",
+      type: "wms",
+      url:
+        process.env.HAKETECH_WMS_URL ||
+        "https://geoserver01.haketech.com/geoserver/wms",
+      username: process.env.HAKETECH_WMS_USERNAME,
+      password: process.env.HAKETECH_WMS_PASSWORD,
+    },
+    {
+      id: "haketech-wfs",
+      title: "Haketech GeoServer (WFS)",
+      type: "wfs",
+      url:
+        process.env.HAKETECH_WFS_URL ||
+        "https://geoserver01.haketech.com/geoserver/wfs",
+      username: process.env.HAKETECH_WMS_USERNAME,
+      password: process.env.HAKETECH_WMS_PASSWORD,
+    },
+    {
+      id: "haketech-wmts",
+      title: "Haketech GeoWebCache (WMTS)",
+      type: "wmts",
+      url:
+        process.env.HAKETECH_WMTS_URL ||
+        "https://geoserver01.haketech.com/geoserver/gwc/service/wmts",
+    },
+    {
+      id: "osm",
+      title: "OpenStreetMap",
+      type: "xyz",
+      url:
+        process.env.OSM_TILE_URL ||
+        "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    },
+  ];
+
+  if (process.env.LAYER_SOURCES) {
+    try {
+      JSON.parse(process.env.LAYER_SOURCES).forEach((source) => {
+        if (!source?.id || !source.url || !SOURCE_TYPES.includes(source.type)) {
+          console.warn("Ignoring invalid entry in LAYER_SOURCES:", source);
+          return;
+        }
+        const existing = sources.findIndex((s) => s.id === source.id);
+        const entry = { title: source.id, ...source };
+        if (existing >= 0) sources[existing] = entry;
+        else sources.push(entry);
+      });
+    } catch (err) {
+      console.warn("LAYER_SOURCES is not valid JSON:", err.message);
+    }
+  }
+  return sources;
+}
+
+// Built on first use so env vars loaded by dotenv after require() still apply
+let sources;
+function getSources() {
+  if (!sources) sources = buildSources();
+  return sources;
+}
+
+function getSource(id) {
+  return getSources().find((s) => s.id === id) || null;
+}
+
+// Request headers carrying a source's upstream credentials
+function upstreamHeaders(source) {
+  const headers = { ...(source.headers || {}) };
+  if (source.username) {
+    const credentials = `${source.username}:${source.password || ""}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+  }
+  return headers;
+}
+
+const DEFAULT_LAYERS = [
+  {
+    key: "osm",
+    title: "OpenStreetMap",
+    source: "osm",
+    group: "base",
+    visible: true,
+    attribution: "&copy; OpenStreetMap contributors",
+    order: 0,
+  },
+  {
+    key: "tripura-boundary",
+    title: "Tripura Boundary",
+    source: "haketech",
+    name: "tripura:tripura_gpvc_boundary",
+    group: "overlay",
+    opacity: 1,
+    visible: true,
+    queryable: true,
+    order: 10,
+  },
+  {
+    key: "tripura-drainage",
+    title: "Tripura Drainage",
+    source: "haketech",
+    name: "tripura:tripura_drainage",
+    group: "overlay",
+    opacity: 1,
+    visible: true,
+    queryable: true,
+    order: 20,
+  },
+  {
+    key: "tripura-drainage-features",
+    title: "Tripura Drainage (features)",
+    source: "haketech-wfs",
+    name: "tripura:tripura_drainage",
+    group: "overlay",
+    opacity: 1,
+    visible: false,
+    style: { color: "#0284c7", weight: 2 },
+    order: 30,
+  },
+];
+
+module.exports = {
+  SOURCE_TYPES,
+  getSources,
+  getSource,
+  upstreamHeaders,
+  DEFAULT_LAYERS,
+};
@@ -8,8 +8,19 @@ const { verifyToken } = require("@clerk/clerk-sdk-node");
 
 // Import routes and middleware
 const aoiRoutes = require("./routes/aoiRoutes");
+const layerRoutes = require("./routes/layerRoutes");
+const wmsRoutes = require("./routes/wmsRoutes");
+const wfsRoutes = require("./routes/wfsRoutes");
+const wmtsRoutes = require("./routes/wmtsRoutes");
+const styleRoutes = require("./routes/styleRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const searchRoutes = require("./routes/searchRoutes");
 const Aoi = require("./models/Aoi");
+const Layer = require("./models/Layer");
+const { DEFAULT_LAYERS } = require("./config/layerCatalog");
 const { requireAuth } = require("./middleware/auth");
+const { buildRenditions } = require("./utils/simplify");
+const { warmGazetteer } = require("./utils/gazetteer");
 
 // Import fetch for Node.js < 18
 let fetch;
@@ -45,7 +56,7 @@ const corsOptions = {
     return callback(new Error(`CORS not allowed for origin: ${origin}`));
   },
   credentials: true,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "Authorization", "X-Requested-With"],
 };
 
@@ -96,6 +107,34 @@ mongoose
     } catch (e) {
       console.warn("Sample AOI seeding skipped:", e?.message || e);
     }
+    try {
+      // Seed the layer catalog on first start
+      if ((await Layer.countDocuments()) === 0) {
+        await Layer.insertMany(DEFAULT_LAYERS);
+        console.log("Seeded default layer catalog");
+      }
+    } catch (e) {
+      console.warn("Layer catalog seeding skipped:", e?.message || e);
+    }
+    try {
+      // Backfill geodesic metrics, simplified renditions and the first
+      // history revision for older AOIs
+      const missing = await Aoi.find({
+        $or: [
+          { metrics: { $exists: false } },
+          { renditions: { $exists: false } },
+          { revision: { $exists: false } },
+        ],
+      }).select("+renditions");
+      for (const doc of missing) {
+        // the validate hook only rebuilds renditions along with the geometry
+        if (!doc.renditions) doc.renditions = buildRenditions(doc.geometry.toObject());
+        await doc.save();
+      }
+      if (missing.length) console.log(`Backfilled metrics/renditions/history for ${missing.length} AOIs`);
+    } catch (e) {
+      console.warn("AOI backfill skipped:", e?.message || e);
+    }
   })
   .catch((err) => {
     console.error("MongoDB connection error:", err.message || err);
@@ -134,15 +173,6 @@ const bboxSchema = z.object({
   maxLat: z.coerce.number().finite(),
 });
 
-const featureInfoSchema = z.object({
-  x: z.coerce.number().int().min(0),
-  y: z.coerce.number().int().min(0),
-  bbox: z.string(),
-  width: z.coerce.number().int().min(1),
-  height: z.coerce.number().int().min(1),
-  layers: z.string(),
-});
-
 // ---- Routes ----
 app.get("/health", (req, res) => res.json({ 
   ok: true, 
@@ -175,99 +205,20 @@ app.get("/debug/auth", (req, res) => {
 
 // Use AOI routes
 app.use("/aoi", aoiRoutes);
-
-// Simple in-memory cache for WMS requests
-const wmsCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
-const MAX_CACHE_SIZE = 1000; // Maximum number of cached items
-
-// Cache cleanup function
-function cleanupCache() {
-  const now = Date.now();
-  const entries = Array.from(wmsCache.entries());
-  
-  // Remove expired entries
-  for (const [key, value] of entries) {
-    if (now - value.timestamp > CACHE_TTL) {
-      wmsCache.delete(key);
-    }
-  }
-  
-  // If still too many entries, remove oldest ones
-  if (wmsCache.size > MAX_CACHE_SIZE) {
-    const sortedEntries = entries
-      .filter(([_, value]) => now - value.timestamp <= CACHE_TTL)
-      .sort((a, b) => a[1].timestamp - b[1].timestamp);
-    
-    const toRemove = sortedEntries.slice(0, wmsCache.size - MAX_CACHE_SIZE);
-    toRemove.forEach(([key]) => wmsCache.delete(key));
-  }
-}
-
-// Clean cache every 5 minutes
-setInterval(cleanupCache, 5 * 60 * 1000);
-
-// GET /wms/feature-info → WMS GetFeatureInfo proxy with caching
-app.get("/wms/feature-info", async (req, res, next) => {
-  try {
-    const { x, y, bbox, width, height, layers } = featureInfoSchema.parse(req.query);
-    
-    // Create cache key
-    const cacheKey = `${layers}-${x}-${y}-${bbox}-${width}-${height}`;
-    
-    // Check cache
-    const cached = wmsCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-      return res.json(cached.data);
-    }
-    
-    const wmsUrl = "https://geoserver01.haketech.com/geoserver/wms";
-    const params = new URLSearchParams({
-      service: "WMS",
-      version: "1.1.1",
-      request: "GetFeatureInfo",
-      layers: layers,
-      query_layers: layers,
-      info_format: "application/json",
-      feature_count: "10",
-      x: x.toString(),
-      y: y.toString(),
-      bbox: bbox,
-      width: width.toString(),
-      height: height.toString(),
-      srs: "EPSG:4326",
-    });
-
-    const response = await fetch(`${wmsUrl}?${params.toString()}`);
-    
-    if (!response.ok) {
-      throw new Error(`WMS request failed: ${response.status} ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    
-    // Cache the response
-    wmsCache.set(cacheKey, {
-      data: data,
-      timestamp: Date.now()
-    });
-    
-    res.json(data);
-  } catch (err) {
-    if (err.name === "ZodError") {
-      return res.status(400).json({ 
-        error: "Invalid query parameters", 
-        details: err.errors 
-      });
-    }
-    
-    console.error("WMS feature info error:", err);
-    res.status(500).json({ 
-      error: "Failed to fetch feature information",
-      message: err.message 
-    });
-  }
-});
+// Layer catalog
+app.use("/layers", layerRoutes);
+// WMS capabilities, GetMap, GetFeatureInfo and GetLegendGraphic proxies
+app.use("/wms", wmsRoutes);
+// WFS GetFeature proxy
+app.use("/wfs", wfsRoutes);
+// WMTS capabilities
+app.use("/wmts", wmtsRoutes);
+// User SLD styles and per-layer style selections
+app.use("/styles", styleRoutes);
+// Cache statistics and invalidation
+app.use("/admin", adminRoutes);
+// Search over AOIs and the place gazetteer
+app.use("/search", searchRoutes);
 
 // ---- Centralized error handler ----
 app.use((err, req, res, _next) => {
@@ -282,10 +233,12 @@ app.use((err, req, res, _next) => {
 
 // ---- Start server ----
 const PORT = process.env.PORT || 5001;
-app.listen(PORT, () =>
+app.listen(PORT, () => {
   console.log(
     `Server running on port ${PORT} (client origin: ${
       process.env.CLIENT_ORIGIN || "http://localhost:3000"
     })`
-  )
-);
+  );
+  // Index gazetteer place names in the background
+  warmGazetteer();
+});
@@ -1,5 +1,8 @@
 // server/models/Aoi.js
 const mongoose = require("mongoose");
+const { computeMetrics } = require("../utils/geoMetrics");
+const { buildRenditions } = require("../utils/simplify");
+const AoiRevision = require("./AoiRevision");
 
 const GeoJSONSchema = new mongoose.Schema(
   {
@@ -9,17 +12,184 @@ const GeoJSONSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Geodesic measurements derived from geometry (meters / square meters)
+const MetricsSchema = new mongoose.Schema(
+  {
+    area: { type: Number, default: 0 },
+    perimeter: { type: Number, default: 0 },
+    centroid: { type: [Number], default: undefined }, // [lng, lat]
+    bbox: { type: [Number], default: undefined }, // [minLng, minLat, maxLng, maxLat]
+    vertexCount: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+// Per-AOI display style, named after Leaflet path options
+const StyleSchema = new mongoose.Schema(
+  {
+    color: String, // stroke
+    fillColor: String,
+    weight: Number,
+    opacity: Number,
+    fillOpacity: Number,
+    dashArray: String,
+  },
+  { _id: false }
+);
+
+// Simplified copy of the geometry for display at lower zooms
+const RenditionSchema = new mongoose.Schema(
+  {
+    tolerance: { type: Number, required: true }, // degrees
+    geometry: { type: GeoJSONSchema, required: true },
+  },
+  { _id: false }
+);
+
 const AoiSchema = new mongoose.Schema(
   {
     userId: { type: String, required: true, index: true },
     name: { type: String, default: "" },
     description: { type: String, default: "" },
+    tags: { type: [String], default: [] },
+    style: { type: StyleSchema },
+    // Free-form attributes carried over from Feature properties / imported files
+    properties: { type: mongoose.Schema.Types.Mixed, default: {} },
     geometry: { type: GeoJSONSchema, required: true },
+    metrics: { type: MetricsSchema },
+    // Not returned unless selected explicitly ("+renditions"); `geometry` is the lossless original
+    renditions: { type: [RenditionSchema], default: undefined, select: false },
+    // Number of the latest AoiRevision
+    revision: { type: Number },
+    // Soft delete: hidden from queries, restorable from history
+    deletedAt: { type: Date, default: null, index: true },
   },
   { timestamps: true }
 );
 
 // 2dsphere index so GeoJSON queries work
 AoiSchema.index({ geometry: "2dsphere" });
+// sorting / filtering by size
+AoiSchema.index({ "metrics.area": 1 });
+// ?q= search and ?tags= filtering on GET /aoi
+AoiSchema.index({ name: "text", description: "text" });
+AoiSchema.index({ tags: 1 });
+
+// Keep metrics and renditions in sync with geometry on every create/save.
+// `renditions` is not selected by default, so its absence on a loaded doc
+// says nothing; AOIs without renditions are backfilled at startup (index.js).
+AoiSchema.pre("validate", function () {
+  if (!this.geometry) return;
+  if (this.isNew || this.isModified("geometry") || !this.metrics) {
+    const geometry = this.geometry.toObject ? this.geometry.toObject() : this.geometry;
+    this.metrics = computeMetrics(geometry);
+    this.renditions = buildRenditions(geometry);
+  }
+});
+
+// Fields whose changes are recorded as a new revision
+const TRACKED_FIELDS = [
+  "name",
+  "description",
+  "tags",
+  "style",
+  "properties",
+  "geometry",
+  "deletedAt",
+];
+// Fields copied into each revision's snapshot
+const SNAPSHOT_FIELDS = [
+  "userId",
+  "name",
+  "description",
+  "tags",
+  "style",
+  "properties",
+  "geometry",
+  "metrics",
+];
+
+/**
+ * Decide whether this save writes a revision. Routes may set
+ * doc.$locals.author (defaults to the owner), doc.$locals.revisionAction and
+ * doc.$locals.restoredFrom beforehand.
+ *
+ * The revision number is reserved optimistically: the update only matches
+ * while the stored AOI still has the revision this doc was loaded with, so of
+ * two overlapping saves the later one fails with a DocumentNotFoundError
+ * (nothing written) instead of reusing the number.
+ */
+AoiSchema.pre("save", function () {
+  const changes = TRACKED_FIELDS.filter(
+    (field) => field !== "deletedAt" && this.isModified(field)
+  );
+  const untracked = this.revision == null; // created before history existed
+  if (!this.isNew && !untracked && !changes.length && !this.isModified("deletedAt")) {
+    return;
+  }
+
+  let action = this.$locals.revisionAction;
+  if (!action) {
+    if (this.isNew || untracked) action = "create";
+    else if (this.isModified("deletedAt")) action = this.deletedAt ? "delete" : "restore";
+    else action = "update";
+  }
+  if (!this.isNew) this.$where = { revision: this.revision ?? null };
+  this.revision = (this.revision || 0) + 1;
+  this.$locals.pendingRevision = {
+    action,
+    changes: this.isNew || untracked ? [] : changes,
+  };
+});
+
+AoiSchema.post("save", async function () {
+  const pending = this.$locals.pendingRevision;
+  if (!pending) return;
+  delete this.$locals.pendingRevision;
+
+  const current = this.toObject();
+  const snapshot = {};
+  SNAPSHOT_FIELDS.forEach((field) => {
+    if (current[field] !== undefined) snapshot[field] = current[field];
+  });
+
+  // The AOI itself is saved by now: a failure here must not fail the request
+  try {
+    await AoiRevision.create({
+      aoiId: this._id,
+      rev: this.revision,
+      action: pending.action,
+      author: this.$locals.author || this.userId,
+      changes: pending.changes,
+      restoredFrom: this.$locals.restoredFrom,
+      snapshot,
+    });
+  } catch (err) {
+    console.error(`Failed to record revision ${this.revision} of AOI ${this._id}:`, err);
+  }
+});
+
+// Soft-deleted AOIs are hidden unless a query opts in with setOptions({ withDeleted: true })
+AoiSchema.pre(["find", "findOne", "countDocuments"], function () {
+  if (this.getOptions().withDeleted) {
+    delete this.options.withDeleted; // not a driver option
+    return;
+  }
+  if (this.getFilter().deletedAt === undefined) this.where({ deletedAt: null });
+});
+AoiSchema.pre("aggregate", function () {
+  const pipeline = this.pipeline();
+  // $geoNear has to stay the first stage
+  const at = pipeline[0] && pipeline[0].$geoNear ? 1 : 0;
+  pipeline.splice(at, 0, { $match: { deletedAt: null } });
+});
+
+// Renditions are an internal display cache, never part of API responses
+AoiSchema.set("toJSON", {
+  transform: (_doc, ret) => {
+    delete ret.renditions;
+    return ret;
+  },
+});
 
-module.exports = mongoose.models.Aoi || mongoose.model("Aoi", AoiSchema);
\ No newline at end of file
+module.exports = mongoose.models.Aoi || mongoose.model("Aoi", AoiSchema);
@@ -0,0 +1,42 @@
+// server/models/AoiRevision.js
+const mongoose = require("mongoose");
+
+/**
+ * Immutable snapshot of an AOI written on every create, update, delete and
+ * restore. `rev` counts from 1 per AOI; `changes` lists the fields that
+ * differ from the previous revision.
+ */
+
+const AoiRevisionSchema = new mongoose.Schema({
+  aoiId: { type: mongoose.Schema.Types.ObjectId, required: true, immutable: true },
+  rev: { type: Number, required: true, immutable: true },
+  action: {
+    type: String,
+    enum: ["create", "update", "delete", "restore"],
+    required: true,
+    immutable: true,
+  },
+  author: { type: String, required: true, immutable: true },
+  changes: { type: [String], default: [], immutable: true },
+  restoredFrom: { type: Number, immutable: true }, // rev copied by a restore
+  snapshot: { type: mongoose.Schema.Types.Mixed, required: true, immutable: true },
+  createdAt: { type: Date, default: Date.now, immutable: true },
+});
+
+AoiRevisionSchema.index({ aoiId: 1, rev: -1 }, { unique: true });
+
+// History is append-only
+function rejectChange() {
+  throw new Error("AOI revisions are immutable");
+}
+AoiRevisionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne"],
+  rejectChange
+);
+AoiRevisionSchema.pre("save", function () {
+  if (!this.isNew) rejectChange();
+});
+
+module.exports =
+  mongoose.models.AoiRevision ||
+  mongoose.model("AoiRevision", AoiRevisionSchema);
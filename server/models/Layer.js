@@ -0,0 +1,43 @@
+// server/models/Layer.js
+const mongoose = require("mongoose");
+const { DEFAULT_LAYERS } = require("../config/layerCatalog");
+
+/**
+ * One entry of the map layer catalog. `source` is the id of a configured
+ * source (see config/layerCatalog.js); `name` is the layer name on that
+ * service (e.g. the WMS LAYERS value or the WFS type name) and is unused
+ * for XYZ tiles. `style` holds Leaflet path options for WFS features.
+ */
+const LayerSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, trim: true },
+    title: { type: String, required: true },
+    source: { type: String, required: true },
+    name: { type: String, default: "" },
+    group: { type: String, enum: ["base", "overlay"], default: "overlay" },
+    format: { type: String, default: "image/png" },
+    transparent: { type: Boolean, default: true },
+    version: { type: String, default: "1.1.1" },
+    opacity: { type: Number, min: 0, max: 1, default: 1 },
+    minZoom: { type: Number },
+    maxZoom: { type: Number },
+    styleName: { type: String }, // default WMS style / WMTS style identifier
+    tileMatrixSet: { type: String }, // WMTS
+    visible: { type: Boolean, default: false }, // shown when the map opens
+    queryable: { type: Boolean, default: false }, // included in GetFeatureInfo
+    attribution: { type: String, default: "" },
+    style: { type: mongoose.Schema.Types.Mixed }, // WFS only, e.g. { color, weight, fillColor }
+    order: { type: Number, default: 0 }, // draw / list order, ascending
+  },
+  { timestamps: true }
+);
+
+LayerSchema.index({ order: 1 });
+
+// All catalog layers in display order; the built-in defaults while the database is unavailable
+LayerSchema.statics.catalog = async function () {
+  if (mongoose.connection.readyState !== 1) return DEFAULT_LAYERS;
+  return this.find().sort({ order: 1, title: 1 }).lean();
+};
+
+module.exports = mongoose.models.Layer || mongoose.model("Layer", LayerSchema);
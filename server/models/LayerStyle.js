@@ -0,0 +1,23 @@
+// server/models/LayerStyle.js
+const mongoose = require("mongoose");
+
+/**
+ * A Styled Layer Descriptor a user uploaded or wrote for one WMS layer
+ * (`layer` on the configured source `source`). The SLD body never changes,
+ * so tiles cached for a style never go stale: editing saves a new style.
+ */
+const LayerStyleSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true, immutable: true },
+    source: { type: String, required: true, immutable: true },
+    layer: { type: String, required: true, immutable: true },
+    name: { type: String, required: true, trim: true },
+    body: { type: String, required: true, immutable: true }, // SLD XML
+  },
+  { timestamps: true }
+);
+
+LayerStyleSchema.index({ userId: 1, source: 1, layer: 1 });
+
+module.exports =
+  mongoose.models.LayerStyle || mongoose.model("LayerStyle", LayerStyleSchema);
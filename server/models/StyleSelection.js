@@ -0,0 +1,27 @@
+// server/models/StyleSelection.js
+const mongoose = require("mongoose");
+
+/**
+ * The style a user picked for a WMS layer: a named style the source
+ * advertises (`styleName`) or one of their own SLDs (`sld`, see
+ * LayerStyle). Layers without a selection use the catalog's style.
+ */
+const StyleSelectionSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    source: { type: String, required: true },
+    layer: { type: String, required: true },
+    styleName: { type: String, default: "" },
+    sld: { type: mongoose.Schema.Types.ObjectId, ref: "LayerStyle" },
+  },
+  { timestamps: true }
+);
+
+StyleSelectionSchema.index(
+  { userId: 1, source: 1, layer: 1 },
+  { unique: true }
+);
+
+module.exports =
+  mongoose.models.StyleSelection ||
+  mongoose.model("StyleSelection", StyleSelectionSchema);
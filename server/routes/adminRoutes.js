@@ -0,0 +1,59 @@
+// server/routes/adminRoutes.js
+const express = require("express");
+const { z } = require("zod");
+const { requireAuth, requireAdmin } = require("../middleware/auth");
+const { cacheStats, purgeCache } = require("../cache");
+
+const router = express.Router();
+
+router.use(requireAuth, requireAdmin);
+
+/**
+ * GET /admin/cache/stats
+ * - backend, entries, bytes, evictions, hits and misses
+ * - per-route counters and TTLs (seconds) under `routes`
+ */
+router.get("/cache/stats", async (req, res) => {
+  try {
+    return res.json(await cacheStats());
+  } catch (err) {
+    console.error("GET /admin/cache/stats error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+const purgeQuerySchema = z
+  .object({
+    layer: z.string().trim().min(1).optional(),
+    source: z.string().trim().min(1).optional(),
+  })
+  .refine((q) => !(q.layer && q.source), "Pass either layer or source");
+
+/**
+ * DELETE /admin/cache?layer=<name> | ?source=<id>
+ * - removes cached responses of one layer, one source, or (no parameter) everything
+ * - use it when the data behind a layer changes on GeoServer
+ */
+router.delete("/cache", async (req, res) => {
+  const parsed = purgeQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: "Invalid query parameters",
+      details: parsed.error.format(),
+    });
+  }
+
+  try {
+    const removed = await purgeCache(parsed.data);
+    return res.json({ ok: true, removed, ...parsed.data });
+  } catch (err) {
+    console.error("DELETE /admin/cache error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,26 @@
 // server/routes/aoiRoutes.js
 const express = require("express");
+const mongoose = require("mongoose");
+const multer = require("multer");
 const { z } = require("zod");
 const Aoi = require("../models/Aoi");
+const AoiRevision = require("../models/AoiRevision");
 const { requireAuth } = require("../middleware/auth");
+const { EXPORT_FORMATS } = require("../utils/aoiExport");
+const {
+  IMPORT_FORMATS,
+  detectFormat,
+  parseImportFile,
+} = require("../utils/aoiImport");
+const { validateAndRepair } = require("../utils/geometryValidation");
+const { toleranceForZoom, pickRendition } = require("../utils/simplify");
+const {
+  summarizeRevision,
+  diffSnapshots,
+  sameValue,
+  RESTORABLE_FIELDS,
+} = require("../utils/aoiHistory");
+const { parseCoordinate } = require("../../shared/coordinates");
 
 const router = express.Router();
 
@@ -30,22 +48,87 @@ const pointSchema = z.object({
 });
 const geometrySchema = z.union([polygonSchema, multiPolygonSchema, pointSchema]);
 
+// Values from imported files arrive as strings: "a, b" / '["a","b"]' and JSON styles
+function parseListString(value) {
+  if (typeof value !== "string") return value;
+  const text = value.trim();
+  if (text.startsWith("[")) {
+    try {
+      return JSON.parse(text);
+    } catch (_) {
+      return value;
+    }
+  }
+  return text
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+}
+
+function parseJsonString(value) {
+  if (typeof value !== "string") return value;
+  if (!value.trim()) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (_) {
+    return value;
+  }
+}
+
+const tagsSchema = z.preprocess(
+  parseListString,
+  z.array(z.string().trim().min(1).max(64)).max(100)
+);
+
+const hexColor = z
+  .string()
+  .regex(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i, "Expected a hex color like #ff7800");
+
+// Leaflet path options, so the client can pass the style straight through
+const styleSchema = z.preprocess(
+  parseJsonString,
+  z
+    .object({
+      color: hexColor.optional(), // stroke
+      fillColor: hexColor.optional(),
+      weight: z.number().min(0).max(20).optional(),
+      opacity: z.number().min(0).max(1).optional(),
+      fillOpacity: z.number().min(0).max(1).optional(),
+      dashArray: z
+        .string()
+        .regex(/^(\d+(\.\d+)?([ ,]+\d+(\.\d+)?)*)?$/, 'Expected e.g. "5, 5"')
+        .optional(),
+    })
+    .optional() // blank cells in imported files
+);
+
+// Everything an AOI stores besides its geometry
+const aoiAttributesSchema = z.object({
+  name: z.coerce.string(),
+  description: z.coerce.string(),
+  tags: tagsSchema.default([]),
+  style: styleSchema.optional(),
+  properties: z.record(z.string(), z.any()).default({}),
+});
+
 // Accept Feature, plain geometry, or a wrapper with top-level geometry
 const featureOrGeometry = z.union([
   // GeoJSON Feature
   z.object({
     type: z.literal("Feature"),
     geometry: geometrySchema,
-    properties: z.record(z.any()).optional(),
+    properties: z.record(z.string(), z.any()).optional(),
   }),
   // Plain geometry
   geometrySchema,
-  // Wrapper { geometry, name?, description?, properties? }
+  // Wrapper { geometry, name?, description?, tags?, style?, properties? }
   z.object({
     geometry: geometrySchema,
     name: z.string().optional(),
     description: z.string().optional(),
-    properties: z.record(z.any()).optional(),
+    tags: z.any().optional(),
+    style: z.any().optional(),
+    properties: z.record(z.string(), z.any()).optional(),
   }),
 ]);
 
@@ -69,83 +152,6 @@ function closeRings(geometry) {
   return geometry;
 }
 
-// Lightweight Douglas-Peucker simplification for a single ring
-function simplifyRing(points, tolerance) {
-  if (!Array.isArray(points) || points.length <= 4) return points;
-  const sqTol = tolerance * tolerance;
-
-  function getSqDist(p1, p2) {
-    const dx = p1[0] - p2[0];
-    const dy = p1[1] - p2[1];
-    return dx * dx + dy * dy;
-  }
-
-  function getSqSegDist(p, p1, p2) {
-    let x = p1[0];
-    let y = p1[1];
-    let dx = p2[0] - x;
-    let dy = p2[1] - y;
-
-    if (dx !== 0 || dy !== 0) {
-      const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
-      if (t > 1) {
-        x = p2[0];
-        y = p2[1];
-      } else if (t > 0) {
-        x += dx * t;
-        y += dy * t;
-      }
-    }
-
-    dx = p[0] - x;
-    dy = p[1] - y;
-    return dx * dx + dy * dy;
-  }
-
-  function simplifyDP(points, first, last, sqTol, simplified) {
-    let maxSqDist = sqTol;
-    let index;
-
-    for (let i = first + 1; i < last; i++) {
-      const sqDist = getSqSegDist(points[i], points[first], points[last]);
-      if (sqDist > maxSqDist) {
-        index = i;
-        maxSqDist = sqDist;
-      }
-    }
-
-    if (maxSqDist > sqTol && index) {
-      if (index - first > 1) simplifyDP(points, first, index, sqTol, simplified);
-      simplified.push(points[index]);
-      if (last - index > 1) simplifyDP(points, index, last, sqTol, simplified);
-    }
-  }
-
-  // ensure ring closed
-  const first = points[0];
-  const last = points[points.length - 1];
-  const ring = first[0] === last[0] && first[1] === last[1] ? points : [...points, first];
-
-  const simplified = [ring[0]];
-  simplifyDP(ring, 0, ring.length - 1, sqTol, simplified);
-  simplified.push(ring[ring.length - 1]);
-
-  // keep at least 4 points (including closure)
-  if (simplified.length < 4) return ring;
-  return simplified;
-}
-
-function simplifyGeometry(geometry, toleranceDeg = 0.0001) {
-  if (geometry.type === "Polygon") {
-    geometry.coordinates = geometry.coordinates.map((ring) => simplifyRing(ring, toleranceDeg));
-  } else if (geometry.type === "MultiPolygon") {
-    geometry.coordinates = geometry.coordinates.map((poly) =>
-      poly.map((ring) => simplifyRing(ring, toleranceDeg))
-    );
-  }
-  return geometry;
-}
-
 // Basic bounds check for coordinates (WGS84)
 function coordsOutOfBounds(geometry) {
   const ok = (lng, lat) =>
@@ -170,6 +176,140 @@ function coordsOutOfBounds(geometry) {
   }
 }
 
+// Partial update body for PATCH: every field optional, at least one required
+const aoiPatchSchema = z
+  .object({
+    geometry: geometrySchema.optional(),
+    name: z.string().optional(),
+    description: z.string().optional(),
+    tags: tagsSchema.optional(),
+    style: styleSchema.nullable().optional(), // null clears the style
+    properties: z.record(z.string(), z.any()).optional(), // replaces all custom properties
+  })
+  .refine(
+    (data) => Object.values(data).some((value) => value !== undefined),
+    "Nothing to update: provide geometry, name, description, tags, style or properties"
+  );
+
+// Pull the geometry out of a parsed Feature, wrapper or plain geometry
+function extractGeometry(data) {
+  if (data.type === "Feature") return data.geometry;
+  if (data.geometry) return data.geometry;
+  return data;
+}
+
+// Feature property keys that map onto AOI fields instead of custom properties
+const RESERVED_PROPERTIES = ["name", "description", "tags", "style"];
+
+function customProperties(properties) {
+  return Object.fromEntries(
+    Object.entries(properties || {}).filter(
+      ([key]) => !RESERVED_PROPERTIES.includes(key)
+    )
+  );
+}
+
+/**
+ * Determine name/description/tags/style and custom properties from either
+ * the wrapper body or feature properties. Validate the result with
+ * aoiAttributesSchema.
+ */
+function extractAttributes(data, body) {
+  const name =
+    (data && data.properties && data.properties.name) ||
+    body?.properties?.name ||
+    body?.name ||
+    "";
+
+  const description =
+    (data && data.properties && data.properties.description) ||
+    body?.properties?.description ||
+    body?.description ||
+    "";
+
+  const properties = (data && data.properties) || body?.properties || {};
+  return {
+    name,
+    description,
+    tags: properties.tags ?? body?.tags,
+    style: properties.style ?? body?.style,
+    properties: customProperties(properties),
+  };
+}
+
+// Parse extracted attributes; sends a 400 and returns null when invalid
+function parseAttributes(res, attributes) {
+  const parsed = aoiAttributesSchema.safeParse(attributes);
+  if (!parsed.success) {
+    res
+      .status(400)
+      .json({ error: "Invalid attributes", details: parsed.error.format() });
+    return null;
+  }
+  return parsed.data;
+}
+
+/**
+ * Close rings and check bounds and topology (repairing what is safe).
+ * The geometry is stored as submitted otherwise; simplified renditions are
+ * derived from it by the Aoi model.
+ * Returns null when the geometry is usable, otherwise a 400 response body
+ * ({ error, issues? } — issues point at the offending ring/vertex).
+ */
+function prepareGeometry(geometry) {
+  closeRings(geometry);
+  if (coordsOutOfBounds(geometry)) return { error: "Coordinates out of bounds" };
+
+  const { issues } = validateAndRepair(geometry);
+  if (issues.length) return { error: "Invalid geometry", issues };
+  return null;
+}
+
+// One-line summary of a prepareGeometry error (used in import reports)
+function describeGeometryError(geometryError) {
+  const first = geometryError.issues?.[0];
+  return first ? `${geometryError.error}: ${first.message}` : geometryError.error;
+}
+
+/**
+ * Load an AOI the caller is allowed to modify.
+ * Sends the error response itself and returns null when the AOI is missing,
+ * is a public sample, or belongs to someone else. Soft-deleted AOIs are only
+ * found with { includeDeleted: true }.
+ */
+async function findOwnedAoi(req, res, { includeDeleted = false } = {}) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: "Invalid AOI id" });
+    return null;
+  }
+
+  const query = Aoi.findById(req.params.id);
+  if (includeDeleted) query.setOptions({ withDeleted: true });
+  const doc = await query;
+  if (!doc) {
+    res.status(404).json({ error: "AOI not found" });
+    return null;
+  }
+  if (doc.userId === "public") {
+    res.status(403).json({ error: "Public sample AOIs cannot be modified" });
+    return null;
+  }
+  if (doc.userId !== req.userId) {
+    res.status(403).json({ error: "You do not own this AOI" });
+    return null;
+  }
+  doc.$locals.author = req.userId; // recorded on the revision this save writes
+  return doc;
+}
+
+// Another save of the same AOI got in first (see the revision hooks in models/Aoi.js)
+function isSaveConflict(err) {
+  return err instanceof mongoose.Error.DocumentNotFoundError;
+}
+const SAVE_CONFLICT = {
+  error: "The AOI was changed by another request; reload it and try again",
+};
+
 /** POST /aoi — create AOI (auth required) */
 router.post("/", requireAuth, async (req, res) => {
   try {
@@ -180,41 +320,22 @@ router.post("/", requireAuth, async (req, res) => {
         .json({ error: "Invalid GeoJSON", details: parsed.error.format() });
     }
 
-    // Extract geometry
-    let geometry;
-    if (parsed.data.type === "Feature") {
-      geometry = parsed.data.geometry;
-    } else if (parsed.data.geometry) {
-      geometry = parsed.data.geometry;
-    } else {
-      geometry = parsed.data;
+    const geometry = extractGeometry(parsed.data);
+    const geometryError = prepareGeometry(geometry);
+    if (geometryError) {
+      return res.status(400).json(geometryError);
     }
 
-    // Close rings, simplify & validate coords
-    closeRings(geometry);
-    simplifyGeometry(geometry);
-    if (coordsOutOfBounds(geometry)) {
-      return res.status(400).json({ error: "Coordinates out of bounds" });
-    }
-
-    // Determine name/description from either wrapper body or feature properties
-    const name =
-      (parsed.data && parsed.data.properties && parsed.data.properties.name) ||
-      req.body?.properties?.name ||
-      req.body?.name ||
-      "";
-
-    const description =
-      (parsed.data && parsed.data.properties && parsed.data.properties.description) ||
-      req.body?.properties?.description ||
-      req.body?.description ||
-      "";
+    const attributes = parseAttributes(
+      res,
+      extractAttributes(parsed.data, req.body)
+    );
+    if (!attributes) return;
 
     // Save
     const doc = await Aoi.create({
       userId: req.userId,
-      name,
-      description,
+      ...attributes,
       geometry,
     });
 
@@ -232,47 +353,973 @@ router.post("/", requireAuth, async (req, res) => {
   }
 });
 
+// Multipart uploads for POST /aoi/import are kept in memory (files are small)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+});
+
+const geometrySchemasByType = {
+  Point: pointSchema,
+  Polygon: polygonSchema,
+  MultiPolygon: multiPolygonSchema,
+};
+
+// Human-readable reason a candidate feature failed featureOrGeometry
+function rejectionReason(geometry) {
+  if (!geometry || typeof geometry !== "object") return "Missing geometry";
+  const schema = geometrySchemasByType[geometry.type];
+  if (!schema) return `Unsupported geometry type: ${geometry.type}`;
+  const result = schema.safeParse(geometry);
+  if (result.success) return "Invalid feature";
+  const issue = result.error.issues[0];
+  const path = issue.path.length ? ` at ${issue.path.join(".")}` : "";
+  return `Invalid ${geometry.type}${path}: ${issue.message}`;
+}
+
+// name/description from common attribute spellings in GIS files
+// (DBF column names are cut at 10 characters, hence "descriptio")
+function pickAttribute(properties, ...keys) {
+  const match = Object.keys(properties || {}).find((k) =>
+    keys.includes(k.toLowerCase())
+  );
+  return match ? String(properties[match] ?? "") : "";
+}
+
+function pickRaw(properties, key) {
+  const match = Object.keys(properties || {}).find(
+    (k) => k.toLowerCase() === key
+  );
+  return match ? properties[match] : undefined;
+}
+
+// Columns consumed as AOI fields, plus our own export metadata (ids and
+// timestamps are assigned anew on import)
+const IMPORT_FIELD_KEYS = [
+  ...RESERVED_PROPERTIES,
+  "descriptio",
+  "desc",
+  "id",
+  "createdat",
+  "updatedat",
+];
+
+// Attributes of one imported feature, validated like a POST body
+function importAttributes(properties) {
+  return aoiAttributesSchema.safeParse({
+    name: pickAttribute(properties, "name"),
+    description: pickAttribute(properties, "description", "descriptio", "desc"),
+    tags: pickRaw(properties, "tags"),
+    style: pickRaw(properties, "style"),
+    properties: Object.fromEntries(
+      Object.entries(properties || {}).filter(
+        ([key]) => !IMPORT_FIELD_KEYS.includes(key.toLowerCase())
+      )
+    ),
+  });
+}
+
+// Run multer for the "file" field and turn upload errors into 400s
+function uploadSingleFile(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (err) {
+      return res
+        .status(400)
+        .json({ error: "Upload failed", details: err.message });
+    }
+    return next();
+  });
+}
+
+/**
+ * POST /aoi/import — bulk import AOIs from an uploaded file (auth required)
+ * multipart/form-data fields:
+ *  - file: .geojson/.json, .kml, .zip (Shapefile) or .csv (WKT or lng/lat columns)
+ *  - format?: geojson|kml|shp|csv (defaults to the file extension)
+ *  - dryRun?: "true" to validate without saving
+ * Responds with a per-feature report.
+ */
+router.post("/import", requireAuth, uploadSingleFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ error: 'No file uploaded (field "file")' });
+    }
+
+    const format = detectFormat(req.file.originalname, req.body?.format);
+    if (!format) {
+      return res.status(400).json({
+        error: "Unsupported import format",
+        supported: IMPORT_FORMATS,
+      });
+    }
+    const dryRun =
+      String(
+        req.body?.dryRun ?? req.query.dryRun ?? "false"
+      ).toLowerCase() === "true";
+
+    let candidates;
+    try {
+      candidates = await parseImportFile(req.file.buffer, format);
+    } catch (parseErr) {
+      return res.status(400).json({
+        error: "Could not read file",
+        details: parseErr.message,
+      });
+    }
+
+    const results = [];
+    for (let index = 0; index < candidates.length; index++) {
+      const { geometry, properties } = candidates[index];
+      const result = { index, name: pickAttribute(properties, "name") };
+
+      const parsed = featureOrGeometry.safeParse({
+        type: "Feature",
+        geometry,
+        properties,
+      });
+      if (!parsed.success) {
+        results.push({
+          ...result,
+          status: "rejected",
+          reason: rejectionReason(geometry),
+        });
+        continue;
+      }
+
+      const cleanGeometry = parsed.data.geometry;
+      const geometryError = prepareGeometry(cleanGeometry);
+      if (geometryError) {
+        results.push({
+          ...result,
+          status: "rejected",
+          reason: describeGeometryError(geometryError),
+        });
+        continue;
+      }
+
+      const attributes = importAttributes(properties);
+      if (!attributes.success) {
+        const issue = attributes.error.issues[0];
+        results.push({
+          ...result,
+          status: "rejected",
+          reason: `Invalid ${issue.path.join(".")}: ${issue.message}`,
+        });
+        continue;
+      }
+
+      if (dryRun) {
+        results.push({ ...result, status: "valid" });
+        continue;
+      }
+
+      try {
+        const doc = await Aoi.create({
+          userId: req.userId,
+          ...attributes.data,
+          geometry: cleanGeometry,
+        });
+        results.push({ ...result, status: "imported", id: doc._id });
+      } catch (saveErr) {
+        results.push({
+          ...result,
+          status: "rejected",
+          reason: saveErr.message,
+        });
+      }
+    }
+
+    const count = (status) =>
+      results.filter((r) => r.status === status).length;
+    const imported = count("imported");
+    return res.status(imported > 0 ? 201 : 200).json({
+      dryRun,
+      format,
+      total: results.length,
+      imported,
+      valid: dryRun ? count("valid") : imported,
+      rejected: count("rejected"),
+      results,
+    });
+  } catch (err) {
+    console.error("POST /aoi/import error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/**
+ * PUT /aoi/:id — replace an AOI's geometry and attributes (owner only)
+ * Accepts the same Feature / geometry / wrapper bodies as POST /aoi.
+ */
+router.put("/:id", requireAuth, async (req, res) => {
+  try {
+    const parsed = featureOrGeometry.safeParse(req.body);
+    if (!parsed.success) {
+      return res
+        .status(400)
+        .json({ error: "Invalid GeoJSON", details: parsed.error.format() });
+    }
+
+    const geometry = extractGeometry(parsed.data);
+    const geometryError = prepareGeometry(geometry);
+    if (geometryError) {
+      return res.status(400).json(geometryError);
+    }
+
+    const attributes = parseAttributes(
+      res,
+      extractAttributes(parsed.data, req.body)
+    );
+    if (!attributes) return;
+
+    const doc = await findOwnedAoi(req, res);
+    if (!doc) return;
+
+    doc.set({ style: undefined, ...attributes, geometry });
+    await doc.save();
+
+    return res.json(doc);
+  } catch (err) {
+    if (isSaveConflict(err)) return res.status(409).json(SAVE_CONFLICT);
+    console.error("PUT /aoi/:id error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/**
+ * PATCH /aoi/:id — update some of geometry, name, description, tags, style
+ * and properties (owner only)
+ */
+router.patch("/:id", requireAuth, async (req, res) => {
+  try {
+    const parsed = aoiPatchSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res
+        .status(400)
+        .json({ error: "Invalid update", details: parsed.error.format() });
+    }
+
+    const { geometry, name, description, tags, style, properties } =
+      parsed.data;
+    if (geometry) {
+      const geometryError = prepareGeometry(geometry);
+      if (geometryError) {
+        return res.status(400).json(geometryError);
+      }
+    }
+
+    const doc = await findOwnedAoi(req, res);
+    if (!doc) return;
+
+    if (geometry) doc.geometry = geometry;
+    if (name !== undefined) doc.name = name;
+    if (description !== undefined) doc.description = description;
+    if (tags !== undefined) doc.tags = tags;
+    if (style !== undefined) doc.style = style ?? undefined;
+    if (properties !== undefined) doc.properties = properties;
+    await doc.save();
+
+    return res.json(doc);
+  } catch (err) {
+    if (isSaveConflict(err)) return res.status(409).json(SAVE_CONFLICT);
+    console.error("PATCH /aoi/:id error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/**
+ * DELETE /aoi/:id — delete an AOI (owner only)
+ * The AOI is soft-deleted and can be brought back with POST /aoi/:id/restore/:rev.
+ */
+router.delete("/:id", requireAuth, async (req, res) => {
+  try {
+    const doc = await findOwnedAoi(req, res);
+    if (!doc) return;
+
+    doc.deletedAt = new Date();
+    await doc.save();
+    return res.json({ ok: true, id: doc._id, revision: doc.revision });
+  } catch (err) {
+    if (isSaveConflict(err)) return res.status(409).json(SAVE_CONFLICT);
+    console.error("DELETE /aoi/:id error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/**
+ * Build a $geoIntersects filter from a "minLng,minLat,maxLng,maxLat" string.
+ * Returns undefined when no bbox was given and null when it is malformed.
+ */
+function bboxFilter(bbox) {
+  if (!bbox) return undefined;
+  const parts = String(bbox).split(",").map(Number);
+  if (parts.length !== 4 || parts.some((v) => Number.isNaN(v))) return null;
+  const [minLng, minLat, maxLng, maxLat] = parts;
+
+  // Build a polygon for the bbox and $geoIntersects
+  return {
+    $geoIntersects: {
+      $geometry: {
+        type: "Polygon",
+        coordinates: [
+          [
+            [minLng, minLat],
+            [maxLng, minLat],
+            [maxLng, maxLat],
+            [minLng, maxLat],
+            [minLng, minLat],
+          ],
+        ],
+      },
+    },
+  };
+}
+
+// Base query for AOIs the caller may see: their own plus public samples
+function visibleQuery(req) {
+  return { userId: { $in: [req.userId, "public"] } };
+}
+
+function exportFilename(base, extension) {
+  const slug = String(base || "aoi")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${slug || "aoi"}.${extension}`;
+}
+
+async function sendExport(res, format, aois, basename) {
+  const body = await format.render(aois);
+  res.setHeader("Content-Type", format.contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${exportFilename(basename, format.extension)}"`
+  );
+  return res.send(body);
+}
+
+const SORT_FIELDS = {
+  createdAt: "createdAt",
+  updatedAt: "updatedAt",
+  name: "name",
+  area: "metrics.area",
+};
+
+const OWNER_FILTERS = {
+  me: (req) => req.userId,
+  public: () => "public",
+  all: (req) => ({ $in: [req.userId, "public"] }),
+};
+
+const listQuerySchema = z.object({
+  q: z.string().trim().min(1).max(200).optional(),
+  createdFrom: z.coerce.date().optional(),
+  createdTo: z.coerce.date().optional(),
+  // comma-separated; an AOI must carry all of them
+  tags: z
+    .string()
+    .transform((v) =>
+      v
+        .split(",")
+        .map((t) => t.trim())
+        .filter(Boolean)
+    )
+    .optional(),
+  owner: z.enum(["me", "public", "all"]).default("all"),
+  sort: z
+    .enum(Object.keys(SORT_FIELDS).flatMap((field) => [field, `-${field}`]))
+    .default("-createdAt"),
+  minArea: z.coerce.number().min(0).optional(), // square meters
+  maxArea: z.coerce.number().min(0).optional(),
+  limit: z.coerce.number().int().min(1).max(1000).default(100),
+  after: z.string().optional(), // nextCursor of the previous page
+  zoom: z.coerce.number().min(0).max(24).optional(),
+  tolerance: z.coerce.number().positive().optional(), // degrees
+});
+
+/**
+ * Opaque keyset cursor: the sort value and _id of the last item on a page.
+ * Dates are tagged so they compare as dates again when decoded.
+ */
+function encodeCursor(aoi, field) {
+  const value = field
+    .split(".")
+    .reduce((obj, key) => (obj == null ? undefined : obj[key]), aoi);
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    d: value instanceof Date,
+    id: String(aoi._id),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { v, d, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return {
+      value: d ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Items strictly after the cursor in (field, _id) order. MongoDB sorts null
+ * and missing values (e.g. `metrics.area` of AOIs not backfilled yet) before
+ * every other value, and $gt / $lt never match them, so they get branches of
+ * their own.
+ */
+function afterCursorFilter({ value, id }, field, direction) {
+  const op = direction === 1 ? "$gt" : "$lt";
+  const sameValue = { [field]: value, _id: { [op]: id } }; // null matches missing too
+  if (value === null) {
+    // ascending: the rest of the nulls, then every value; descending: nulls only
+    return {
+      $or:
+        direction === 1
+          ? [sameValue, { [field]: { $ne: null } }]
+          : [sameValue],
+    };
+  }
+  const branches = [{ [field]: { [op]: value } }, sameValue];
+  if (direction === -1) branches.push({ [field]: null }); // nulls come last
+  return { $or: branches };
+}
+
+/**
+ * Swap each AOI's geometry for the coarsest stored rendition within the
+ * tolerance. `simplifiedTolerance` tells the client what it got (null = original).
+ */
+function applyRenditions(items, tolerance) {
+  return items.map(({ renditions, ...aoi }) => {
+    const rendition = pickRendition(renditions, tolerance);
+    return {
+      ...aoi,
+      geometry: rendition ? rendition.geometry : aoi.geometry,
+      simplifiedTolerance: rendition ? rendition.tolerance : null,
+    };
+  });
+}
+
 /**
  * GET /aoi
- * - returns AOIs belonging to user
+ * - returns AOIs belonging to user and public samples (?owner=me|public|all)
  * - optional ?bbox=minLng,minLat,maxLng,maxLat to return only AOIs that intersect bbox
+ * - optional ?q= text search over name/description, ?tags=a,b,
+ *   ?createdFrom=&createdTo= (ISO dates) and ?minArea=&maxArea= (m²)
+ * - optional ?sort=[-]createdAt|updatedAt|name|area
+ * - paginated: ?limit= (default 100) and ?after=<nextCursor>
+ * - optional ?zoom= (map zoom) or ?tolerance= (degrees) to receive simplified
+ *   geometries suitable for display; without them the original is returned
+ * Responds with { items, total, nextCursor } (nextCursor is null on the last page).
  */
 router.get("/", requireAuth, async (req, res) => {
   try {
-    const bbox = req.query.bbox; // "minLng,minLat,maxLng,maxLat"
-    // Return both user's AOIs and public samples
-    const query = { userId: { $in: [req.userId, "public"] } };
-
-    if (bbox) {
-      const parts = bbox.split(",").map(Number);
-      if (parts.length !== 4 || parts.some((v) => Number.isNaN(v))) {
-        return res.status(400).json({ error: "Invalid bbox parameter" });
+    const parsed = listQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res
+        .status(400)
+        .json({ error: "Invalid query parameters", details: parsed.error.format() });
+    }
+    const {
+      q,
+      createdFrom,
+      createdTo,
+      tags,
+      owner,
+      sort,
+      minArea,
+      maxArea,
+      limit,
+      after,
+      zoom,
+      tolerance,
+    } = parsed.data;
+
+    // By default return both user's AOIs and public samples
+    const query = { userId: OWNER_FILTERS[owner](req) };
+
+    const geometryFilter = bboxFilter(req.query.bbox);
+    if (geometryFilter === null) {
+      return res.status(400).json({ error: "Invalid bbox parameter" });
+    }
+    if (geometryFilter) query.geometry = geometryFilter;
+
+    if (minArea !== undefined || maxArea !== undefined) {
+      query["metrics.area"] = {};
+      if (minArea !== undefined) query["metrics.area"].$gte = minArea;
+      if (maxArea !== undefined) query["metrics.area"].$lte = maxArea;
+    }
+    if (createdFrom || createdTo) {
+      query.createdAt = {};
+      if (createdFrom) query.createdAt.$gte = createdFrom;
+      if (createdTo) query.createdAt.$lte = createdTo;
+    }
+    if (tags && tags.length) query.tags = { $all: tags };
+    if (q) query.$text = { $search: q };
+
+    const field = SORT_FIELDS[sort.replace(/^-/, "")];
+    const direction = sort.startsWith("-") ? -1 : 1;
+    const maxTolerance =
+      tolerance ?? (zoom !== undefined ? toleranceForZoom(zoom) : undefined);
+
+    let pageQuery = query;
+    if (after) {
+      const position = decodeCursor(after);
+      if (!position) {
+        return res.status(400).json({ error: "Invalid after cursor" });
       }
-      const [minLng, minLat, maxLng, maxLat] = parts;
+      pageQuery = {
+        ...query,
+        ...afterCursorFilter(position, field, direction),
+      };
+    }
+
+    // Fetch one extra item to learn whether another page follows
+    const cursor = Aoi.find(pageQuery)
+      .sort({ [field]: direction, _id: direction })
+      .limit(limit + 1);
+    if (maxTolerance !== undefined) cursor.select("+renditions");
+    const [found, total] = await Promise.all([
+      cursor.lean(),
+      Aoi.countDocuments(query),
+    ]);
+
+    const items = found.slice(0, limit);
+    const nextCursor =
+      found.length > limit ? encodeCursor(items[items.length - 1], field) : null;
+
+    return res.json({
+      items:
+        maxTolerance !== undefined
+          ? applyRenditions(items, maxTolerance)
+          : items,
+      total,
+      nextCursor,
+    });
+  } catch (err) {
+    console.error("GET /aoi error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /aoi/export?format=geojson|kml|gpx|shp|csv
+ * - exports the same AOIs as GET /aoi (optional ?bbox=...) as a file download
+ */
+router.get("/export", requireAuth, async (req, res) => {
+  try {
+    const format = EXPORT_FORMATS[req.query.format || "geojson"];
+    if (!format) {
+      return res.status(400).json({
+        error: "Unsupported export format",
+        supported: Object.keys(EXPORT_FORMATS),
+      });
+    }
 
-      // Build a polygon for the bbox and $geoIntersects
-      query.geometry = {
+    const query = visibleQuery(req);
+    const geometryFilter = bboxFilter(req.query.bbox);
+    if (geometryFilter === null) {
+      return res.status(400).json({ error: "Invalid bbox parameter" });
+    }
+    if (geometryFilter) query.geometry = geometryFilter;
+
+    const items = await Aoi.find(query).sort({ createdAt: -1 }).lean();
+    return sendExport(res, format, items, "aois");
+  } catch (err) {
+    console.error("GET /aoi/export error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/** GET /aoi/:id/export?format=... — export a single visible AOI */
+router.get("/:id/export", requireAuth, async (req, res) => {
+  try {
+    const format = EXPORT_FORMATS[req.query.format || "geojson"];
+    if (!format) {
+      return res.status(400).json({
+        error: "Unsupported export format",
+        supported: Object.keys(EXPORT_FORMATS),
+      });
+    }
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid AOI id" });
+    }
+
+    const aoi = await Aoi.findOne({
+      ...visibleQuery(req),
+      _id: req.params.id,
+    }).lean();
+    if (!aoi) return res.status(404).json({ error: "AOI not found" });
+
+    return sendExport(res, format, [aoi], aoi.name || `aoi-${aoi._id}`);
+  } catch (err) {
+    console.error("GET /aoi/:id/export error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+// ---- Spatial queries ----
+
+const lngLatSchema = z.object({
+  lng: z.coerce.number().min(-180).max(180),
+  lat: z.coerce.number().min(-90).max(90),
+});
+
+const nearQuerySchema = lngLatSchema.extend({
+  maxDistance: z.coerce.number().positive().optional(), // meters
+  limit: z.coerce.number().int().min(1).max(500).default(50),
+});
+
+const spatialQuerySchema = z.object({
+  geometry: geometrySchema,
+  relation: z.enum(["intersects", "within"]).default("intersects"),
+  limit: z.coerce.number().int().min(1).max(500).default(100),
+});
+
+// ?coord= gives the point in any notation of shared/coordinates.js (decimal
+// or DMS degrees, UTM, MGRS) instead of lng / lat; null when unreadable
+function pointQuery(query) {
+  if (query.coord === undefined) return query;
+  const point = parseCoordinate(String(query.coord));
+  return point ? { ...query, lng: point.lng, lat: point.lat } : null;
+}
+
+/**
+ * GET /aoi/near?lng=&lat=&maxDistance=&limit=  (or ?coord= for lng / lat)
+ * - visible AOIs ordered by distance from the point, each with `distance` in meters
+ */
+router.get("/near", requireAuth, async (req, res) => {
+  try {
+    const query = pointQuery(req.query);
+    if (!query) return res.status(400).json({ error: "Invalid coordinate" });
+    const parsed = nearQuerySchema.safeParse(query);
+    if (!parsed.success) {
+      return res
+        .status(400)
+        .json({
+          error: "Invalid query parameters",
+          details: parsed.error.format(),
+        });
+    }
+    const { lng, lat, maxDistance, limit } = parsed.data;
+
+    const geoNear = {
+      near: { type: "Point", coordinates: [lng, lat] },
+      distanceField: "distance",
+      spherical: true,
+      query: visibleQuery(req),
+    };
+    if (maxDistance !== undefined) geoNear.maxDistance = maxDistance;
+
+    const items = await Aoi.aggregate([
+      { $geoNear: geoNear },
+      { $limit: limit },
+      { $project: { renditions: 0 } },
+    ]);
+    return res.json(items);
+  } catch (err) {
+    console.error("GET /aoi/near error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /aoi/containing?lng=&lat=  (or ?coord=)
+ * - visible AOIs whose geometry contains (or, for points, equals) the point
+ */
+router.get("/containing", requireAuth, async (req, res) => {
+  try {
+    const query = pointQuery(req.query);
+    if (!query) return res.status(400).json({ error: "Invalid coordinate" });
+    const parsed = lngLatSchema.safeParse(query);
+    if (!parsed.success) {
+      return res
+        .status(400)
+        .json({
+          error: "Invalid query parameters",
+          details: parsed.error.format(),
+        });
+    }
+    const { lng, lat } = parsed.data;
+
+    const items = await Aoi.find({
+      ...visibleQuery(req),
+      geometry: {
         $geoIntersects: {
-          $geometry: {
-            type: "Polygon",
-            coordinates: [
-              [
-                [minLng, minLat],
-                [maxLng, minLat],
-                [maxLng, maxLat],
-                [minLng, maxLat],
-                [minLng, minLat],
-              ],
-            ],
-          },
+          $geometry: { type: "Point", coordinates: [lng, lat] },
         },
-      };
+      },
+    })
+      .sort({ createdAt: -1 })
+      .lean();
+    return res.json(items);
+  } catch (err) {
+    console.error("GET /aoi/containing error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /aoi/query — AOIs related to an arbitrary geometry
+ * body: { geometry, relation?: "intersects" | "within", limit? }
+ * "within" returns AOIs lying entirely inside a Polygon/MultiPolygon.
+ */
+router.post("/query", requireAuth, async (req, res) => {
+  try {
+    const parsed = spatialQuerySchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res
+        .status(400)
+        .json({ error: "Invalid query", details: parsed.error.format() });
     }
+    const { geometry, relation, limit } = parsed.data;
 
-    const items = await Aoi.find(query).sort({ createdAt: -1 }).lean();
+    closeRings(geometry);
+    if (coordsOutOfBounds(geometry)) {
+      return res.status(400).json({ error: "Coordinates out of bounds" });
+    }
+    const { issues } = validateAndRepair(geometry);
+    if (issues.length) {
+      return res.status(400).json({ error: "Invalid geometry", issues });
+    }
+    if (relation === "within" && geometry.type === "Point") {
+      return res
+        .status(400)
+        .json({ error: '"within" queries need a Polygon or MultiPolygon' });
+    }
+
+    const operator = relation === "within" ? "$geoWithin" : "$geoIntersects";
+    const items = await Aoi.find({
+      ...visibleQuery(req),
+      geometry: { [operator]: { $geometry: geometry } },
+    })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
     return res.json(items);
   } catch (err) {
-    console.error("GET /aoi error:", err);
+    console.error("POST /aoi/query error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/** GET /aoi/:id/intersecting — other visible AOIs intersecting this one */
+router.get("/:id/intersecting", requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid AOI id" });
+    }
+
+    const aoi = await Aoi.findOne({
+      ...visibleQuery(req),
+      _id: req.params.id,
+    }).lean();
+    if (!aoi) return res.status(404).json({ error: "AOI not found" });
+
+    const items = await Aoi.find({
+      ...visibleQuery(req),
+      _id: { $ne: aoi._id },
+      geometry: { $geoIntersects: { $geometry: aoi.geometry } },
+    })
+      .sort({ createdAt: -1 })
+      .lean();
+    return res.json(items);
+  } catch (err) {
+    console.error("GET /aoi/:id/intersecting error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+// ---- Revision history ----
+
+/**
+ * Load an AOI whose history the caller may read: their own (including
+ * soft-deleted ones) or a public sample. Sends 400/404 itself.
+ */
+async function findHistoryAoi(req, res) {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ error: "Invalid AOI id" });
+    return null;
+  }
+  const doc = await Aoi.findById(req.params.id)
+    .setOptions({ withDeleted: true })
+    .lean();
+  const visible =
+    doc &&
+    (doc.userId === req.userId || (doc.userId === "public" && !doc.deletedAt));
+  if (!visible) {
+    res.status(404).json({ error: "AOI not found" });
+    return null;
+  }
+  return doc;
+}
+
+const revParamSchema = z.coerce.number().int().min(1);
+
+/** GET /aoi/deleted — the caller's soft-deleted AOIs, most recent first */
+router.get("/deleted", requireAuth, async (req, res) => {
+  try {
+    const items = await Aoi.find({
+      userId: req.userId,
+      deletedAt: { $ne: null },
+    })
+      .select("name description deletedAt revision metrics")
+      .sort({ deletedAt: -1 })
+      .limit(200)
+      .lean();
+    return res.json(items);
+  } catch (err) {
+    console.error("GET /aoi/deleted error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/** GET /aoi/:id/history — revision list (newest first, without geometries) */
+router.get("/:id/history", requireAuth, async (req, res) => {
+  try {
+    const aoi = await findHistoryAoi(req, res);
+    if (!aoi) return;
+
+    const revisions = await AoiRevision.find({ aoiId: aoi._id })
+      .select("-snapshot.geometry")
+      .sort({ rev: -1 })
+      .lean();
+    return res.json({
+      aoiId: aoi._id,
+      current: aoi.revision ?? null,
+      deletedAt: aoi.deletedAt,
+      revisions: revisions.map(summarizeRevision),
+    });
+  } catch (err) {
+    console.error("GET /aoi/:id/history error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /aoi/:id/history/:rev — one revision with its full snapshot and the
+ * diff against the revision before it
+ */
+router.get("/:id/history/:rev", requireAuth, async (req, res) => {
+  try {
+    const rev = revParamSchema.safeParse(req.params.rev);
+    if (!rev.success) {
+      return res.status(400).json({ error: "Invalid revision number" });
+    }
+    const aoi = await findHistoryAoi(req, res);
+    if (!aoi) return;
+
+    const [revision, previous] = await Promise.all([
+      AoiRevision.findOne({ aoiId: aoi._id, rev: rev.data }).lean(),
+      AoiRevision.findOne({ aoiId: aoi._id, rev: { $lt: rev.data } })
+        .sort({ rev: -1 })
+        .lean(),
+    ]);
+    if (!revision) return res.status(404).json({ error: "Revision not found" });
+
+    return res.json({
+      ...summarizeRevision(revision),
+      snapshot: revision.snapshot,
+      previousRev: previous ? previous.rev : null,
+      diff: diffSnapshots(previous && previous.snapshot, revision.snapshot),
+    });
+  } catch (err) {
+    console.error("GET /aoi/:id/history/:rev error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /aoi/:id/restore/:rev — make an old revision current again (owner only).
+ * Also undeletes a soft-deleted AOI. The restore is recorded as a new revision.
+ */
+router.post("/:id/restore/:rev", requireAuth, async (req, res) => {
+  try {
+    const rev = revParamSchema.safeParse(req.params.rev);
+    if (!rev.success) {
+      return res.status(400).json({ error: "Invalid revision number" });
+    }
+    const doc = await findOwnedAoi(req, res, { includeDeleted: true });
+    if (!doc) return;
+
+    const revision = await AoiRevision.findOne({
+      aoiId: doc._id,
+      rev: rev.data,
+    }).lean();
+    if (!revision) return res.status(404).json({ error: "Revision not found" });
+
+    const current = doc.toObject();
+    RESTORABLE_FIELDS.forEach((field) => {
+      if (!sameValue(current[field], revision.snapshot[field])) {
+        doc.set(field, revision.snapshot[field]);
+      }
+    });
+    doc.deletedAt = null;
+    doc.$locals.revisionAction = "restore";
+    doc.$locals.restoredFrom = revision.rev;
+    await doc.save();
+
+    return res.json(doc);
+  } catch (err) {
+    if (isSaveConflict(err)) return res.status(409).json(SAVE_CONFLICT);
+    console.error("POST /aoi/:id/restore/:rev error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/** GET /aoi/:id — one visible AOI with its original (unsimplified) geometry */
+router.get("/:id", requireAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ error: "Invalid AOI id" });
+    }
+
+    const aoi = await Aoi.findOne({
+      ...visibleQuery(req),
+      _id: req.params.id,
+    }).lean();
+    if (!aoi) return res.status(404).json({ error: "AOI not found" });
+    return res.json(aoi);
+  } catch (err) {
+    console.error("GET /aoi/:id error:", err);
     return res
       .status(500)
       .json({ error: "Server error", details: String(err.message || err) });
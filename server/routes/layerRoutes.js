@@ -0,0 +1,193 @@
+// server/routes/layerRoutes.js
+const express = require("express");
+const mongoose = require("mongoose");
+const { z } = require("zod");
+const Layer = require("../models/Layer");
+const { requireAuth, requireAdmin } = require("../middleware/auth");
+const { getSources, getSource } = require("../config/layerCatalog");
+
+const router = express.Router();
+
+const layerSchema = z.object({
+  key: z
+    .string()
+    .trim()
+    .regex(/^[a-z0-9][a-z0-9_-]*$/i, "Use letters, digits, - and _"),
+  title: z.string().trim().min(1),
+  source: z.string().min(1),
+  name: z.string().optional(),
+  group: z.enum(["base", "overlay"]).optional(),
+  format: z.string().optional(),
+  transparent: z.boolean().optional(),
+  version: z.enum(["1.1.1", "1.3.0"]).optional(),
+  opacity: z.number().min(0).max(1).optional(),
+  minZoom: z.number().int().min(0).max(24).optional(),
+  maxZoom: z.number().int().min(0).max(24).optional(),
+  // WMTS: style identifier and tile matrix set (defaults from the capabilities)
+  styleName: z.string().optional(),
+  tileMatrixSet: z.string().optional(),
+  visible: z.boolean().optional(),
+  queryable: z.boolean().optional(),
+  attribution: z.string().optional(),
+  // Leaflet path options for the features of a WFS layer
+  style: z
+    .object({
+      color: z.string().optional(),
+      weight: z.number().min(0).max(20).optional(),
+      opacity: z.number().min(0).max(1).optional(),
+      fillColor: z.string().optional(),
+      fillOpacity: z.number().min(0).max(1).optional(),
+      radius: z.number().min(1).max(50).optional(), // point markers
+      dashArray: z.string().optional(),
+    })
+    .optional(),
+  order: z.number().optional(),
+});
+
+// Cross-field checks against the configured sources; returns an error message or null
+function catalogError(layer) {
+  const source = getSource(layer.source);
+  if (!source) return `Unknown source: ${layer.source}`;
+  if (source.type === "wms" && !layer.name) {
+    return "WMS layers need the service layer name in `name`";
+  }
+  if (source.type === "wfs" && !layer.name) {
+    return "WFS layers need the feature type name in `name`";
+  }
+  if (source.type === "wmts" && !layer.name) {
+    return "WMTS layers need the layer identifier in `name`";
+  }
+  if (/\{layer\}/.test(source.url) && !layer.name) {
+    return "This source's tile template needs the layer in `name`";
+  }
+  if (
+    layer.minZoom !== undefined &&
+    layer.maxZoom !== undefined &&
+    layer.minZoom > layer.maxZoom
+  ) {
+    return "minZoom must not be greater than maxZoom";
+  }
+  return null;
+}
+
+// Public view of the configured sources
+function publicSources() {
+  return getSources().map(({ id, title, type, url, subdomains }) => ({
+    id,
+    title,
+    type,
+    url,
+    ...(subdomains && { subdomains }),
+  }));
+}
+
+/**
+ * GET /layers — the layer catalog: { sources, layers } (no auth required)
+ * Falls back to the built-in default layers when the database is unavailable.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const layers = await Layer.catalog();
+    return res.json({ sources: publicSources(), layers });
+  } catch (err) {
+    console.error("GET /layers error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/** POST /layers — add a layer to the catalog (admin only) */
+router.post("/", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const parsed = layerSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res
+        .status(400)
+        .json({ error: "Invalid layer", details: parsed.error.format() });
+    }
+    const error = catalogError(parsed.data);
+    if (error) return res.status(400).json({ error });
+
+    if (await Layer.exists({ key: parsed.data.key })) {
+      return res
+        .status(409)
+        .json({ error: `A layer with key "${parsed.data.key}" already exists` });
+    }
+
+    const doc = await Layer.create(parsed.data);
+    return res.status(201).json(doc);
+  } catch (err) {
+    console.error("POST /layers error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+// Load a catalog layer by _id or key; sends 404 itself
+async function findLayer(req, res) {
+  const { id } = req.params;
+  const doc = mongoose.isValidObjectId(id)
+    ? await Layer.findById(id)
+    : await Layer.findOne({ key: id });
+  if (!doc) {
+    res.status(404).json({ error: "Layer not found" });
+    return null;
+  }
+  return doc;
+}
+
+/** PATCH /layers/:id — update some fields of a layer (admin only; :id may be the key) */
+router.patch("/:id", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const parsed = layerSchema.partial().safeParse(req.body);
+    if (!parsed.success) {
+      return res
+        .status(400)
+        .json({ error: "Invalid layer", details: parsed.error.format() });
+    }
+
+    const doc = await findLayer(req, res);
+    if (!doc) return;
+
+    const error = catalogError({ ...doc.toObject(), ...parsed.data });
+    if (error) return res.status(400).json({ error });
+    if (
+      parsed.data.key &&
+      parsed.data.key !== doc.key &&
+      (await Layer.exists({ key: parsed.data.key }))
+    ) {
+      return res
+        .status(409)
+        .json({ error: `A layer with key "${parsed.data.key}" already exists` });
+    }
+
+    doc.set(parsed.data);
+    await doc.save();
+    return res.json(doc);
+  } catch (err) {
+    console.error("PATCH /layers/:id error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/** DELETE /layers/:id — remove a layer from the catalog (admin only) */
+router.delete("/:id", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const doc = await findLayer(req, res);
+    if (!doc) return;
+
+    await doc.deleteOne();
+    return res.json({ ok: true, id: doc._id });
+  } catch (err) {
+    console.error("DELETE /layers/:id error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,168 @@
+// server/routes/searchRoutes.js
+const express = require("express");
+const mongoose = require("mongoose");
+const { z } = require("zod");
+const Aoi = require("../models/Aoi");
+const { requireAuth } = require("../middleware/auth");
+const { pickRendition } = require("../utils/simplify");
+const { normalize, matchScore } = require("../utils/textMatch");
+const { searchGazetteer } = require("../utils/gazetteer");
+
+const router = express.Router();
+
+const MAX_AOI_CANDIDATES = 500; // per candidate query
+const TAG_WEIGHT = 0.8; // a tag match ranks below a name match
+const DESCRIPTION_WEIGHT = 0.7; // and a description match below both
+const AOI_FIELDS = "name description tags metrics.bbox metrics.centroid";
+const HIGHLIGHT_TOLERANCE = 0.0001; // degrees; rendition used for highlighting
+
+const searchQuerySchema = z.object({
+  q: z.string().trim().min(1).max(100),
+  limit: z.coerce.number().int().min(1).max(50).default(10),
+});
+
+// Case-insensitive match of a word at the start of a word (normalized words
+// hold letters and digits only)
+const wordPrefix = (word) => new RegExp(`(?:^|[^a-z0-9])${word}`, "i");
+
+/**
+ * Visible AOIs worth scoring, found by MongoDB: whole words of the name or
+ * description (the text index, also accent-insensitive), word prefixes of
+ * the name or tags, and the most recently updated AOIs, so that typos still
+ * find recent work.
+ */
+async function aoiCandidates(req, query) {
+  const visible = { userId: { $in: [req.userId, "public"] } };
+  const prefixes = query.split(" ").map((word) => {
+    const pattern = wordPrefix(word);
+    return { $or: [{ name: pattern }, { tags: pattern }] };
+  });
+  const lists = await Promise.all(
+    [
+      Aoi.find({ ...visible, $text: { $search: query } }),
+      Aoi.find({ ...visible, $and: prefixes }),
+      Aoi.find(visible),
+    ].map((find) =>
+      find
+        .select(AOI_FIELDS)
+        .sort({ updatedAt: -1 })
+        .limit(MAX_AOI_CANDIDATES)
+        .lean()
+    )
+  );
+  const byId = new Map();
+  lists.flat().forEach((aoi) => byId.set(String(aoi._id), aoi));
+  return [...byId.values()];
+}
+
+// Best-scoring visible AOIs for a normalized query, with display geometries
+async function searchAois(req, query, limit) {
+  const candidates = await aoiCandidates(req, query);
+
+  const scored = candidates
+    .map((aoi) => ({
+      aoi,
+      score: Math.max(
+        matchScore(query, aoi.name),
+        matchScore(query, (aoi.tags || []).join(" ")) * TAG_WEIGHT,
+        matchScore(query, aoi.description) * DESCRIPTION_WEIGHT
+      ),
+    }))
+    .filter((hit) => hit.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+  if (!scored.length) return [];
+
+  const docs = await Aoi.find({ _id: { $in: scored.map((h) => h.aoi._id) } })
+    .select("geometry +renditions")
+    .lean();
+  const geometries = new Map(
+    docs.map((doc) => [
+      String(doc._id),
+      pickRendition(doc.renditions, HIGHLIGHT_TOLERANCE)?.geometry ||
+        doc.geometry,
+    ])
+  );
+
+  return scored.map(({ aoi, score }) => ({
+    type: "aoi",
+    id: String(aoi._id),
+    name: aoi.name || "Untitled AOI",
+    detail: aoi.description || "AOI",
+    score,
+    bbox: aoi.metrics?.bbox || null,
+    center: aoi.metrics?.centroid || null,
+    geometry: geometries.get(String(aoi._id)) || null,
+  }));
+}
+
+/**
+ * GET /search?q=&limit=
+ * - ranked matches among the names, tags and descriptions of visible AOIs and the
+ *   place names of the gazetteer (config/gazetteer.js), with prefix and
+ *   typo-tolerant matching
+ * Responds with { results, errors }: each result is
+ * { type: "aoi"|"place", id, name, detail, score, bbox, center, geometry }
+ * (WGS84, bbox as [minLng, minLat, maxLng, maxLat]); `errors` lists the parts
+ * that could not be searched, which do not fail the request.
+ */
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const parsed = searchQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid query parameters",
+        details: parsed.error.format(),
+      });
+    }
+    const { q, limit } = parsed.data;
+    const query = normalize(q);
+    if (!query) return res.json({ results: [], errors: [] });
+
+    const errors = [];
+    const aoiSearch = async () => {
+      if (mongoose.connection.readyState !== 1) {
+        errors.push({ part: "aoi", error: "Database not connected" });
+        return [];
+      }
+      try {
+        return await searchAois(req, query, limit);
+      } catch (err) {
+        console.error("GET /search AOI error:", err);
+        errors.push({ part: "aoi", error: String(err.message || err) });
+        return [];
+      }
+    };
+    // Both at once: the gazetteer may wait a moment for its index
+    const [aois, gazetteer] = await Promise.all([
+      aoiSearch(),
+      searchGazetteer(query, limit),
+    ]);
+    gazetteer.errors.forEach(({ layer, error }) =>
+      errors.push({ part: "gazetteer", layer, error })
+    );
+    const places = gazetteer.results.map((entry) => ({
+      type: "place",
+      id: `${entry.layer}:${entry.featureId}`,
+      name: entry.name,
+      detail: entry.title,
+      score: entry.score,
+      bbox: entry.bbox,
+      center: entry.center,
+      geometry: entry.geometry,
+    }));
+
+    // AOIs first among equal scores: they are the user's own data
+    const results = [...aois, ...places]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+    return res.json({ results, errors });
+  } catch (err) {
+    console.error("GET /search error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+// server/routes/styleRoutes.js
+const express = require("express");
+const mongoose = require("mongoose");
+const { z } = require("zod");
+const LayerStyle = require("../models/LayerStyle");
+const StyleSelection = require("../models/StyleSelection");
+const { requireAuth } = require("../middleware/auth");
+const { getSource } = require("../config/layerCatalog");
+const { MAX_SLD_LENGTH, sldSafetyError, sldError } = require("../utils/sld");
+
+const router = express.Router();
+
+const LAYER_NAME = /^[\w.:-]+$/;
+
+const layerRef = {
+  source: z.string().min(1),
+  layer: z.string().regex(LAYER_NAME, "Invalid layer name"),
+};
+
+const styleSchema = z.object({
+  ...layerRef,
+  name: z.string().trim().min(1).max(100),
+  body: z.string().min(1).max(MAX_SLD_LENGTH),
+});
+
+const selectionSchema = z
+  .object({
+    ...layerRef,
+    styleName: z
+      .string()
+      .regex(/^[\w.:-]*$/, "Invalid style name")
+      .default(""),
+    sld: z.string().nullish(),
+  })
+  .refine((s) => !(s.styleName && s.sld), "Pick either styleName or sld");
+
+// Styles and selections without the SLD body (fetched with GET /styles/:id/sld)
+const STYLE_FIELDS = "-body -userId -__v";
+const SELECTION_FIELDS = "source layer styleName sld";
+
+// 400 unless the source is a configured WMS source; sends the response itself
+function checkWmsSource(res, sourceId) {
+  if (getSource(sourceId)?.type === "wms") return true;
+  res.status(400).json({ error: `Unknown WMS source: ${sourceId}` });
+  return false;
+}
+
+/**
+ * GET /styles
+ * - the caller's SLD styles and style selections; ?source= and ?layer=
+ *   narrow both to one source / layer
+ * - answers { styles: [{ _id, source, layer, name, createdAt }], selections:
+ *   [{ source, layer, styleName, sld }] }
+ */
+router.get("/", requireAuth, async (req, res) => {
+  try {
+    const filter = { userId: req.userId };
+    if (typeof req.query.source === "string") filter.source = req.query.source;
+    if (typeof req.query.layer === "string") filter.layer = req.query.layer;
+
+    const [styles, selections] = await Promise.all([
+      LayerStyle.find(filter)
+        .select(STYLE_FIELDS)
+        .sort({ createdAt: 1 })
+        .lean(),
+      StyleSelection.find(filter).select(SELECTION_FIELDS).lean(),
+    ]);
+    return res.json({ styles, selections });
+  } catch (err) {
+    console.error("GET /styles error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/**
+ * POST /styles — save an SLD for a WMS layer (auth required)
+ * - body { source, layer, name, body }; the SLD must be well-formed and have
+ *   a NamedLayer for `layer`
+ * - styles are immutable: to change one, save a new style and delete the old
+ */
+router.post("/", requireAuth, async (req, res) => {
+  const parsed = styleSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res
+      .status(400)
+      .json({ error: "Invalid style", details: parsed.error.format() });
+  }
+  const { source, layer, name, body } = parsed.data;
+  if (!checkWmsSource(res, source)) return;
+  const problem = sldError(body, layer);
+  if (problem) return res.status(400).json({ error: problem });
+
+  try {
+    const doc = await LayerStyle.create({
+      userId: req.userId,
+      source,
+      layer,
+      name,
+      body,
+    });
+    return res.status(201).json({
+      _id: doc._id,
+      source,
+      layer,
+      name: doc.name,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt,
+    });
+  } catch (err) {
+    console.error("POST /styles error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/**
+ * PUT /styles/selection — remember the style of a WMS layer (auth required)
+ * - body { source, layer, styleName } for a named style, or
+ *   { source, layer, sld: <style id> } for one of the caller's SLDs
+ * - neither resets the layer to its default style; answers the selection
+ *   or null
+ */
+router.put("/selection", requireAuth, async (req, res) => {
+  const parsed = selectionSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: "Invalid style selection",
+      details: parsed.error.format(),
+    });
+  }
+  const { source, layer, styleName, sld } = parsed.data;
+  if (!checkWmsSource(res, source)) return;
+
+  try {
+    const key = { userId: req.userId, source, layer };
+    if (!styleName && !sld) {
+      await StyleSelection.deleteOne(key);
+      return res.json(null);
+    }
+    if (sld) {
+      if (!mongoose.isValidObjectId(sld)) {
+        return res.status(400).json({ error: "Invalid style id" });
+      }
+      const owned = await LayerStyle.exists({ _id: sld, ...key });
+      if (!owned) {
+        return res
+          .status(404)
+          .json({ error: "Style not found for this layer" });
+      }
+    }
+
+    const update = sld
+      ? { $set: { styleName: "", sld } }
+      : { $set: { styleName }, $unset: { sld: 1 } };
+    const selection = await StyleSelection.findOneAndUpdate(key, update, {
+      upsert: true,
+      new: true,
+      projection: SELECTION_FIELDS,
+    }).lean();
+    return res.json(selection);
+  } catch (err) {
+    console.error("PUT /styles/selection error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/**
+ * GET /styles/:id/sld — the SLD document of a style
+ * - public, so a map server given SLD=<this url> can fetch it
+ */
+router.get("/:id/sld", async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: "Invalid style id" });
+  }
+  try {
+    const style = await LayerStyle.findById(req.params.id)
+      .select("body")
+      .lean();
+    if (!style) return res.status(404).json({ error: "Style not found" });
+    const unsafe = sldSafetyError(style.body);
+    if (unsafe) return res.status(400).json({ error: unsafe });
+    return res.type("application/vnd.ogc.sld+xml").send(style.body);
+  } catch (err) {
+    console.error("GET /styles/:id/sld error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+/**
+ * DELETE /styles/:id — delete one of the caller's styles (auth required)
+ * - layers that had it selected go back to their default style
+ */
+router.delete("/:id", requireAuth, async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(400).json({ error: "Invalid style id" });
+  }
+  try {
+    const style = await LayerStyle.findById(req.params.id);
+    if (!style) return res.status(404).json({ error: "Style not found" });
+    if (style.userId !== req.userId) {
+      return res.status(403).json({ error: "You do not own this style" });
+    }
+
+    await style.deleteOne();
+    await StyleSelection.deleteMany({ userId: req.userId, sld: style._id });
+    return res.json({ ok: true, id: style._id });
+  } catch (err) {
+    console.error("DELETE /styles/:id error:", err);
+    return res
+      .status(500)
+      .json({ error: "Server error", details: String(err.message || err) });
+  }
+});
+
+module.exports = router;
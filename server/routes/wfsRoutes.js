@@ -0,0 +1,196 @@
+// server/routes/wfsRoutes.js
+const express = require("express");
+const { z } = require("zod");
+const Layer = require("../models/Layer");
+const { getSource, upstreamHeaders } = require("../config/layerCatalog");
+const { WFS_VERSION, describeFeatureType } = require("../utils/wfs");
+const {
+  httpError,
+  serviceError,
+  errorBody,
+  lowerCaseKeys,
+  sortedParams,
+  upstreamUrl,
+} = require("../utils/ogcRequest");
+const { routeCache, tagsFor } = require("../cache");
+
+const router = express.Router();
+
+const featuresCache = routeCache("wfs-features");
+
+const MAX_FEATURES = 5000; // per page
+const TYPE_NAME = /^[\w.:-]+$/;
+const NAME_LIST = /^[\w.:-]+(,[\w.:-]+)*$/;
+
+const featuresQuerySchema = z
+  .object({
+    source: z.string().min(1),
+    typename: z.string().regex(TYPE_NAME, "Invalid type name").optional(),
+    typenames: z.string().regex(TYPE_NAME, "Invalid type name").optional(), // WFS 2.0 spelling
+    // WGS84 minLng,minLat,maxLng,maxLat
+    bbox: z
+      .string()
+      .transform((v) => v.split(",").map(Number))
+      .refine(
+        (b) =>
+          b.length === 4 &&
+          b.every(Number.isFinite) &&
+          b[0] < b[2] &&
+          b[1] < b[3],
+        "bbox must be minLng,minLat,maxLng,maxLat"
+      )
+      .optional(),
+    cql_filter: z.string().trim().min(1).max(2000).optional(),
+    propertyname: z
+      .string()
+      .regex(NAME_LIST, "Invalid property name list")
+      .optional(),
+    startindex: z.coerce.number().int().min(0).default(0),
+    count: z.coerce.number().int().min(1).max(MAX_FEATURES).default(1000),
+  })
+  .refine((q) => q.typename || q.typenames, "typeName is required");
+
+// WFS sources may serve the feature types of their catalog layers only
+async function isCatalogType(source, typeName) {
+  return (await Layer.catalog()).some(
+    (layer) => layer.source === source.id && layer.name === typeName
+  );
+}
+
+// Upstream GetFeature parameters in a stable order; also the cache key
+async function getFeatureParams(source, typeName, q) {
+  const params = {
+    SERVICE: "WFS",
+    REQUEST: "GetFeature",
+    VERSION: WFS_VERSION,
+    TYPENAME: typeName,
+    OUTPUTFORMAT: "application/json",
+    SRSNAME: "EPSG:4326",
+    MAXFEATURES: String(q.count),
+    STARTINDEX: String(q.startindex),
+  };
+
+  // The geometry attribute is needed to keep geometries in a property
+  // selection and to combine a bbox with a CQL filter
+  let schema;
+  if (q.propertyname || (q.bbox && q.cql_filter)) {
+    schema = await describeFeatureType(source, typeName);
+  }
+
+  if (q.propertyname) {
+    const names = q.propertyname.split(",");
+    const unknown = names.filter(
+      (name) =>
+        name !== schema.geometryName &&
+        !schema.properties.some((p) => p.name === name)
+    );
+    if (unknown.length) {
+      throw httpError(400, `Unknown properties: ${unknown.join(", ")}`);
+    }
+    if (schema.geometryName && !names.includes(schema.geometryName)) {
+      names.push(schema.geometryName);
+    }
+    params.PROPERTYNAME = names.join(",");
+  }
+
+  const bbox = q.bbox?.map((n) => Number(n.toPrecision(12))).join(",");
+  if (q.cql_filter && bbox) {
+    if (!schema.geometryName) {
+      throw httpError(400, `${typeName} has no geometry to filter by bbox`);
+    }
+    // GeoServer does not accept BBOX together with CQL_FILTER
+    params.CQL_FILTER = `(${q.cql_filter}) AND BBOX(${schema.geometryName},${bbox},'EPSG:4326')`;
+  } else if (q.cql_filter) {
+    params.CQL_FILTER = q.cql_filter;
+  } else if (bbox) {
+    params.BBOX = `${bbox},EPSG:4326`;
+  }
+  return sortedParams(params);
+}
+
+/**
+ * GET /wfs/features?source=<id>&typeName=<name>
+ * - WFS GetFeature proxy answering GeoJSON (longitude/latitude)
+ * - optional ?bbox=minLng,minLat,maxLng,maxLat, ?CQL_FILTER=, ?propertyName=a,b
+ *   (the geometry is always included) and paging with ?startIndex= and
+ *   ?count= (1..5000, default 1000); parameter names are case-insensitive
+ * - answers { type: "FeatureCollection", features, numberMatched,
+ *   numberReturned, startIndex, count }; numberMatched is null when the
+ *   server does not report it
+ * Only feature types of catalog layers on a WFS source can be requested.
+ */
+router.get("/features", async (req, res) => {
+  const parsed = featuresQuerySchema.safeParse(lowerCaseKeys(req.query));
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: "Invalid query parameters",
+      details: parsed.error.format(),
+    });
+  }
+  const query = parsed.data;
+  const typeName = query.typename || query.typenames;
+
+  const source = getSource(query.source);
+  if (!source || source.type !== "wfs") {
+    return res
+      .status(404)
+      .json({ error: `Unknown WFS source: ${query.source}` });
+  }
+
+  try {
+    if (!(await isCatalogType(source, typeName))) {
+      return res
+        .status(400)
+        .json({ error: `Feature type not in the catalog: ${typeName}` });
+    }
+
+    const params = await getFeatureParams(source, typeName, query);
+    const cacheKey = `${source.id}|${params}`;
+    const cached = await featuresCache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const response = await fetch(upstreamUrl(source.url, params), {
+      headers: upstreamHeaders(source),
+      signal: AbortSignal.timeout(60000),
+    });
+    const contentType = response.headers.get("content-type") || "";
+    const body = await response.text();
+    if (!contentType.includes("json")) throw serviceError("WFS", body);
+    if (!response.ok) {
+      throw httpError(
+        502,
+        `Upstream GetFeature failed: ${response.status} ${response.statusText}`
+      );
+    }
+
+    const collection = JSON.parse(body);
+    const matched = Number(
+      collection.numberMatched ?? collection.totalFeatures
+    );
+    const features = (collection.features || []).map((feature, i) => ({
+      ...feature,
+      id: feature.id ?? `${typeName}.${query.startindex + i}`,
+    }));
+    const data = {
+      type: "FeatureCollection",
+      features,
+      numberMatched: Number.isFinite(matched) ? matched : null,
+      numberReturned: features.length,
+      startIndex: query.startindex,
+      count: query.count,
+    };
+    await featuresCache.set(cacheKey, data, {
+      tags: tagsFor(source.id, [typeName]),
+    });
+    return res.json(data);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(errorBody(err));
+    console.error("GET /wfs/features error:", err);
+    return res.status(502).json({
+      error: "Failed to fetch features",
+      details: String(err.message || err),
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,672 @@
+// server/routes/wmsRoutes.js
+const crypto = require("crypto");
+const express = require("express");
+const { z } = require("zod");
+const Layer = require("../models/Layer");
+const { requireAuthWhen } = require("../middleware/auth");
+const { getSource, upstreamHeaders } = require("../config/layerCatalog");
+const { fetchCapabilities } = require("../utils/wmsCapabilities");
+const { parseServiceException } = require("../utils/wmsXml");
+const {
+  httpError,
+  serviceError,
+  errorBody,
+  lowerCaseKeys,
+  sortedParams,
+  upstreamUrl,
+} = require("../utils/ogcRequest");
+const { INFO_FORMATS, normalizeFeatureInfo } = require("../utils/featureInfo");
+const { loadSld, withSld } = require("../utils/sld");
+const { routeCache, tagsFor } = require("../cache");
+
+const router = express.Router();
+
+const mapCache = routeCache("wms-map");
+const featureInfoCache = routeCache("wms-feature-info");
+const legendCache = routeCache("wms-legend");
+
+const capabilitiesQuerySchema = z.object({
+  source: z.string().min(1),
+  version: z.enum(["1.1.1", "1.3.0"]).default("1.3.0"),
+  refresh: z
+    .enum(["true", "false"])
+    .default("false")
+    .transform((v) => v === "true"),
+});
+
+// Bypassing the cache costs an upstream request: signed-in users only
+const authForRefresh = requireAuthWhen((req) => req.query.refresh === "true");
+
+/**
+ * GET /wms/capabilities?source=<id>
+ * - parsed GetCapabilities of a configured WMS source (cached for an hour)
+ * - optional ?version=1.1.1|1.3.0 (default 1.3.0)
+ * - ?refresh=true (signed-in users) fetches it again, at most once a minute
+ *   per source and version
+ */
+router.get("/capabilities", authForRefresh, async (req, res) => {
+  const parsed = capabilitiesQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: "Invalid query parameters",
+      details: parsed.error.format(),
+    });
+  }
+  const { source: sourceId, version, refresh } = parsed.data;
+
+  const source = getSource(sourceId);
+  if (!source || source.type !== "wms") {
+    return res.status(404).json({ error: `Unknown WMS source: ${sourceId}` });
+  }
+
+  try {
+    const capabilities = await fetchCapabilities(source, { version, refresh });
+    return res.json(capabilities);
+  } catch (err) {
+    console.error("GET /wms/capabilities error:", err);
+    return res.status(502).json({
+      error: "Failed to fetch WMS capabilities",
+      details: String(err.message || err),
+    });
+  }
+});
+
+const MAP_FORMATS = [
+  "image/png",
+  "image/png8",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+];
+const MAX_MAP_SIZE = 2048; // pixels per side
+const NAME_LIST = /^[\w.:-]+(,[\w.:-]+)*$/;
+const CRS_CODE = /^(EPSG:\d+|CRS:84)$/i;
+// TIME: ISO 8601 instants, lists and start/end/period intervals, or "current"
+const TIME_VALUE = z
+  .string()
+  .max(500)
+  .regex(/^[\w:.,/+-]+$/, "Invalid TIME value");
+// Id of a user SLD style (see ../models/LayerStyle.js)
+const STYLE_ID = z.string().regex(/^[a-f\d]{24}$/i, "Invalid style id");
+
+const booleanFlag = z
+  .string()
+  .regex(/^(true|false)$/i)
+  .transform((v) => v.toLowerCase() === "true");
+
+const mapQuerySchema = z
+  .object({
+    source: z.string().min(1),
+    service: z.string().regex(/^wms$/i).optional(),
+    request: z.string().regex(/^getmap$/i, "Only GetMap is supported"),
+    version: z.enum(["1.1.1", "1.3.0"]).default("1.1.1"),
+    layers: z.string().regex(NAME_LIST, "Invalid layer list"),
+    styles: z
+      .string()
+      .regex(/^[\w.:-]*(,[\w.:-]*)*$/, "Invalid style list")
+      .default(""),
+    format: z
+      .string()
+      .toLowerCase()
+      .refine((v) => MAP_FORMATS.includes(v), "Unsupported image format")
+      .default("image/png"),
+    transparent: booleanFlag.default(false),
+    width: z.coerce.number().int().min(1).max(MAX_MAP_SIZE),
+    height: z.coerce.number().int().min(1).max(MAX_MAP_SIZE),
+    bbox: z
+      .string()
+      .transform((v) => v.split(",").map(Number))
+      .refine(
+        (b) =>
+          b.length === 4 &&
+          b.every(Number.isFinite) &&
+          b[0] < b[2] &&
+          b[1] < b[3],
+        "bbox must be minx,miny,maxx,maxy"
+      ),
+    srs: z.string().regex(CRS_CODE).optional(), // WMS 1.1.1
+    crs: z.string().regex(CRS_CODE).optional(), // WMS 1.3.0
+    time: TIME_VALUE.optional(),
+    sld: STYLE_ID.optional(),
+  })
+  .refine((q) => q.srs || q.crs, "srs (1.1.1) or crs (1.3.0) is required");
+
+// Upstream GetMap parameters in a stable order; also the cache key
+function normalizeMapParams(q) {
+  const params = {
+    SERVICE: "WMS",
+    REQUEST: "GetMap",
+    VERSION: q.version,
+    LAYERS: q.layers,
+    STYLES: q.styles,
+    FORMAT: q.format,
+    TRANSPARENT: q.transparent ? "TRUE" : "FALSE",
+    WIDTH: String(q.width),
+    HEIGHT: String(q.height),
+    BBOX: q.bbox.map((n) => Number(n.toPrecision(12))).join(","),
+    [q.version === "1.3.0" ? "CRS" : "SRS"]: (q.crs || q.srs).toUpperCase(),
+    ...(q.time && { TIME: q.time }),
+  };
+  return sortedParams(params);
+}
+
+// Layer names the source does not offer: neither in the catalog nor in its capabilities
+async function unknownLayers(source, names) {
+  const catalog = (await Layer.catalog())
+    .filter((layer) => layer.source === source.id)
+    .map((layer) => layer.name);
+  let unknown = names.filter((name) => !catalog.includes(name));
+  if (unknown.length) {
+    const capabilities = await fetchCapabilities(source).catch(() => null);
+    if (capabilities) {
+      unknown = unknown.filter(
+        (name) => !capabilities.layers.some((layer) => layer.name === name)
+      );
+    }
+  }
+  return unknown;
+}
+
+// Freshness lifetime (ms) from an upstream Cache-Control header; the
+// route's TTL when upstream does not say
+function upstreamTtl(cacheControl) {
+  const maxAge = /(?:^|,)\s*(?:s-maxage|max-age)=(\d+)/i.exec(cacheControl);
+  if (maxAge) return Number(maxAge[1]) * 1000;
+  if (/no-cache/i.test(cacheControl)) return 0;
+  return mapCache.ttl();
+}
+
+// Entries are kept for the route's TTL even when upstream wants them
+// revalidated sooner, so a stale image can be revalidated with its ETag
+function storeMapImage(key, entry, source, names) {
+  return mapCache.set(key, entry, {
+    ttl: Math.max(mapCache.ttl(), entry.expires - Date.now()),
+    tags: tagsFor(source.id, names),
+  });
+}
+
+/**
+ * Fetch one GetMap image from upstream and cache it. A stale cached entry is
+ * revalidated with the upstream ETag when there is one. `sldId` styles the
+ * image with a user SLD.
+ * Resolves to { entry, status } where status is MISS or REVALIDATED.
+ */
+async function loadMapImage(source, params, key, stale, sldId) {
+  const names = params.get("LAYERS").split(",");
+  if (!stale) {
+    const unknown = await unknownLayers(source, names);
+    if (unknown.length) {
+      throw httpError(400, `Unknown layers: ${unknown.join(", ")}`);
+    }
+  }
+
+  const upstreamParams = sldId
+    ? withSld(params, await loadSld(sldId, source, names))
+    : params;
+
+  const headers = upstreamHeaders(source);
+  if (stale?.upstreamEtag) headers["If-None-Match"] = stale.upstreamEtag;
+  const url = upstreamUrl(source.url, upstreamParams);
+  const response = await fetch(url, {
+    headers,
+    signal: AbortSignal.timeout(30000),
+  });
+  const cacheControl = response.headers.get("cache-control") || "";
+
+  if (response.status === 304 && stale) {
+    const entry = { ...stale, expires: Date.now() + upstreamTtl(cacheControl) };
+    await storeMapImage(key, entry, source, names);
+    return { entry, status: "REVALIDATED" };
+  }
+  if (!response.ok) {
+    throw httpError(
+      502,
+      `Upstream GetMap failed: ${response.status} ${response.statusText}`
+    );
+  }
+
+  const contentType = response.headers.get("content-type") || "";
+  const body = Buffer.from(await response.arrayBuffer());
+  if (!contentType.startsWith("image/")) {
+    throw serviceError("WMS", body.toString("utf8"));
+  }
+
+  const entry = {
+    body,
+    contentType,
+    etag: `"${crypto.createHash("sha1").update(body).digest("base64url")}"`,
+    upstreamEtag: response.headers.get("etag") || undefined,
+    expires: Date.now() + upstreamTtl(cacheControl),
+    noStore: /no-store|private/i.test(cacheControl),
+  };
+  if (!entry.noStore) await storeMapImage(key, entry, source, names);
+  return { entry, status: "MISS" };
+}
+
+// Concurrent requests for the same image share one upstream fetch
+const inFlight = new Map();
+function fetchMapImage(source, params, key, stale, sldId) {
+  if (!inFlight.has(key)) {
+    inFlight.set(
+      key,
+      loadMapImage(source, params, key, stale, sldId).finally(() =>
+        inFlight.delete(key)
+      )
+    );
+  }
+  return inFlight.get(key);
+}
+
+/**
+ * GET /wms/map?source=<id>&<GetMap parameters>
+ * - GetMap proxy for a configured WMS source (parameter names are case-insensitive)
+ * - upstream credentials of the source are added on the server
+ * - TIME is passed through for layers with a time dimension
+ * - ?sld=<style id> renders with a user SLD (sent upstream as SLD_BODY / SLD)
+ * - images are cached (see ../cache), keyed on the normalized parameters
+ * - answers with ETag / Cache-Control and 304 for a matching If-None-Match;
+ *   `Cache-Control: no-cache` on the request forces a revalidation upstream
+ */
+router.get("/map", async (req, res) => {
+  const parsed = mapQuerySchema.safeParse(lowerCaseKeys(req.query));
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: "Invalid GetMap parameters",
+      details: parsed.error.format(),
+    });
+  }
+
+  const source = getSource(parsed.data.source);
+  if (!source || source.type !== "wms") {
+    return res
+      .status(404)
+      .json({ error: `Unknown WMS source: ${parsed.data.source}` });
+  }
+
+  try {
+    const params = normalizeMapParams(parsed.data);
+    const { sld } = parsed.data;
+    // SLD bodies never change, so their id is enough for the key
+    const key = `${source.id}|${params}${sld ? `|SLD=${sld}` : ""}`;
+    let entry = await mapCache.get(key);
+    let status = "HIT";
+    const forceRevalidate = /no-cache/i.test(req.get("cache-control") || "");
+    if (!entry || entry.expires <= Date.now() || forceRevalidate) {
+      ({ entry, status } = await fetchMapImage(
+        source,
+        params,
+        key,
+        entry,
+        sld
+      ));
+    }
+
+    res.set("ETag", entry.etag);
+    res.set("X-Cache", status);
+    res.set(
+      "Cache-Control",
+      entry.noStore
+        ? "no-store"
+        : `public, max-age=${Math.max(
+            0,
+            Math.floor((entry.expires - Date.now()) / 1000)
+          )}`
+    );
+    if (req.fresh) return res.status(304).end();
+    return res.type(entry.contentType).send(entry.body);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(errorBody(err));
+    console.error("GET /wms/map error:", err);
+    return res.status(502).json({
+      error: "Failed to fetch map image",
+      details: String(err.message || err),
+    });
+  }
+});
+
+const MAX_FEATURE_COUNT = 50;
+// Geographic CRSs whose WMS 1.3.0 axis order is latitude first
+const LAT_LON_CRS = ["EPSG:4326", "EPSG:4258", "EPSG:4269"];
+
+const pixel = z.coerce.number().int().min(0).optional();
+
+const featureInfoSchema = z
+  .object({
+    source: z.string().optional(), // catalog source id; inferred from the layers if omitted
+    layers: z.string().regex(NAME_LIST, "Invalid layer list"),
+    version: z.enum(["1.1.1", "1.3.0"]).default("1.1.1"),
+    x: pixel, // WMS 1.1.1
+    y: pixel,
+    i: pixel, // WMS 1.3.0
+    j: pixel,
+    bbox: z
+      .string()
+      .transform((v) => v.split(",").map(Number))
+      .refine(
+        (b) =>
+          b.length === 4 &&
+          b.every(Number.isFinite) &&
+          b[0] < b[2] &&
+          b[1] < b[3],
+        "bbox must be minx,miny,maxx,maxy"
+      ),
+    width: z.coerce.number().int().min(1).max(MAX_MAP_SIZE),
+    height: z.coerce.number().int().min(1).max(MAX_MAP_SIZE),
+    crs: z.string().regex(CRS_CODE).optional(),
+    srs: z.string().regex(CRS_CODE).optional(),
+    feature_count: z.coerce
+      .number()
+      .int()
+      .min(1)
+      .max(MAX_FEATURE_COUNT)
+      .default(10),
+    info_format: z
+      .string()
+      .refine((v) => INFO_FORMATS.includes(v), "Unsupported info format")
+      .optional(),
+    time: TIME_VALUE.optional(),
+  })
+  .refine(
+    (q) => (q.x ?? q.i) !== undefined && (q.y ?? q.j) !== undefined,
+    "x/y (1.1.1) or i/j (1.3.0) is required"
+  );
+
+// Source and layers a feature info request may query; sends 400 itself
+async function resolveQueryableLayers(res, names, sourceId) {
+  const catalog = (await Layer.catalog()).filter(
+    (layer) => layer.queryable && names.includes(layer.name)
+  );
+  const sourceIds = sourceId
+    ? [sourceId]
+    : [...new Set(catalog.map((layer) => layer.source))];
+  if (sourceIds.length > 1) {
+    res.status(400).json({ error: "Layers must all come from one source" });
+    return null;
+  }
+  if (sourceIds.length === 0) {
+    res
+      .status(400)
+      .json({ error: `Layers not queryable: ${names.join(", ")}` });
+    return null;
+  }
+  const source = getSource(sourceIds[0]);
+  if (!source || source.type !== "wms") {
+    res.status(400).json({ error: `Unknown WMS source: ${sourceIds[0]}` });
+    return null;
+  }
+
+  // Catalog layers marked queryable, or layers the capabilities advertise as queryable
+  let allowed = catalog
+    .filter((layer) => layer.source === source.id)
+    .map((layer) => layer.name);
+  if (names.some((name) => !allowed.includes(name))) {
+    const capabilities = await fetchCapabilities(source).catch(() => null);
+    if (capabilities) {
+      allowed = allowed.concat(
+        capabilities.layers
+          .filter((layer) => layer.queryable)
+          .map((layer) => layer.name)
+      );
+    }
+  }
+  const unknown = names.filter((name) => !allowed.includes(name));
+  if (unknown.length) {
+    res
+      .status(400)
+      .json({ error: `Layers not queryable: ${unknown.join(", ")}` });
+    return null;
+  }
+  return source;
+}
+
+// Requested format, else the first one the source advertises that we can read
+async function pickInfoFormat(source, requested) {
+  if (requested) return requested;
+  const capabilities = await fetchCapabilities(source).catch(() => null);
+  return (
+    INFO_FORMATS.find((format) => capabilities?.infoFormats.includes(format)) ||
+    "application/json"
+  );
+}
+
+// Upstream GetFeatureInfo parameters in a stable order; also the cache key
+function featureInfoParams(q, infoFormat) {
+  const crs = (q.crs || q.srs || "EPSG:4326").toUpperCase();
+  const v130 = q.version === "1.3.0";
+  // bbox comes in x/y (lng/lat) order; 1.3.0 wants lat/lng for these CRSs
+  const bbox =
+    v130 && LAT_LON_CRS.includes(crs)
+      ? [q.bbox[1], q.bbox[0], q.bbox[3], q.bbox[2]]
+      : q.bbox;
+  const params = {
+    SERVICE: "WMS",
+    REQUEST: "GetFeatureInfo",
+    VERSION: q.version,
+    LAYERS: q.layers,
+    QUERY_LAYERS: q.layers,
+    STYLES: "",
+    INFO_FORMAT: infoFormat,
+    FEATURE_COUNT: String(q.feature_count),
+    WIDTH: String(q.width),
+    HEIGHT: String(q.height),
+    BBOX: bbox.map((n) => Number(n.toPrecision(12))).join(","),
+    [v130 ? "CRS" : "SRS"]: crs,
+    [v130 ? "I" : "X"]: String(q.i ?? q.x),
+    [v130 ? "J" : "Y"]: String(q.j ?? q.y),
+    ...(q.time && { TIME: q.time }),
+  };
+  return sortedParams(params);
+}
+
+/**
+ * GET /wms/feature-info → WMS GetFeatureInfo proxy with caching
+ * - WMS 1.1.1 (x, y, srs) or 1.3.0 (i, j, crs; default crs EPSG:4326);
+ *   bbox is always minx,miny,maxx,maxy in lng/lat order
+ * - ?feature_count=1..50 (default 10), optional ?info_format= and ?time=
+ * - JSON, GML, XML, HTML and plain text answers are normalized into
+ *   { type: "FeatureCollection", features, format }
+ * Only queryable layers of a single WMS source can be queried: catalog
+ * layers, or layers the source's capabilities advertise as queryable.
+ */
+router.get("/feature-info", async (req, res) => {
+  const parsed = featureInfoSchema.safeParse(lowerCaseKeys(req.query));
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: "Invalid query parameters",
+      details: parsed.error.format(),
+    });
+  }
+  const query = parsed.data;
+
+  try {
+    const names = query.layers.split(",");
+    const source = await resolveQueryableLayers(res, names, query.source);
+    if (!source) return;
+
+    const infoFormat = await pickInfoFormat(source, query.info_format);
+    const params = featureInfoParams(query, infoFormat);
+    const cacheKey = `${source.id}|${params}`;
+    const cached = await featureInfoCache.get(cacheKey);
+    if (cached) return res.json(cached);
+
+    const url = upstreamUrl(source.url, params);
+    const response = await fetch(url, {
+      headers: upstreamHeaders(source),
+      signal: AbortSignal.timeout(30000),
+    });
+    if (!response.ok) {
+      throw httpError(
+        502,
+        `Upstream GetFeatureInfo failed: ${response.status} ${response.statusText}`
+      );
+    }
+
+    const contentType = response.headers.get("content-type") || infoFormat;
+    const body = await response.text();
+    if (/se_xml/i.test(contentType) || parseServiceException(body)) {
+      throw serviceError("WMS", body);
+    }
+
+    let features;
+    try {
+      features = normalizeFeatureInfo(body, contentType);
+    } catch (err) {
+      throw httpError(
+        502,
+        `Could not read the ${contentType} feature info response: ${err.message}`
+      );
+    }
+
+    const data = {
+      type: "FeatureCollection",
+      features,
+      format: contentType.split(";")[0].trim(),
+    };
+    await featureInfoCache.set(cacheKey, data, {
+      tags: tagsFor(source.id, names),
+    });
+    return res.json(data);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(errorBody(err));
+    console.error("WMS feature info error:", err);
+    return res.status(500).json({
+      error: "Failed to fetch feature information",
+      message: err.message,
+    });
+  }
+});
+
+const LEGEND_FORMATS = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "application/json",
+];
+
+const legendQuerySchema = z.object({
+  source: z.string().optional(), // catalog source id; inferred from the layer if omitted
+  layer: z.string().regex(/^[\w.:-]+$/, "Invalid layer name"),
+  style: z
+    .string()
+    .regex(/^[\w.:-]*$/, "Invalid style name")
+    .default(""),
+  format: z
+    .string()
+    .toLowerCase()
+    .refine((v) => LEGEND_FORMATS.includes(v), "Unsupported legend format")
+    .default("image/png"),
+  width: z.coerce.number().int().min(8).max(256).default(20), // symbol size
+  height: z.coerce.number().int().min(8).max(256).default(20),
+  scale: z.coerce.number().positive().optional(), // map scale denominator
+  legend_options: z
+    .string()
+    .max(500)
+    .regex(/^[\w:;.#,-]*$/, "Invalid legend options")
+    .optional(), // GeoServer vendor parameter
+  sld: STYLE_ID.optional(),
+});
+
+// WMS source of a legend request: the given one, or the catalog layer's
+async function legendSource(sourceId, layerName) {
+  if (sourceId) return getSource(sourceId);
+  const entry = (await Layer.catalog()).find(
+    (layer) =>
+      layer.name === layerName && getSource(layer.source)?.type === "wms"
+  );
+  return entry ? getSource(entry.source) : null;
+}
+
+// Upstream GetLegendGraphic parameters in a stable order; also the cache key
+function legendParams(q) {
+  return sortedParams({
+    SERVICE: "WMS",
+    REQUEST: "GetLegendGraphic",
+    VERSION: "1.0.0",
+    LAYER: q.layer,
+    STYLE: q.style,
+    FORMAT: q.format,
+    WIDTH: String(q.width),
+    HEIGHT: String(q.height),
+    ...(q.scale && { SCALE: String(q.scale) }),
+    ...(q.legend_options && { LEGEND_OPTIONS: q.legend_options }),
+  });
+}
+
+/**
+ * GET /wms/legend?layer=<name>&style=<style>
+ * - GetLegendGraphic proxy with caching; answers the legend image, or
+ *   GeoServer's JSON legend with ?format=application/json
+ * - ?source= defaults to the source of the catalog layer with that name;
+ *   other layers must be advertised by the source's capabilities
+ * - optional ?width= / ?height= (symbol size), ?scale=, ?legend_options=
+ * - ?sld=<style id> draws the legend of a user SLD instead of ?style=
+ */
+router.get("/legend", async (req, res) => {
+  const parsed = legendQuerySchema.safeParse(lowerCaseKeys(req.query));
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: "Invalid query parameters",
+      details: parsed.error.format(),
+    });
+  }
+  const query = parsed.data;
+
+  try {
+    const source = await legendSource(query.source, query.layer);
+    if (!source || source.type !== "wms") {
+      return res.status(404).json({
+        error: `No WMS source for layer ${query.layer}; pass ?source=`,
+      });
+    }
+
+    const params = legendParams(query);
+    const key = `${source.id}|${params}${query.sld ? `|SLD=${query.sld}` : ""}`;
+    let entry = await legendCache.get(key);
+    if (!entry) {
+      const unknown = await unknownLayers(source, [query.layer]);
+      if (unknown.length) {
+        throw httpError(400, `Unknown layer: ${query.layer}`);
+      }
+
+      const upstreamParams = query.sld
+        ? withSld(params, await loadSld(query.sld, source, [query.layer]))
+        : params;
+      const response = await fetch(upstreamUrl(source.url, upstreamParams), {
+        headers: upstreamHeaders(source),
+        signal: AbortSignal.timeout(20000),
+      });
+      const contentType = response.headers.get("content-type") || "";
+      const body = Buffer.from(await response.arrayBuffer());
+      const expected = query.format === "application/json" ? "json" : "image/";
+      if (!contentType.includes(expected)) {
+        throw serviceError("WMS", body.toString("utf8"));
+      }
+      if (!response.ok) {
+        throw httpError(
+          502,
+          `Upstream GetLegendGraphic failed: ${response.status} ${response.statusText}`
+        );
+      }
+
+      entry = { body, contentType };
+      await legendCache.set(key, entry, {
+        tags: tagsFor(source.id, [query.layer]),
+      });
+    }
+
+    res.set(
+      "Cache-Control",
+      `public, max-age=${Math.floor(legendCache.ttl() / 1000)}`
+    );
+    return res.type(entry.contentType).send(entry.body);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json(errorBody(err));
+    console.error("GET /wms/legend error:", err);
+    return res.status(502).json({
+      error: "Failed to fetch legend",
+      details: String(err.message || err),
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+// server/routes/wmtsRoutes.js
+const express = require("express");
+const { z } = require("zod");
+const { requireAuthWhen } = require("../middleware/auth");
+const { getSource } = require("../config/layerCatalog");
+const { fetchWmtsCapabilities } = require("../utils/wmtsCapabilities");
+
+const router = express.Router();
+
+const capabilitiesQuerySchema = z.object({
+  source: z.string().min(1),
+  refresh: z
+    .enum(["true", "false"])
+    .default("false")
+    .transform((v) => v === "true"),
+});
+
+// Bypassing the cache costs an upstream request: signed-in users only
+const authForRefresh = requireAuthWhen((req) => req.query.refresh === "true");
+
+/**
+ * GET /wmts/capabilities?source=<id>
+ * - parsed GetCapabilities of a configured WMTS source: layers with their
+ *   styles, formats, tile templates and dimensions, and the tile matrix sets
+ * - cached for an hour; ?refresh=true (signed-in users) fetches it again,
+ *   at most once a minute per source
+ */
+router.get("/capabilities", authForRefresh, async (req, res) => {
+  const parsed = capabilitiesQuerySchema.safeParse(req.query);
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: "Invalid query parameters",
+      details: parsed.error.format(),
+    });
+  }
+  const { source: sourceId, refresh } = parsed.data;
+
+  const source = getSource(sourceId);
+  if (!source || source.type !== "wmts") {
+    return res.status(404).json({ error: `Unknown WMTS source: ${sourceId}` });
+  }
+
+  try {
+    return res.json(await fetchWmtsCapabilities(source, { refresh }));
+  } catch (err) {
+    console.error("GET /wmts/capabilities error:", err);
+    return res.status(502).json({
+      error: "Failed to fetch WMTS capabilities",
+      details: String(err.message || err),
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,328 @@
+// server/utils/aoiExport.js
+const shpwrite = require("@mapbox/shp-write");
+
+/**
+ * Serializers that turn Aoi documents into the formats our GIS tools read:
+ * GeoJSON, KML (Google Earth), GPX, zipped Shapefile (QGIS) and CSV with WKT.
+ *
+ * Every format carries the same attributes: id, name, description,
+ * createdAt, updatedAt, tags, style and any custom properties stored on the
+ * AOI, so an export can be imported again without losing them.
+ */
+
+// Flat attribute record for one AOI (custom properties never override the core fields)
+function aoiAttributes(aoi) {
+  const custom =
+    aoi.properties && typeof aoi.properties === "object" ? aoi.properties : {};
+  const attrs = {
+    ...custom,
+    id: String(aoi._id),
+    name: aoi.name || "",
+    description: aoi.description || "",
+    createdAt: aoi.createdAt ? new Date(aoi.createdAt).toISOString() : "",
+    updatedAt: aoi.updatedAt ? new Date(aoi.updatedAt).toISOString() : "",
+  };
+  if (aoi.tags && aoi.tags.length) attrs.tags = [...aoi.tags];
+  if (aoi.style && Object.keys(aoi.style).length) attrs.style = { ...aoi.style };
+  return attrs;
+}
+
+function aoiToFeature(aoi) {
+  return {
+    type: "Feature",
+    id: String(aoi._id),
+    geometry: aoi.geometry,
+    properties: aoiAttributes(aoi),
+  };
+}
+
+// Attribute values as plain strings (objects/arrays are JSON-encoded)
+function stringValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+}
+
+function escapeXml(value) {
+  return stringValue(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+// Attributes that are exported as first-class fields rather than custom data
+const CORE_FIELDS = ["id", "name", "description", "createdAt", "updatedAt"];
+
+function customEntries(attrs) {
+  return Object.entries(attrs).filter(([key]) => !CORE_FIELDS.includes(key));
+}
+
+// ---- GeoJSON ----
+function toGeoJSON(aois) {
+  return JSON.stringify({
+    type: "FeatureCollection",
+    features: aois.map(aoiToFeature),
+  });
+}
+
+// ---- KML ----
+function kmlCoords(ring) {
+  return ring.map(([lng, lat]) => `${lng},${lat}`).join(" ");
+}
+
+function kmlPolygon(rings) {
+  const [outer, ...holes] = rings;
+  return (
+    "<Polygon>" +
+    `<outerBoundaryIs><LinearRing><coordinates>${kmlCoords(outer)}</coordinates></LinearRing></outerBoundaryIs>` +
+    holes
+      .map(
+        (hole) =>
+          `<innerBoundaryIs><LinearRing><coordinates>${kmlCoords(hole)}</coordinates></LinearRing></innerBoundaryIs>`
+      )
+      .join("") +
+    "</Polygon>"
+  );
+}
+
+function kmlGeometry(geometry) {
+  if (geometry.type === "Point") {
+    const [lng, lat] = geometry.coordinates;
+    return `<Point><coordinates>${lng},${lat}</coordinates></Point>`;
+  }
+  if (geometry.type === "Polygon") return kmlPolygon(geometry.coordinates);
+  return `<MultiGeometry>${geometry.coordinates.map(kmlPolygon).join("")}</MultiGeometry>`;
+}
+
+// KML colors are aabbggrr
+function kmlColor(hex, opacity) {
+  let rgb = hex.replace("#", "");
+  if (rgb.length === 3) rgb = rgb.replace(/./g, "$&$&");
+  const alpha = Math.round((opacity ?? 1) * 255)
+    .toString(16)
+    .padStart(2, "0");
+  return `${alpha}${rgb.slice(4, 6)}${rgb.slice(2, 4)}${rgb.slice(0, 2)}`;
+}
+
+function kmlStyle(style) {
+  if (!style) return "";
+  const line = style.color
+    ? `<LineStyle><color>${kmlColor(style.color, style.opacity)}</color>` +
+      (style.weight !== undefined ? `<width>${style.weight}</width>` : "") +
+      "</LineStyle>"
+    : "";
+  const fillColor = style.fillColor || style.color;
+  const poly = fillColor
+    ? `<PolyStyle><color>${kmlColor(fillColor, style.fillOpacity ?? 0.2)}</color></PolyStyle>`
+    : "";
+  return line || poly ? `<Style>${line}${poly}</Style>` : "";
+}
+
+function toKML(aois) {
+  const placemarks = aois.map((aoi) => {
+    const attrs = aoiAttributes(aoi);
+    const data = [
+      ["id", attrs.id],
+      ["createdAt", attrs.createdAt],
+      ["updatedAt", attrs.updatedAt],
+    ]
+      .concat(customEntries(attrs))
+      .map(
+        ([key, value]) =>
+          `<Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`
+      )
+      .join("");
+    return (
+      `<Placemark id="${escapeXml(attrs.id)}">` +
+      `<name>${escapeXml(attrs.name)}</name>` +
+      `<description>${escapeXml(attrs.description)}</description>` +
+      kmlStyle(attrs.style) +
+      (attrs.createdAt
+        ? `<TimeStamp><when>${attrs.createdAt}</when></TimeStamp>`
+        : "") +
+      `<ExtendedData>${data}</ExtendedData>` +
+      kmlGeometry(aoi.geometry) +
+      "</Placemark>"
+    );
+  });
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+    "<name>Areas of Interest</name>" +
+    placemarks.join("") +
+    "</Document></kml>\n"
+  );
+}
+
+// ---- GPX ----
+// GPX has no polygon type: points become waypoints, polygon rings become track segments.
+function gpxExtensions(attrs) {
+  const entries = [
+    ["id", attrs.id],
+    ["updatedAt", attrs.updatedAt],
+  ].concat(customEntries(attrs));
+  return (
+    "<extensions>" +
+    entries
+      .map(
+        ([key, value]) =>
+          `<aoi:property name="${escapeXml(key)}">${escapeXml(value)}</aoi:property>`
+      )
+      .join("") +
+    "</extensions>"
+  );
+}
+
+function toGPX(aois) {
+  const waypoints = [];
+  const tracks = [];
+
+  aois.forEach((aoi) => {
+    const attrs = aoiAttributes(aoi);
+    const meta =
+      `<name>${escapeXml(attrs.name)}</name>` +
+      `<desc>${escapeXml(attrs.description)}</desc>`;
+    const time = attrs.createdAt ? `<time>${attrs.createdAt}</time>` : "";
+
+    if (aoi.geometry.type === "Point") {
+      const [lng, lat] = aoi.geometry.coordinates;
+      waypoints.push(
+        `<wpt lat="${lat}" lon="${lng}">${time}${meta}${gpxExtensions(attrs)}</wpt>`
+      );
+      return;
+    }
+
+    const polygons =
+      aoi.geometry.type === "Polygon"
+        ? [aoi.geometry.coordinates]
+        : aoi.geometry.coordinates;
+    const segments = polygons
+      .flat()
+      .map(
+        (ring) =>
+          "<trkseg>" +
+          ring
+            .map(([lng, lat]) => `<trkpt lat="${lat}" lon="${lng}"/>`)
+            .join("") +
+          "</trkseg>"
+      )
+      .join("");
+    tracks.push(`<trk>${meta}${gpxExtensions(attrs)}${segments}</trk>`);
+  });
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="Geospatial Viewer" xmlns="http://www.topografix.com/GPX/1/1" ' +
+    'xmlns:aoi="https://geospatial-viewer.vercel.app/gpx/aoi/1">' +
+    waypoints.join("") +
+    tracks.join("") +
+    "</gpx>\n"
+  );
+}
+
+// ---- CSV (WKT geometry column) ----
+function wktRing(ring) {
+  return `(${ring.map(([lng, lat]) => `${lng} ${lat}`).join(", ")})`;
+}
+
+function toWKT(geometry) {
+  if (geometry.type === "Point") {
+    const [lng, lat] = geometry.coordinates;
+    return `POINT (${lng} ${lat})`;
+  }
+  if (geometry.type === "Polygon") {
+    return `POLYGON (${geometry.coordinates.map(wktRing).join(", ")})`;
+  }
+  return `MULTIPOLYGON (${geometry.coordinates
+    .map((poly) => `(${poly.map(wktRing).join(", ")})`)
+    .join(", ")})`;
+}
+
+function csvCell(value) {
+  const text = stringValue(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(aois) {
+  const rows = aois.map(aoiAttributes);
+  const customKeys = [];
+  rows.forEach((attrs) =>
+    customEntries(attrs).forEach(([key]) => {
+      if (!customKeys.includes(key)) customKeys.push(key);
+    })
+  );
+
+  const columns = [...CORE_FIELDS, ...customKeys];
+  const lines = [[...columns, "wkt"].map(csvCell).join(",")];
+  rows.forEach((attrs, i) => {
+    lines.push(
+      [...columns.map((key) => attrs[key]), toWKT(aois[i].geometry)]
+        .map(csvCell)
+        .join(",")
+    );
+  });
+  return lines.join("\r\n") + "\r\n";
+}
+
+// ---- Shapefile (zip of .shp/.shx/.dbf/.prj per geometry type) ----
+// DBF columns are limited to 10 characters and scalar values.
+function toShapefile(aois) {
+  const features = aois.map((aoi) => {
+    const properties = {};
+    Object.entries(aoiAttributes(aoi)).forEach(([key, value]) => {
+      properties[key.slice(0, 10)] = stringValue(value);
+    });
+    // Polygon and MultiPolygon share the POLYGON shape type; write them as one layer
+    const geometry =
+      aoi.geometry.type === "Polygon"
+        ? { type: "MultiPolygon", coordinates: [aoi.geometry.coordinates] }
+        : aoi.geometry;
+    return { type: "Feature", geometry, properties };
+  });
+
+  return shpwrite.zip(
+    { type: "FeatureCollection", features },
+    {
+      outputType: "nodebuffer",
+      types: { point: "aoi_points", polygon: "aoi_polygons" },
+    }
+  );
+}
+
+const EXPORT_FORMATS = {
+  geojson: {
+    contentType: "application/geo+json",
+    extension: "geojson",
+    render: toGeoJSON,
+  },
+  kml: {
+    contentType: "application/vnd.google-earth.kml+xml",
+    extension: "kml",
+    render: toKML,
+  },
+  gpx: { contentType: "application/gpx+xml", extension: "gpx", render: toGPX },
+  shp: {
+    contentType: "application/zip",
+    extension: "zip",
+    render: toShapefile,
+  },
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    render: toCSV,
+  },
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  aoiToFeature,
+  toGeoJSON,
+  toKML,
+  toGPX,
+  toCSV,
+  toShapefile,
+  toWKT,
+};
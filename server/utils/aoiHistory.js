@@ -0,0 +1,63 @@
+// server/utils/aoiHistory.js
+
+/**
+ * Helpers for presenting AoiRevision documents: list summaries without the
+ * (potentially large) geometry, and field-by-field diffs between snapshots.
+ */
+
+// Snapshot fields compared attribute by attribute
+const ATTRIBUTE_FIELDS = ["name", "description", "tags", "style", "properties"];
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// One history list entry (the snapshot is reduced to name and metrics)
+function summarizeRevision(revision) {
+  const snapshot = revision.snapshot || {};
+  return {
+    rev: revision.rev,
+    action: revision.action,
+    author: revision.author,
+    changes: revision.changes || [],
+    restoredFrom: revision.restoredFrom,
+    createdAt: revision.createdAt,
+    name: snapshot.name,
+    metrics: snapshot.metrics,
+  };
+}
+
+/**
+ * Differences from `previous` to `next` snapshot:
+ * { name: { from, to }, ..., geometry: { changed, areaDelta, vertexCountDelta } }
+ * Unchanged attributes are omitted; `previous` may be null for the first revision.
+ */
+function diffSnapshots(previous, next) {
+  const before = previous || {};
+  const diff = {};
+  ATTRIBUTE_FIELDS.forEach((field) => {
+    if (!sameValue(before[field], next[field])) {
+      diff[field] = { from: before[field] ?? null, to: next[field] ?? null };
+    }
+  });
+
+  const beforeMetrics = before.metrics || {};
+  const nextMetrics = next.metrics || {};
+  diff.geometry = {
+    changed: !sameValue(before.geometry, next.geometry),
+    areaDelta: (nextMetrics.area || 0) - (beforeMetrics.area || 0),
+    vertexCountDelta:
+      (nextMetrics.vertexCount || 0) - (beforeMetrics.vertexCount || 0),
+  };
+  return diff;
+}
+
+// Snapshot fields a restore writes back onto the AOI
+const RESTORABLE_FIELDS = [...ATTRIBUTE_FIELDS, "geometry"];
+
+module.exports = {
+  summarizeRevision,
+  diffSnapshots,
+  sameValue,
+  RESTORABLE_FIELDS,
+};
@@ -0,0 +1,327 @@
+// server/utils/aoiImport.js
+const JSZip = require("jszip");
+const shapefile = require("shapefile");
+const wellknown = require("wellknown");
+const { XMLParser } = require("fast-xml-parser");
+
+/**
+ * Parsers that turn uploaded files into a flat list of candidate features:
+ *   { geometry, properties }
+ * Geometry is left untouched here; validation happens in the import route so
+ * every feature goes through the same checks as POST /aoi.
+ *
+ * Supported: GeoJSON (.geojson/.json), KML (.kml), zipped Shapefile (.zip)
+ * and CSV (.csv) with either a WKT column or lng/lat columns.
+ */
+
+const IMPORT_FORMATS = ["geojson", "kml", "shp", "csv"];
+
+// Pick the parser from an explicit format or the file extension
+function detectFormat(filename, explicit) {
+  if (explicit) return IMPORT_FORMATS.includes(explicit) ? explicit : null;
+  const ext = String(filename || "")
+    .toLowerCase()
+    .split(".")
+    .pop();
+  if (ext === "geojson" || ext === "json") return "geojson";
+  if (ext === "kml") return "kml";
+  if (ext === "zip") return "shp";
+  if (ext === "csv") return "csv";
+  return null;
+}
+
+// ---- GeoJSON ----
+function parseGeoJSON(buffer) {
+  const data = JSON.parse(buffer.toString("utf8"));
+  const list = Array.isArray(data)
+    ? data
+    : data.type === "FeatureCollection"
+      ? data.features || []
+      : [data];
+
+  return list.map((item) =>
+    item && item.type === "Feature"
+      ? { geometry: item.geometry, properties: item.properties || {} }
+      : { geometry: item, properties: {} }
+  );
+}
+
+// ---- KML ----
+const asArray = (value) =>
+  value === undefined ? [] : Array.isArray(value) ? value : [value];
+
+function kmlText(value) {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "object") return String(value["#text"] ?? "");
+  return String(value);
+}
+
+function kmlCoordinates(text) {
+  return kmlText(text)
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((tuple) => tuple.split(",").slice(0, 2).map(Number));
+}
+
+function kmlPolygonCoords(polygon) {
+  const outer = kmlCoordinates(
+    polygon.outerBoundaryIs?.LinearRing?.coordinates
+  );
+  const inner = asArray(polygon.innerBoundaryIs).map((b) =>
+    kmlCoordinates(b.LinearRing?.coordinates)
+  );
+  return [outer, ...inner];
+}
+
+// Geometry of one Placemark; anything other than points/polygons is passed
+// through with its KML type so it gets rejected with a clear reason.
+function kmlGeometry(placemark) {
+  if (placemark.Point) {
+    return {
+      type: "Point",
+      coordinates: kmlCoordinates(placemark.Point.coordinates)[0],
+    };
+  }
+  if (placemark.Polygon) {
+    return {
+      type: "Polygon",
+      coordinates: kmlPolygonCoords(placemark.Polygon),
+    };
+  }
+  if (placemark.MultiGeometry) {
+    const polygons = asArray(placemark.MultiGeometry.Polygon);
+    if (polygons.length > 0) {
+      return {
+        type: "MultiPolygon",
+        coordinates: polygons.map(kmlPolygonCoords),
+      };
+    }
+    return { type: "MultiGeometry", coordinates: [] };
+  }
+  if (placemark.LineString) return { type: "LineString", coordinates: [] };
+  return null;
+}
+
+function collectPlacemarks(node, out) {
+  if (!node || typeof node !== "object") return out;
+  asArray(node.Placemark).forEach((p) => out.push(p));
+  ["Document", "Folder"].forEach((key) =>
+    asArray(node[key]).forEach((child) => collectPlacemarks(child, out))
+  );
+  return out;
+}
+
+function parseKML(buffer) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "@_",
+    removeNSPrefix: true,
+  });
+  const doc = parser.parse(buffer.toString("utf8"));
+  if (!doc.kml) throw new Error("Not a KML document");
+
+  return collectPlacemarks(doc.kml, []).map((placemark) => {
+    const properties = {
+      name: kmlText(placemark.name),
+      description: kmlText(placemark.description),
+    };
+    const extended = placemark.ExtendedData || {};
+    asArray(extended.Data).forEach((d) => {
+      if (d["@_name"]) properties[d["@_name"]] = kmlText(d.value);
+    });
+    asArray(extended.SchemaData).forEach((schemaData) =>
+      asArray(schemaData.SimpleData).forEach((d) => {
+        if (d["@_name"]) properties[d["@_name"]] = kmlText(d);
+      })
+    );
+    return { geometry: kmlGeometry(placemark), properties };
+  });
+}
+
+// ---- Shapefile (zip with .shp/.dbf[/.prj]) ----
+// The upload limit only bounds the compressed size: what a zip may unpack to
+const SHAPEFILE_EXTENSIONS = ["shp", "shx", "dbf", "prj", "cpg"];
+const MB = 1024 * 1024;
+const MAX_ENTRY_BYTES = 64 * MB;
+const MAX_UNPACKED_BYTES = 128 * MB;
+
+// Unpack one entry, stopping as soon as it outgrows the limits (the sizes
+// a zip declares cannot be trusted); `unpacked` counts the whole archive
+function unpackEntry(zip, name, unpacked) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const stream = zip.file(name).internalStream("nodebuffer");
+    stream
+      .on("data", (chunk) => {
+        size += chunk.length;
+        unpacked.bytes += chunk.length;
+        if (size > MAX_ENTRY_BYTES || unpacked.bytes > MAX_UNPACKED_BYTES) {
+          stream.pause();
+          reject(
+            new Error(
+              `Zip contents exceed the size limit (${MAX_ENTRY_BYTES / MB} MB per file, ${
+                MAX_UNPACKED_BYTES / MB
+              } MB in all)`
+            )
+          );
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on("error", reject)
+      .on("end", () => resolve(Buffer.concat(chunks)))
+      .resume();
+  });
+}
+
+async function parseShapefileZip(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const files = Object.keys(zip.files).filter((f) => !zip.files[f].dir);
+  const unexpected = files.find(
+    (f) => !SHAPEFILE_EXTENSIONS.includes(f.toLowerCase().split(".").pop())
+  );
+  if (unexpected) {
+    throw new Error(
+      `Unexpected file in zip: ${unexpected} (only .${SHAPEFILE_EXTENSIONS.join(
+        "/."
+      )} files are accepted)`
+    );
+  }
+  const shpFiles = files.filter((f) => f.toLowerCase().endsWith(".shp"));
+  if (shpFiles.length === 0) throw new Error("No .shp file found in zip");
+  const unpacked = { bytes: 0 };
+
+  const features = [];
+  for (const shpName of shpFiles) {
+    const base = shpName.slice(0, -4).toLowerCase();
+    const sibling = (ext) =>
+      files.find((f) => f.toLowerCase() === `${base}.${ext}`);
+
+    // Only geographic WGS84 coordinates can be stored as-is
+    const prjName = sibling("prj");
+    if (prjName) {
+      const prj = (await unpackEntry(zip, prjName, unpacked)).toString("utf8");
+      if (/^\s*PROJCS/i.test(prj)) {
+        throw new Error(
+          `${shpName}: projected coordinate systems are not supported, reproject to EPSG:4326`
+        );
+      }
+    }
+
+    const shp = await unpackEntry(zip, shpName, unpacked);
+    const dbfName = sibling("dbf");
+    const dbf = dbfName ? await unpackEntry(zip, dbfName, unpacked) : undefined;
+
+    const collection = await shapefile.read(shp, dbf, { encoding: "utf-8" });
+    collection.features.forEach((f) =>
+      features.push({ geometry: f.geometry, properties: f.properties || {} })
+    );
+  }
+  return features;
+}
+
+// ---- CSV ----
+// RFC 4180 parser: quoted fields, escaped quotes, CRLF/LF line endings
+function parseCSVRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+function parseCSV(buffer) {
+  const [header, ...rows] = parseCSVRows(
+    buffer.toString("utf8").replace(/^\uFEFF/, "")
+  );
+  if (!header) return [];
+  const columns = header.map((h) => h.trim());
+  const find = (...names) =>
+    columns.findIndex((c) => names.includes(c.toLowerCase()));
+
+  const wktCol = find("wkt", "geometry", "geom", "the_geom");
+  const lngCol = find("lng", "lon", "long", "longitude", "x");
+  const latCol = find("lat", "latitude", "y");
+  if (wktCol === -1 && (lngCol === -1 || latCol === -1)) {
+    throw new Error("CSV needs a WKT column or lng/lat columns");
+  }
+
+  return rows.map((cells) => {
+    const properties = {};
+    columns.forEach((col, i) => {
+      if (
+        i !== wktCol &&
+        i !== lngCol &&
+        i !== latCol &&
+        cells[i] !== undefined
+      ) {
+        properties[col] = cells[i];
+      }
+    });
+
+    let geometry = null;
+    if (wktCol !== -1 && cells[wktCol]) {
+      geometry = wellknown.parse(cells[wktCol]);
+    } else if (lngCol !== -1 && latCol !== -1) {
+      geometry = {
+        type: "Point",
+        coordinates: [Number(cells[lngCol]), Number(cells[latCol])],
+      };
+    }
+    return { geometry, properties };
+  });
+}
+
+/**
+ * Parse an uploaded file buffer into candidate features.
+ * Throws when the file as a whole cannot be read.
+ */
+async function parseImportFile(buffer, format) {
+  switch (format) {
+    case "geojson":
+      return parseGeoJSON(buffer);
+    case "kml":
+      return parseKML(buffer);
+    case "shp":
+      return parseShapefileZip(buffer);
+    case "csv":
+      return parseCSV(buffer);
+    default:
+      throw new Error(`Unsupported import format: ${format}`);
+  }
+}
+
+module.exports = { IMPORT_FORMATS, detectFormat, parseImportFile };
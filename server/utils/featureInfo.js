@@ -0,0 +1,322 @@
+// server/utils/featureInfo.js
+const { asArray, text, parseXml } = require("./wmsXml");
+
+/**
+ * Normalize a GetFeatureInfo response into GeoJSON features, whatever the
+ * INFO_FORMAT: JSON, GML 2/3 (GeoServer and MapServer flavours), HTML tables
+ * or GeoServer/MapServer plain text. Features carry the layer they came from
+ * as a `layer` member when the format names it. HTML and text responses have
+ * no geometry (null).
+ */
+
+// Info formats we can normalize, in order of preference
+const INFO_FORMATS = [
+  "application/json",
+  "application/geo+json",
+  "application/vnd.ogc.gml",
+  "application/vnd.ogc.gml/3.1.1",
+  "text/xml",
+  "text/html",
+  "text/plain",
+];
+
+function feature(layer, properties, geometry = null, id) {
+  return {
+    type: "Feature",
+    ...(id !== undefined && { id }),
+    ...(layer && { layer }),
+    properties,
+    geometry,
+  };
+}
+
+// ---- JSON ----
+
+function jsonFeatures(body) {
+  const data = JSON.parse(body);
+  const features =
+    data.type === "FeatureCollection"
+      ? data.features || []
+      : data.type === "Feature"
+        ? [data]
+        : [];
+  return features.map((f) =>
+    feature(
+      f.layer || (typeof f.id === "string" ? f.id.split(".")[0] : undefined),
+      f.properties || {},
+      f.geometry || null,
+      f.id
+    )
+  );
+}
+
+// ---- GML ----
+
+const GEOMETRY_TYPES = [
+  "Point",
+  "LineString",
+  "LinearRing",
+  "Polygon",
+  "MultiPoint",
+  "MultiLineString",
+  "MultiCurve",
+  "MultiPolygon",
+  "MultiSurface",
+];
+
+// GML 3 EPSG URNs for geographic CRSs list latitude first
+const isLatLonSrs = (srsName) =>
+  /urn:(x-)?ogc:def:crs:EPSG:([\d.]*:)?(4326|4258|4269)$/i.test(srsName || "");
+
+function gmlPositions(node, swap) {
+  let numbers;
+  let dimension = 2;
+  if (node.posList !== undefined) {
+    numbers = text(node.posList).split(/\s+/).map(Number);
+    dimension = Number(node.posList?.["@_srsDimension"]) || 2;
+  } else if (node.pos !== undefined) {
+    numbers = asArray(node.pos).flatMap((p) =>
+      text(p).split(/\s+/).map(Number)
+    );
+  } else if (node.coordinates !== undefined) {
+    // GML 2: "x,y x,y" (tuple separator ts, coordinate separator cs)
+    const cs = node.coordinates?.["@_cs"] || ",";
+    const ts = node.coordinates?.["@_ts"] || " ";
+    return text(node.coordinates)
+      .split(ts === " " ? /\s+/ : ts)
+      .filter(Boolean)
+      .map((tuple) => tuple.split(cs).map(Number).slice(0, 2));
+  } else {
+    return [];
+  }
+  const positions = [];
+  for (let i = 0; i + 1 < numbers.length; i += dimension) {
+    positions.push(
+      swap ? [numbers[i + 1], numbers[i]] : [numbers[i], numbers[i + 1]]
+    );
+  }
+  return positions;
+}
+
+// Members of a multi-geometry: xMember (one each) or xMembers (several)
+function members(node, memberName, type) {
+  return [
+    ...asArray(node[memberName]).flatMap((m) => asArray(m[type])),
+    ...asArray(node[`${memberName}s`]).flatMap((m) => asArray(m[type])),
+  ];
+}
+
+function gmlRing(ring, swap) {
+  return gmlPositions(ring.LinearRing || ring, swap);
+}
+
+function gmlPolygon(node, swap) {
+  const outer = node.exterior || node.outerBoundaryIs;
+  const inner = asArray(node.interior).concat(asArray(node.innerBoundaryIs));
+  return [outer, ...inner].filter(Boolean).map((r) => gmlRing(r, swap));
+}
+
+function gmlGeometry(type, node, inheritedSrs) {
+  const srs = node["@_srsName"] || inheritedSrs;
+  const swap = isLatLonSrs(srs);
+  switch (type) {
+    case "Point":
+      return { type: "Point", coordinates: gmlPositions(node, swap)[0] };
+    case "LineString":
+    case "LinearRing":
+      return { type: "LineString", coordinates: gmlPositions(node, swap) };
+    case "Polygon":
+      return { type: "Polygon", coordinates: gmlPolygon(node, swap) };
+    case "MultiPoint":
+      return {
+        type: "MultiPoint",
+        coordinates: members(node, "pointMember", "Point").map(
+          (p) => gmlGeometry("Point", p, srs).coordinates
+        ),
+      };
+    case "MultiLineString":
+    case "MultiCurve":
+      return {
+        type: "MultiLineString",
+        coordinates: [
+          ...members(node, "lineStringMember", "LineString"),
+          ...members(node, "curveMember", "LineString"),
+        ].map((l) => gmlGeometry("LineString", l, srs).coordinates),
+      };
+    case "MultiPolygon":
+    case "MultiSurface":
+      return {
+        type: "MultiPolygon",
+        coordinates: [
+          ...members(node, "polygonMember", "Polygon"),
+          ...members(node, "surfaceMember", "Polygon"),
+        ].map((p) => gmlGeometry("Polygon", p, srs).coordinates),
+      };
+    default:
+      return null;
+  }
+}
+
+// The GML geometry inside a property element, if it holds one
+function findGeometry(value) {
+  if (!value || typeof value !== "object") return null;
+  const type = GEOMETRY_TYPES.find((t) => value[t] !== undefined);
+  return type ? gmlGeometry(type, asArray(value[type])[0]) : null;
+}
+
+function gmlFeature(layer, node) {
+  const properties = {};
+  let geometry = null;
+  Object.entries(node).forEach(([key, value]) => {
+    if (key.startsWith("@_") || key === "boundedBy" || key === "#text") return;
+    const found = findGeometry(value);
+    if (found) {
+      geometry = geometry || found;
+    } else if (typeof value !== "object" || value["#text"] !== undefined) {
+      properties[key] = text(value);
+    }
+  });
+  const id = node["@_fid"] || node["@_id"];
+  return feature(layer, properties, geometry, id);
+}
+
+function gmlFeatures(body) {
+  const doc = parseXml(body);
+  const features = [];
+
+  // MapServer: <msGMLOutput><roads_layer><roads_feature>...
+  if (doc.msGMLOutput) {
+    Object.entries(doc.msGMLOutput).forEach(([layerKey, layers]) => {
+      if (!layerKey.endsWith("_layer")) return;
+      const layer = layerKey.slice(0, -"_layer".length);
+      asArray(layers).forEach((layerNode) =>
+        asArray(layerNode[`${layer}_feature`]).forEach((node) =>
+          features.push(gmlFeature(layer, node))
+        )
+      );
+    });
+    return features;
+  }
+
+  // WFS / GML: <FeatureCollection><featureMember(s)><layer>...
+  const collection = doc.FeatureCollection || {};
+  [
+    ...asArray(collection.featureMember),
+    ...asArray(collection.featureMembers),
+    ...asArray(collection.member),
+  ].forEach((member) =>
+    Object.entries(member).forEach(([layer, nodes]) => {
+      if (layer.startsWith("@_")) return;
+      asArray(nodes).forEach((node) => features.push(gmlFeature(layer, node)));
+    })
+  );
+  return features;
+}
+
+// ---- HTML ----
+
+function decodeEntities(value) {
+  return value
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, "&");
+}
+
+function cells(row, tag) {
+  const pattern = new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`, "gi");
+  return [...row.matchAll(pattern)].map((m) =>
+    decodeEntities(m[1].replace(/<[^>]*>/g, "")).trim()
+  );
+}
+
+// GeoServer: one table per layer, a header row and one row per feature.
+// Tables without a header are read as key / value rows of a single feature.
+function htmlFeatures(body) {
+  const features = [];
+  (body.match(/<table\b[\s\S]*?<\/table>/gi) || []).forEach((table) => {
+    const caption = /<caption\b[^>]*>([\s\S]*?)<\/caption>/i.exec(table);
+    const layer = caption
+      ? decodeEntities(caption[1].replace(/<[^>]*>/g, "")).trim()
+      : undefined;
+    const rows = (table.match(/<tr\b[\s\S]*?<\/tr>/gi) || []).map((row) => ({
+      th: cells(row, "th"),
+      td: cells(row, "td"),
+    }));
+    const header = rows.find((row) => row.th.length > 1)?.th;
+
+    if (header) {
+      rows
+        .filter((row) => row.td.length)
+        .forEach((row) => {
+          const properties = {};
+          header.forEach((key, i) => {
+            if (key && row.td[i] !== undefined) properties[key] = row.td[i];
+          });
+          features.push(feature(layer, properties));
+        });
+    } else {
+      const properties = {};
+      rows.forEach((row) => {
+        const [key, value] = [...row.th, ...row.td];
+        if (key && value !== undefined) properties[key] = value;
+      });
+      if (Object.keys(properties).length) {
+        features.push(feature(layer, properties));
+      }
+    }
+  });
+  return features;
+}
+
+// ---- Plain text ----
+
+// GeoServer:  Results for FeatureType 'http://ns:layer':  /  key = value  /  ----
+// MapServer:  Layer 'roads'  /  Feature 12:  /  key = 'value'
+function textFeatures(body) {
+  const features = [];
+  let layer;
+  let current = null;
+  body.split(/\r?\n/).forEach((raw) => {
+    const line = raw.trim();
+    if (!line) return;
+    const heading =
+      /^Results for FeatureType '([^']*)'/i.exec(line) ||
+      /^Layer '([^']*)'/i.exec(line);
+    if (heading) {
+      layer = heading[1].split("/").pop();
+      current = null;
+      return;
+    }
+    if (/^-{3,}$/.test(line) || /^Feature\b.*:$/i.test(line)) {
+      current = null;
+      return;
+    }
+    const pair = /^([^=]+?)\s*=\s*(.*)$/.exec(line);
+    if (!pair || pair[2].startsWith("[GEOMETRY")) return;
+    if (!current) {
+      current = feature(layer, {});
+      features.push(current);
+    }
+    current.properties[pair[1]] = pair[2].replace(/^'(.*)'$/, "$1");
+  });
+  return features;
+}
+
+/**
+ * GeoJSON features from a GetFeatureInfo response body.
+ * Throws when the body cannot be read as the given content type.
+ */
+function normalizeFeatureInfo(body, contentType) {
+  const type = (contentType || "").toLowerCase();
+  if (type.includes("json")) return jsonFeatures(body);
+  if (type.includes("html")) return htmlFeatures(body);
+  if (type.includes("xml") || type.includes("gml")) return gmlFeatures(body);
+  if (type.includes("text/plain")) return textFeatures(body);
+  throw new Error(`Unsupported feature info format: ${contentType}`);
+}
+
+module.exports = { INFO_FORMATS, normalizeFeatureInfo };
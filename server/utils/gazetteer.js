@@ -0,0 +1,238 @@
+// server/utils/gazetteer.js
+const { getSource, upstreamHeaders } = require("../config/layerCatalog");
+const { gazetteerLayers } = require("../config/gazetteer");
+const { routeCache, tagsFor } = require("../cache");
+const { WFS_VERSION, describeFeatureType } = require("./wfs");
+const {
+  httpError,
+  serviceError,
+  sortedParams,
+  upstreamUrl,
+} = require("./ogcRequest");
+const { simplifyGeometry } = require("./simplify");
+const { matchScore } = require("./textMatch");
+
+/**
+ * Place-name index for GET /search, built from the WFS feature types of
+ * config/gazetteer.js. Every feature gives one entry per distinct name:
+ *   { name, layer, title, featureId, bbox, center, geometry }
+ * with the geometry simplified for highlighting on the map.
+ *
+ * Indexes live in the "gazetteer" route cache, tagged like the WFS
+ * responses of their feature type (so purging the layer rebuilds it), and
+ * are kept in memory for a few minutes between cache reads. A failed build
+ * is remembered for a minute, and searches wait a second or two at most for
+ * an index: one still building (or one that cannot be built) is reported as
+ * an error while the search carries on without it.
+ */
+
+const PAGE_SIZE = 5000;
+const MAX_FEATURES = 50000; // per feature type
+const HIGHLIGHT_TOLERANCE = 0.0001; // degrees (~11 m)
+const MEMORY_TTL = 5 * 60 * 1000;
+const FAILURE_BACKOFF = 60 * 1000; // before a failed build is retried
+const SEARCH_WAIT = 1500; // longest a search waits for an index
+
+const indexCache = routeCache("gazetteer");
+const loaded = new Map(); // cache key -> { entries, expires }
+const building = new Map(); // cache key -> promise of the entries
+const failed = new Map(); // cache key -> { error, until }
+
+function positionsOf(coordinates) {
+  if (typeof coordinates[0] === "number") return [coordinates];
+  return coordinates.flatMap(positionsOf);
+}
+
+// [minLng, minLat, maxLng, maxLat] and its centre; null without coordinates
+function extentOf(geometry) {
+  const positions = geometry?.geometries
+    ? geometry.geometries.flatMap((g) => positionsOf(g.coordinates || []))
+    : positionsOf(geometry?.coordinates || []);
+  if (!positions.length) return null;
+  // a loop: spreading large features into Math.min / Math.max overflows the stack
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const [lng, lat] of positions) {
+    bbox[0] = Math.min(bbox[0], lng);
+    bbox[1] = Math.min(bbox[1], lat);
+    bbox[2] = Math.max(bbox[2], lng);
+    bbox[3] = Math.max(bbox[3], lat);
+  }
+  return { bbox, center: [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2] };
+}
+
+// All features of a type (up to MAX_FEATURES) with the given properties
+async function fetchAllFeatures(source, typeName, propertyNames) {
+  const features = [];
+  for (let start = 0; start < MAX_FEATURES; start += PAGE_SIZE) {
+    const params = sortedParams({
+      SERVICE: "WFS",
+      REQUEST: "GetFeature",
+      VERSION: WFS_VERSION,
+      TYPENAME: typeName,
+      OUTPUTFORMAT: "application/json",
+      SRSNAME: "EPSG:4326",
+      PROPERTYNAME: propertyNames.join(","),
+      MAXFEATURES: String(PAGE_SIZE),
+      STARTINDEX: String(start),
+    });
+    const response = await fetch(upstreamUrl(source.url, params), {
+      headers: upstreamHeaders(source),
+      signal: AbortSignal.timeout(120000),
+    });
+    const contentType = response.headers.get("content-type") || "";
+    const body = await response.text();
+    if (!contentType.includes("json")) throw serviceError("WFS", body);
+    if (!response.ok) {
+      throw httpError(
+        502,
+        `Upstream GetFeature failed: ${response.status} ${response.statusText}`
+      );
+    }
+    const page = JSON.parse(body).features || [];
+    features.push(...page);
+    if (page.length < PAGE_SIZE) break;
+  }
+  return features;
+}
+
+async function buildIndex(layer, source) {
+  const schema = await describeFeatureType(source, layer.typeName);
+  const fields =
+    layer.fields ||
+    schema.properties
+      .filter((p) => /name/i.test(p.name) && /string/i.test(p.type))
+      .map((p) => p.name);
+  if (!fields.length) {
+    throw httpError(502, `${layer.typeName} has no name attributes to index`);
+  }
+
+  const features = await fetchAllFeatures(
+    source,
+    layer.typeName,
+    [...fields, schema.geometryName].filter(Boolean)
+  );
+  const entries = [];
+  features.forEach((feature, i) => {
+    const extent = extentOf(feature.geometry);
+    if (!extent) return;
+    const geometry = simplifyGeometry(
+      JSON.parse(JSON.stringify(feature.geometry)),
+      HIGHLIGHT_TOLERANCE
+    );
+    const names = new Set(
+      fields
+        .map((field) => String(feature.properties?.[field] ?? "").trim())
+        .filter(Boolean)
+    );
+    names.forEach((name) =>
+      entries.push({
+        name,
+        layer: layer.typeName,
+        title: layer.title || layer.typeName,
+        featureId: feature.id ?? `${layer.typeName}.${i}`,
+        ...extent,
+        geometry,
+      })
+    );
+  });
+  return entries;
+}
+
+// Entries of one configured layer: memory, then the cache, then upstream
+async function loadIndex(layer) {
+  const source = getSource(layer.source);
+  if (source?.type !== "wfs") {
+    throw httpError(
+      500,
+      `Gazetteer source is not a WFS source: ${layer.source}`
+    );
+  }
+  const key = `${source.id}|${layer.typeName}|${(layer.fields || []).join(",")}`;
+
+  const memo = loaded.get(key);
+  if (memo && memo.expires > Date.now()) return memo.entries;
+  if (building.has(key)) return building.get(key);
+  const failure = failed.get(key);
+  if (failure && failure.until > Date.now()) throw failure.error;
+
+  const promise = (async () => {
+    let cached = await indexCache.get(key);
+    if (!cached) {
+      cached = { entries: await buildIndex(layer, source) };
+      await indexCache.set(key, cached, {
+        tags: tagsFor(source.id, [layer.typeName]),
+      });
+      console.log(
+        `Gazetteer: indexed ${cached.entries.length} names of ${layer.typeName}`
+      );
+    }
+    loaded.set(key, {
+      entries: cached.entries,
+      expires: Date.now() + MEMORY_TTL,
+    });
+    failed.delete(key);
+    return cached.entries;
+  })()
+    .catch((error) => {
+      failed.set(key, { error, until: Date.now() + FAILURE_BACKOFF });
+      throw error;
+    })
+    .finally(() => building.delete(key));
+  building.set(key, promise);
+  return promise;
+}
+
+// Resolves like `promise`, or rejects after `ms` while it carries on
+function within(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(httpError(503, message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Best gazetteer matches for a normalized query across the configured
+ * layers: { results: [entry + score], errors: [{ layer, error }] }. A layer
+ * whose index cannot be built, or is not ready within SEARCH_WAIT, is
+ * reported in `errors` and skipped.
+ */
+async function searchGazetteer(query, limit) {
+  const results = [];
+  const errors = [];
+  const layers = gazetteerLayers();
+  const indexes = await Promise.allSettled(
+    layers.map((layer) =>
+      within(
+        loadIndex(layer),
+        SEARCH_WAIT,
+        `Place index of ${layer.typeName} is still being built`
+      )
+    )
+  );
+  indexes.forEach((index, i) => {
+    if (index.status === "rejected") {
+      const { typeName } = layers[i];
+      console.warn(`Gazetteer ${typeName} unavailable:`, index.reason.message);
+      errors.push({ layer: typeName, error: index.reason.message });
+      return;
+    }
+    index.value.forEach((entry) => {
+      const score = matchScore(query, entry.name);
+      if (score > 0) results.push({ ...entry, score });
+    });
+  });
+  results.sort((a, b) => b.score - a.score || a.name.length - b.name.length);
+  return { results: results.slice(0, limit), errors };
+}
+
+// Build the indexes ahead of the first search
+function warmGazetteer() {
+  gazetteerLayers().forEach((layer) =>
+    loadIndex(layer).catch((err) =>
+      console.warn(`Gazetteer ${layer.typeName} not indexed:`, err.message)
+    )
+  );
+}
+
+module.exports = { searchGazetteer, warmGazetteer };
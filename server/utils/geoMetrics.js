@@ -0,0 +1,122 @@
+// server/utils/geoMetrics.js
+const { Geodesic } = require("geographiclib-geodesic");
+
+/**
+ * Geodesic measurements of AOI geometries on the WGS84 ellipsoid.
+ * Areas are in square meters, lengths in meters, coordinates are [lng, lat].
+ */
+
+const geod = Geodesic.WGS84;
+
+// Area (unsigned) and perimeter of one closed ring
+function ringMetrics(ring) {
+  const polygon = geod.Polygon(false);
+  // the closing vertex duplicates the first one
+  const points = ring.length > 1 ? ring.slice(0, -1) : ring;
+  points.forEach(([lng, lat]) => polygon.AddPoint(lat, lng));
+  const { area, perimeter } = polygon.Compute(false, true);
+  return { area: Math.abs(area), perimeter };
+}
+
+// Polygon rings: outer shell first, holes after
+function polygonMetrics(rings) {
+  return rings.reduce(
+    (acc, ring, i) => {
+      const { area, perimeter } = ringMetrics(ring);
+      acc.area += i === 0 ? area : -area;
+      acc.perimeter += perimeter;
+      return acc;
+    },
+    { area: 0, perimeter: 0 }
+  );
+}
+
+function polygonsOf(geometry) {
+  if (geometry.type === "Polygon") return [geometry.coordinates];
+  if (geometry.type === "MultiPolygon") return geometry.coordinates;
+  return [];
+}
+
+function positionsOf(geometry) {
+  if (geometry.type === "Point") return [geometry.coordinates];
+  return polygonsOf(geometry).flat(2);
+}
+
+// Area-weighted centroid of the outer rings (planar in lng/lat, fine at AOI scale)
+function centroid(geometry) {
+  if (geometry.type === "Point") return [...geometry.coordinates];
+
+  let sumX = 0;
+  let sumY = 0;
+  let sumA = 0;
+  polygonsOf(geometry).forEach(([outer]) => {
+    for (let i = 0; i < outer.length - 1; i++) {
+      const [x0, y0] = outer[i];
+      const [x1, y1] = outer[i + 1];
+      const cross = x0 * y1 - x1 * y0;
+      sumA += cross;
+      sumX += (x0 + x1) * cross;
+      sumY += (y0 + y1) * cross;
+    }
+  });
+
+  if (sumA === 0) {
+    // degenerate: fall back to the vertex average
+    const positions = positionsOf(geometry);
+    return [
+      positions.reduce((s, p) => s + p[0], 0) / positions.length,
+      positions.reduce((s, p) => s + p[1], 0) / positions.length,
+    ];
+  }
+  return [sumX / (3 * sumA), sumY / (3 * sumA)];
+}
+
+// [minLng, minLat, maxLng, maxLat]; a loop, as spreading large rings into
+// Math.min / Math.max overflows the call stack
+function bbox(geometry) {
+  return positionsOf(geometry).reduce(
+    (box, [lng, lat]) => [
+      Math.min(box[0], lng),
+      Math.min(box[1], lat),
+      Math.max(box[2], lng),
+      Math.max(box[3], lat),
+    ],
+    [Infinity, Infinity, -Infinity, -Infinity]
+  );
+}
+
+// Distinct vertices: closing positions of rings are not counted twice
+function vertexCount(geometry) {
+  if (geometry.type === "Point") return 1;
+  return polygonsOf(geometry).reduce(
+    (sum, rings) => sum + rings.reduce((s, ring) => s + ring.length - 1, 0),
+    0
+  );
+}
+
+/**
+ * All stored metrics for a geometry:
+ * { area, perimeter, centroid: [lng, lat], bbox: [minLng, minLat, maxLng, maxLat], vertexCount }
+ */
+function computeMetrics(geometry) {
+  const { area, perimeter } = polygonsOf(geometry).reduce(
+    (acc, rings) => {
+      const m = polygonMetrics(rings);
+      return {
+        area: acc.area + m.area,
+        perimeter: acc.perimeter + m.perimeter,
+      };
+    },
+    { area: 0, perimeter: 0 }
+  );
+
+  return {
+    area,
+    perimeter,
+    centroid: centroid(geometry),
+    bbox: bbox(geometry),
+    vertexCount: vertexCount(geometry),
+  };
+}
+
+module.exports = { computeMetrics, ringMetrics };
@@ -0,0 +1,388 @@
+// server/utils/geometryValidation.js
+const RBush = require("rbush");
+
+/**
+ * Topological validation for AOI polygons, run after the Zod shape checks.
+ *
+ * validateAndRepair(geometry) mutates the geometry to fix the safe problems
+ * (duplicate consecutive vertices, ring orientation) and reports the rest.
+ * Every issue carries the polygon/ring/vertex index in the *submitted*
+ * coordinates plus the [lng, lat] location so the client can highlight it.
+ *
+ * Ring orientation follows RFC 7946: exterior rings counterclockwise,
+ * holes clockwise.
+ */
+
+const EPS = 1e-12;
+// Per polygon: bounds the time the crossing check blocks the event loop
+const MAX_POLYGON_VERTICES = 100000;
+// Overlapping segment boxes tested before giving up (spiky shapes can make
+// nearly every pair overlap)
+const MAX_CANDIDATE_PAIRS = 1000000;
+
+function samePoint(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+// Twice the signed planar area (positive = counterclockwise)
+function signedArea2(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return sum;
+}
+
+function orient(a, b, c) {
+  const v = (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  return Math.abs(v) < EPS ? 0 : v > 0 ? 1 : -1;
+}
+
+function onSegment(a, b, p) {
+  return (
+    Math.min(a[0], b[0]) - EPS <= p[0] &&
+    p[0] <= Math.max(a[0], b[0]) + EPS &&
+    Math.min(a[1], b[1]) - EPS <= p[1] &&
+    p[1] <= Math.max(a[1], b[1]) + EPS
+  );
+}
+
+/**
+ * Intersection of segments ab and cd.
+ * Returns null, or { point, proper } where proper means the segments cross
+ * in their interiors (not merely touch at an endpoint).
+ */
+function segmentIntersection(a, b, c, d) {
+  const o1 = orient(a, b, c);
+  const o2 = orient(a, b, d);
+  const o3 = orient(c, d, a);
+  const o4 = orient(c, d, b);
+
+  if (o1 !== o2 && o3 !== o4) {
+    const proper = o1 !== 0 && o2 !== 0 && o3 !== 0 && o4 !== 0;
+    const denom = (a[0] - b[0]) * (c[1] - d[1]) - (a[1] - b[1]) * (c[0] - d[0]);
+    const t =
+      ((a[0] - c[0]) * (c[1] - d[1]) - (a[1] - c[1]) * (c[0] - d[0])) / denom;
+    return {
+      point: [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])],
+      proper,
+    };
+  }
+
+  // collinear overlap
+  if (o1 === 0 && onSegment(a, b, c))
+    return { point: c, proper: false, overlap: o2 === 0 };
+  if (o2 === 0 && onSegment(a, b, d))
+    return { point: d, proper: false, overlap: o1 === 0 };
+  if (o3 === 0 && onSegment(c, d, a))
+    return { point: a, proper: false, overlap: o4 === 0 };
+  if (o4 === 0 && onSegment(c, d, b))
+    return { point: b, proper: false, overlap: o3 === 0 };
+  return null;
+}
+
+// Ray casting; points on the boundary count as outside
+function pointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 2; i < ring.length - 1; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > point[1] !== yj > point[1]) {
+      const x = ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi;
+      if (point[0] < x) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointOnRing(point, ring) {
+  for (let i = 0; i < ring.length - 1; i++) {
+    if (
+      orient(ring[i], ring[i + 1], point) === 0 &&
+      onSegment(ring[i], ring[i + 1], point)
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Remove duplicate consecutive vertices from a closed ring.
+ * Returns the cleaned ring and, for each kept vertex, its submitted index.
+ */
+function dedupeRing(ring) {
+  const cleaned = [];
+  const indexMap = [];
+  ring.forEach((p, i) => {
+    if (cleaned.length === 0 || !samePoint(cleaned[cleaned.length - 1], p)) {
+      cleaned.push(p);
+      indexMap.push(i);
+    }
+  });
+  return { cleaned, indexMap };
+}
+
+/**
+ * Check all segments of one polygon for crossings.
+ * Segments go into an R-tree and each is tested only against the segments
+ * whose bounding boxes overlap its own, so the cost grows with the number of
+ * nearby segment pairs rather than with the square of the vertex count.
+ */
+function findIntersections(rings, maps, polygonIndex) {
+  const segments = [];
+  rings.forEach((ring, r) => {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const a = ring[i];
+      const b = ring[i + 1];
+      segments.push({
+        r,
+        i,
+        a,
+        b,
+        order: segments.length,
+        minX: Math.min(a[0], b[0]) - EPS,
+        minY: Math.min(a[1], b[1]) - EPS,
+        maxX: Math.max(a[0], b[0]) + EPS,
+        maxY: Math.max(a[1], b[1]) + EPS,
+      });
+    }
+  });
+  const tree = new RBush();
+  tree.load(segments);
+
+  const issues = [];
+  let candidates = 0;
+  for (const seg of segments) {
+    // each pair once, in ring / vertex order
+    const nearby = tree
+      .search(seg)
+      .filter((other) => other.order > seg.order)
+      .sort((x, y) => x.order - y.order);
+    candidates += nearby.length;
+    if (candidates > MAX_CANDIDATE_PAIRS) {
+      return [
+        {
+          code: "too_complex",
+          message: `Polygon edges overlap too much to check for self-intersections (over ${MAX_CANDIDATE_PAIRS} edge pairs); simplify it first`,
+          polygon: polygonIndex,
+          ring: seg.r,
+          vertex: maps[seg.r][seg.i],
+          location: seg.a,
+        },
+      ];
+    }
+    for (const other of nearby) {
+      const sameRing = other.r === seg.r;
+      const n = rings[seg.r].length - 1; // segments in the ring
+      const adjacent =
+        sameRing &&
+        (Math.abs(other.i - seg.i) === 1 ||
+          Math.abs(other.i - seg.i) === n - 1);
+
+      const hit = segmentIntersection(seg.a, seg.b, other.a, other.b);
+      if (!hit) continue;
+      // neighbouring edges always share their common vertex
+      if (adjacent && !hit.overlap) continue;
+      // different rings may touch at a single point, but not cross or overlap
+      if (!sameRing && !hit.proper && !hit.overlap) continue;
+
+      const first = seg; // segments come in ring / vertex order
+      const second = other;
+      issues.push(
+        sameRing
+          ? {
+              code: "self_intersection",
+              message: `Ring ${first.r} intersects itself between edges starting at vertex ${
+                maps[first.r][first.i]
+              } and vertex ${maps[second.r][second.i]}`,
+              polygon: polygonIndex,
+              ring: first.r,
+              vertex: maps[first.r][first.i],
+              location: hit.point,
+            }
+          : {
+              code: "ring_intersection",
+              message: `Ring ${second.r} crosses ring ${first.r}`,
+              polygon: polygonIndex,
+              ring: second.r,
+              vertex: maps[second.r][second.i],
+              location: hit.point,
+            }
+      );
+      if (issues.length >= 10) return issues; // enough to point the user at the problem
+    }
+  }
+  return issues;
+}
+
+// Validate one polygon (array of rings); repairs rings in place
+function validatePolygon(rings, polygonIndex) {
+  const issues = [];
+  const repairs = [];
+  const maps = [];
+
+  for (let r = 0; r < rings.length; r++) {
+    const ring = rings[r];
+
+    // Antimeridian: an edge spanning more than 180° of longitude
+    for (let i = 0; i < ring.length - 1; i++) {
+      if (Math.abs(ring[i + 1][0] - ring[i][0]) > 180) {
+        issues.push({
+          code: "antimeridian",
+          message: `Ring ${r} crosses the antimeridian at vertex ${i}; split it into a MultiPolygon at ±180°`,
+          polygon: polygonIndex,
+          ring: r,
+          vertex: i,
+          location: ring[i],
+        });
+        break;
+      }
+    }
+
+    const { cleaned, indexMap } = dedupeRing(ring);
+    if (cleaned.length !== ring.length) {
+      repairs.push({
+        code: "duplicate_vertices",
+        message: `Removed ${ring.length - cleaned.length} duplicate vertices from ring ${r}`,
+        polygon: polygonIndex,
+        ring: r,
+      });
+      rings[r] = cleaned;
+    }
+    maps.push(indexMap);
+
+    if (cleaned.length < 4) {
+      issues.push({
+        code: "too_few_vertices",
+        message: `Ring ${r} has fewer than 3 distinct vertices`,
+        polygon: polygonIndex,
+        ring: r,
+        vertex: 0,
+        location: cleaned[0],
+      });
+    }
+  }
+  if (issues.length) return { issues, repairs };
+
+  const vertexCount = rings.reduce((sum, ring) => sum + ring.length - 1, 0);
+  if (vertexCount > MAX_POLYGON_VERTICES) {
+    issues.push({
+      code: "too_many_vertices",
+      message: `Polygon has ${vertexCount} vertices; at most ${MAX_POLYGON_VERTICES} can be checked for self-intersections, simplify it first`,
+      polygon: polygonIndex,
+      ring: 0,
+      vertex: 0,
+      location: rings[0][0],
+    });
+    return { issues, repairs };
+  }
+
+  issues.push(...findIntersections(rings, maps, polygonIndex));
+  if (issues.length) return { issues, repairs };
+
+  // A simple ring can still be degenerate (e.g. a sliver thinner than EPS)
+  rings.forEach((ring, r) => {
+    if (Math.abs(signedArea2(ring)) < EPS) {
+      issues.push({
+        code: "zero_area",
+        message: `Ring ${r} has no area`,
+        polygon: polygonIndex,
+        ring: r,
+        vertex: 0,
+        location: ring[0],
+      });
+    }
+  });
+  if (issues.length) return { issues, repairs };
+
+  // Holes must lie inside the shell
+  const shell = rings[0];
+  for (let r = 1; r < rings.length; r++) {
+    const probe = rings[r].find((p) => !pointOnRing(p, shell));
+    if (probe && !pointInRing(probe, shell)) {
+      const v = rings[r].indexOf(probe);
+      issues.push({
+        code: "hole_outside_shell",
+        message: `Hole ${r} lies outside the exterior ring`,
+        polygon: polygonIndex,
+        ring: r,
+        vertex: maps[r][v],
+        location: probe,
+      });
+    }
+  }
+  if (issues.length) return { issues, repairs };
+
+  // Orientation (safe to fix once the rings are simple)
+  rings.forEach((ring, r) => {
+    const ccw = signedArea2(ring) > 0;
+    if ((r === 0 && !ccw) || (r > 0 && ccw)) {
+      ring.reverse();
+      repairs.push({
+        code: "orientation",
+        message: `Reversed ${r === 0 ? "exterior ring" : `hole ${r}`} to ${
+          r === 0 ? "counterclockwise" : "clockwise"
+        } order`,
+        polygon: polygonIndex,
+        ring: r,
+      });
+    }
+  });
+
+  return { issues, repairs };
+}
+
+/**
+ * Whether the rings of some polygons (a MultiPolygon's coordinates) still
+ * form simple, separate shapes: no ring crosses itself, another ring of its
+ * polygon or a ring of another polygon (rings may touch at single points),
+ * and every hole stays inside its shell. For derived geometries such as
+ * simplified renditions; a check that gives up as too complex fails.
+ */
+function ringsStaySimple(polygons) {
+  const rings = polygons.flat();
+  const maps = rings.map((ring) => ring.map((_, i) => i));
+  if (findIntersections(rings, maps).length) return false;
+  return polygons.every(([shell, ...holes]) =>
+    holes.every((hole) => {
+      const probe = hole.find((p) => !pointOnRing(p, shell));
+      return !probe || pointInRing(probe, shell);
+    })
+  );
+}
+
+/**
+ * Validate a Point/Polygon/MultiPolygon, repairing what is safe.
+ * Returns { issues, repairs }; the geometry is valid when issues is empty.
+ */
+function validateAndRepair(geometry) {
+  if (geometry.type === "Polygon") {
+    const { issues, repairs } = validatePolygon(
+      geometry.coordinates,
+      undefined
+    );
+    issues.forEach((i) => delete i.polygon);
+    repairs.forEach((i) => delete i.polygon);
+    return { issues, repairs };
+  }
+  if (geometry.type === "MultiPolygon") {
+    return geometry.coordinates.reduce(
+      (acc, rings, p) => {
+        const result = validatePolygon(rings, p);
+        acc.issues.push(...result.issues);
+        acc.repairs.push(...result.repairs);
+        return acc;
+      },
+      { issues: [], repairs: [] }
+    );
+  }
+  return { issues: [], repairs: [] };
+}
+
+module.exports = {
+  MAX_POLYGON_VERTICES,
+  validateAndRepair,
+  ringsStaySimple,
+  segmentIntersection,
+};
@@ -0,0 +1,62 @@
+// server/utils/ogcRequest.js
+const { parseServiceException } = require("./wmsXml");
+
+/**
+ * Helpers shared by the OGC proxy routes (WMS, WFS): errors that carry an
+ * HTTP status, ServiceException documents turned into errors, and
+ * case-insensitive query parameters.
+ */
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Error for a ServiceException / ExceptionReport document (GeoServer reports
+// errors with a 200)
+function serviceError(service, body) {
+  const exception = parseServiceException(body);
+  const err = httpError(
+    502,
+    `${service} service exception: ${
+      exception ? exception.message : body.trim().slice(0, 500)
+    }`
+  );
+  if (exception?.code) err.exceptionCode = exception.code;
+  return err;
+}
+
+// JSON body for an error thrown with httpError() / serviceError()
+const errorBody = (err) => ({
+  error: err.message,
+  ...(err.exceptionCode && { code: err.exceptionCode }),
+});
+
+// OGC parameter names are case-insensitive
+const lowerCaseKeys = (query) =>
+  Object.fromEntries(
+    Object.entries(query).map(([name, value]) => [name.toLowerCase(), value])
+  );
+
+// Upstream parameters in a stable order; also used in cache keys
+const sortedParams = (params) =>
+  new URLSearchParams(
+    Object.entries(params).sort(([a], [b]) => a.localeCompare(b))
+  );
+
+// Service URL with the parameters set (keeps any the URL already has)
+function upstreamUrl(baseUrl, params) {
+  const url = new URL(baseUrl);
+  params.forEach((value, name) => url.searchParams.set(name, value));
+  return url;
+}
+
+module.exports = {
+  httpError,
+  serviceError,
+  errorBody,
+  lowerCaseKeys,
+  sortedParams,
+  upstreamUrl,
+};
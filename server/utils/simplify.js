@@ -0,0 +1,189 @@
+// server/utils/simplify.js
+
+/**
+ * Zoom-dependent generalization of AOI geometries.
+ *
+ * The original geometry is always stored untouched; buildRenditions derives
+ * progressively simplified copies that GET /aoi serves at lower zooms.
+ * Rings never collapse below a triangle, and a level whose simplification
+ * flattens or flips a ring, or makes rings cross (see ringsStaySimple in
+ * geometryValidation.js), reuses the next finer level instead.
+ */
+
+const { ringsStaySimple } = require("./geometryValidation");
+
+// Douglas-Peucker tolerances in degrees (~1 m, ~11 m, ~110 m, ~1.1 km at the equator)
+const RENDITION_TOLERANCES = [0.00001, 0.0001, 0.001, 0.01];
+
+// Lightweight Douglas-Peucker simplification for a single ring
+function simplifyRing(points, tolerance) {
+  if (!Array.isArray(points) || points.length <= 4) return points;
+  const sqTol = tolerance * tolerance;
+
+  function getSqDist(p1, p2) {
+    const dx = p1[0] - p2[0];
+    const dy = p1[1] - p2[1];
+    return dx * dx + dy * dy;
+  }
+
+  function getSqSegDist(p, p1, p2) {
+    let x = p1[0];
+    let y = p1[1];
+    let dx = p2[0] - x;
+    let dy = p2[1] - y;
+
+    if (dx !== 0 || dy !== 0) {
+      const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+      if (t > 1) {
+        x = p2[0];
+        y = p2[1];
+      } else if (t > 0) {
+        x += dx * t;
+        y += dy * t;
+      }
+    }
+
+    dx = p[0] - x;
+    dy = p[1] - y;
+    return dx * dx + dy * dy;
+  }
+
+  function simplifyDP(points, first, last, sqTol, simplified) {
+    let maxSqDist = sqTol;
+    let index;
+
+    for (let i = first + 1; i < last; i++) {
+      const sqDist = getSqSegDist(points[i], points[first], points[last]);
+      if (sqDist > maxSqDist) {
+        index = i;
+        maxSqDist = sqDist;
+      }
+    }
+
+    if (maxSqDist > sqTol && index) {
+      if (index - first > 1) simplifyDP(points, first, index, sqTol, simplified);
+      simplified.push(points[index]);
+      if (last - index > 1) simplifyDP(points, index, last, sqTol, simplified);
+    }
+  }
+
+  // ensure ring closed
+  const first = points[0];
+  const last = points[points.length - 1];
+  const ring = first[0] === last[0] && first[1] === last[1] ? points : [...points, first];
+
+  const simplified = [ring[0]];
+  simplifyDP(ring, 0, ring.length - 1, sqTol, simplified);
+  simplified.push(ring[ring.length - 1]);
+
+  // keep at least 4 points (including closure)
+  if (simplified.length < 4) return ring;
+  return simplified;
+}
+
+function simplifyGeometry(geometry, toleranceDeg = 0.0001) {
+  if (geometry.type === "Polygon") {
+    geometry.coordinates = geometry.coordinates.map((ring) => simplifyRing(ring, toleranceDeg));
+  } else if (geometry.type === "MultiPolygon") {
+    geometry.coordinates = geometry.coordinates.map((poly) =>
+      poly.map((ring) => simplifyRing(ring, toleranceDeg))
+    );
+  }
+  return geometry;
+}
+
+function countVertices(geometry) {
+  if (geometry.type === "Polygon") {
+    return geometry.coordinates.reduce((sum, ring) => sum + ring.length, 0);
+  }
+  if (geometry.type === "MultiPolygon") {
+    return geometry.coordinates.reduce(
+      (sum, poly) => sum + poly.reduce((s, ring) => s + ring.length, 0),
+      0
+    );
+  }
+  return 1;
+}
+
+// Twice the signed planar area of a closed ring (positive = counterclockwise)
+function signedArea2(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    sum += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return sum;
+}
+
+const polygonsOf = (geometry) =>
+  geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+
+// Every ring of the simplified copy keeps an area and its orientation, and
+// no rings cross
+function keepsTopology(original, simplified) {
+  const originals = polygonsOf(original);
+  const polygons = polygonsOf(simplified);
+  const ringsKept = polygons.every((rings, p) =>
+    rings.every((ring, r) => {
+      const area = signedArea2(ring);
+      return (
+        ring.length >= 4 &&
+        area !== 0 &&
+        Math.sign(area) === Math.sign(signedArea2(originals[p][r]))
+      );
+    })
+  );
+  return ringsKept && ringsStaySimple(polygons);
+}
+
+/**
+ * Simplified renditions of a geometry: [{ tolerance, geometry }], coarsest last.
+ * Levels that would not drop any vertices are left out.
+ */
+function buildRenditions(geometry) {
+  if (geometry.type !== "Polygon" && geometry.type !== "MultiPolygon") return [];
+
+  const renditions = [];
+  let previous = geometry;
+  RENDITION_TOLERANCES.forEach((tolerance) => {
+    const candidate = simplifyGeometry(
+      { type: geometry.type, coordinates: JSON.parse(JSON.stringify(geometry.coordinates)) },
+      tolerance
+    );
+    // Douglas-Peucker is not topology-preserving: fall back to the finer level
+    const next = keepsTopology(geometry, candidate) ? candidate : previous;
+    if (countVertices(next) < countVertices(previous)) {
+      renditions.push({ tolerance, geometry: next });
+      previous = next;
+    }
+  });
+  return renditions;
+}
+
+/**
+ * Largest tolerance that stays below one screen pixel at a Web Mercator zoom
+ * (pixel width in degrees of longitude for 256px tiles).
+ */
+function toleranceForZoom(zoom) {
+  return 360 / (256 * Math.pow(2, zoom));
+}
+
+/**
+ * The stored rendition to serve for a requested tolerance: the coarsest one
+ * not exceeding it. Returns null when only the original is accurate enough.
+ */
+function pickRendition(renditions, tolerance) {
+  let best = null;
+  (renditions || []).forEach((r) => {
+    if (r.tolerance <= tolerance && (!best || r.tolerance > best.tolerance)) best = r;
+  });
+  return best;
+}
+
+module.exports = {
+  RENDITION_TOLERANCES,
+  simplifyRing,
+  simplifyGeometry,
+  buildRenditions,
+  toleranceForZoom,
+  pickRendition,
+};
@@ -0,0 +1,127 @@
+// server/utils/sld.js
+const mongoose = require("mongoose");
+const { XMLValidator } = require("fast-xml-parser");
+const LayerStyle = require("../models/LayerStyle");
+const { asArray, text, parseXml } = require("./wmsXml");
+const { httpError } = require("./ogcRequest");
+const { getSources } = require("../config/layerCatalog");
+
+/**
+ * User SLD styles on GetMap / GetLegendGraphic. Short documents go upstream
+ * inline as SLD_BODY; longer ones by reference (SLD=<url of GET
+ * /styles/:id/sld>), which needs the map server to reach this server at
+ * PUBLIC_API_URL.
+ *
+ * The map server parses the document and fetches what it links to, so
+ * documents with DTDs (entity expansion, XXE) or links (xlink:href of
+ * OnlineResource / ExternalGraphic) to hosts other than the configured
+ * sources or SLD_ALLOWED_HOSTS are refused, when saved and when sent.
+ */
+
+const MAX_SLD_LENGTH = 64 * 1024;
+const MAX_INLINE_LENGTH = 6000; // URL-encoded, keeps GET URLs under common limits
+
+const publicApiUrl = () =>
+  (process.env.PUBLIC_API_URL || "").replace(/\/$/, "");
+
+const DTD = /<!\s*(DOCTYPE|ENTITY)/i;
+// href="..." / xlink:href='...' attributes
+const HREF = /\s(?:[\w.-]+:)?href\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+
+// Hosts SLD links may point to: the map service hosts and SLD_ALLOWED_HOSTS
+function allowedHosts() {
+  const hosts = getSources()
+    .filter((source) => /^https?:/.test(source.url || ""))
+    .map((source) => new URL(source.url).host.toLowerCase());
+  (process.env.SLD_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean)
+    .forEach((host) => hosts.push(host));
+  return hosts;
+}
+
+// DTDs and links the map server must not follow; null when there are none
+function sldSafetyError(body) {
+  if (DTD.test(body))
+    return "SLD may not contain DOCTYPE or ENTITY declarations";
+  const hosts = allowedHosts();
+  for (const match of body.matchAll(HREF)) {
+    const href = (match[1] ?? match[2]).trim();
+    let url;
+    try {
+      url = new URL(href);
+    } catch (_) {
+      return `SLD link is not an absolute URL: ${href}`;
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      return `SLD link must use http or https: ${href}`;
+    }
+    if (!hosts.includes(url.host.toLowerCase())) {
+      return `SLD links to a host that is not allowed: ${url.host}`;
+    }
+  }
+  return null;
+}
+
+// Problem with an SLD document for `layerName`, or null when it can be used
+function sldError(body, layerName) {
+  if (body.length > MAX_SLD_LENGTH) {
+    return `SLD is larger than ${MAX_SLD_LENGTH / 1024} KB`;
+  }
+  const unsafe = sldSafetyError(body);
+  if (unsafe) return unsafe;
+  const valid = XMLValidator.validate(body);
+  if (valid !== true) {
+    return `SLD is not well-formed XML: ${valid.err.msg} (line ${valid.err.line})`;
+  }
+  const root = parseXml(body).StyledLayerDescriptor;
+  if (!root) return "Not an SLD document (no StyledLayerDescriptor)";
+  const names = asArray(root.NamedLayer).map((layer) => text(layer.Name));
+  if (!names.includes(layerName)) {
+    return `SLD has no NamedLayer for ${layerName}`;
+  }
+  if (encodeURIComponent(body).length > MAX_INLINE_LENGTH && !publicApiUrl()) {
+    return "SLD is too long to send inline; set PUBLIC_API_URL on the server so the map server can fetch it";
+  }
+  return null;
+}
+
+// Stored style of a GetMap / GetLegendGraphic request; it must style one of `layerNames`
+async function loadSld(id, source, layerNames) {
+  if (!mongoose.isValidObjectId(id)) throw httpError(400, "Invalid style id");
+  if (mongoose.connection.readyState !== 1) {
+    throw httpError(503, "Custom styles are unavailable without the database");
+  }
+  const style = await LayerStyle.findById(id).lean();
+  if (!style) throw httpError(404, `Unknown style: ${id}`);
+  if (style.source !== source.id || !layerNames.includes(style.layer)) {
+    throw httpError(400, `Style ${id} is not for these layers`);
+  }
+  // Styles saved before the checks existed
+  const unsafe = sldSafetyError(style.body);
+  if (unsafe) throw httpError(400, unsafe);
+  return style;
+}
+
+/** Upstream parameters plus the style's SLD_BODY (or SLD reference) */
+function withSld(params, style) {
+  const result = new URLSearchParams(params);
+  if (
+    encodeURIComponent(style.body).length <= MAX_INLINE_LENGTH ||
+    !publicApiUrl()
+  ) {
+    result.set("SLD_BODY", style.body);
+  } else {
+    result.set("SLD", `${publicApiUrl()}/styles/${style._id}/sld`);
+  }
+  return result;
+}
+
+module.exports = {
+  MAX_SLD_LENGTH,
+  sldSafetyError,
+  sldError,
+  loadSld,
+  withSld,
+};
@@ -0,0 +1,89 @@
+// server/utils/textMatch.js
+
+/**
+ * Fuzzy and prefix matching of search text against names, for GET /search.
+ *
+ * Text is compared case- and accent-insensitively word by word. Every word
+ * of the query has to match a word of the name: exactly, as a prefix (for
+ * search-as-you-type), inside it, or within a small edit distance (typos).
+ * Scores run from 0 (no match) to 1 (the same text).
+ */
+
+function normalize(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+const words = (text) => (text ? text.split(" ") : []);
+
+// Typos tolerated in a query word: none for short words
+function maxEdits(word) {
+  if (word.length <= 3) return 0;
+  return word.length <= 6 ? 1 : 2;
+}
+
+// Damerau-Levenshtein distance (adjacent transpositions count as one edit)
+function editDistance(a, b) {
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows[i] = [i];
+    for (let j = 1; j <= b.length; j++) {
+      if (i === 0) {
+        rows[i][j] = j;
+        continue;
+      }
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(
+        rows[i - 1][j] + 1,
+        rows[i][j - 1] + 1,
+        rows[i - 1][j - 1] + cost
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// How well one query word matches one word of the name
+function wordScore(query, word) {
+  if (word === query) return 1;
+  if (word.startsWith(query)) return 0.8 + 0.15 * (query.length / word.length);
+  if (query.length >= 3 && word.includes(query)) return 0.6;
+  const allowed = maxEdits(query);
+  if (!allowed) return 0;
+  // Against the whole word, or its start while the query is still typed
+  const distance = Math.min(
+    editDistance(query, word),
+    editDistance(query, word.slice(0, query.length))
+  );
+  return distance <= allowed ? 0.5 - 0.1 * distance : 0;
+}
+
+/**
+ * Score of `text` for a normalized query (see normalize()); 0 when some
+ * query word matches no word of the text.
+ */
+function matchScore(query, text) {
+  const target = normalize(text);
+  if (!query || !target) return 0;
+  if (target === query) return 1;
+
+  const targetWords = words(target);
+  let total = 0;
+  for (const queryWord of words(query)) {
+    const best = Math.max(...targetWords.map((w) => wordScore(queryWord, w)));
+    if (!best) return 0;
+    total += best;
+  }
+  const score = total / words(query).length;
+  // The whole text starting with the query ranks above scattered words
+  return target.startsWith(query) ? Math.max(score, 0.95) : score * 0.9;
+}
+
+module.exports = { normalize, matchScore, editDistance };
@@ -0,0 +1,101 @@
+// server/utils/timeDimension.js
+
+/**
+ * Expand the value of a WMS TIME dimension into the list of instants a
+ * client can step through. Values are comma-separated lists of instants
+ * and start/end/period intervals (ISO 8601, e.g.
+ * "2020-01-01/2020-12-01/P1M"). Listed instants are kept as written;
+ * instants generated from intervals are ISO strings. Intervals without a
+ * period only contribute their start and end.
+ */
+
+const MAX_TIMES = 1000; // the latest ones are kept
+const MAX_STEPS = 100000; // per interval with calendar (year / month) periods
+
+const DURATION =
+  /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/;
+
+// { years, months, ms } of an ISO 8601 duration, or null
+function parseDuration(value) {
+  const m = DURATION.exec(value);
+  if (!m || value === "P" || value.endsWith("T")) return null;
+  const [, y, mo, w, d, h, mi, s] = m.map((v) => Number(v || 0));
+  const duration = {
+    years: y,
+    months: mo,
+    ms: ((((w * 7 + d) * 24 + h) * 60 + mi) * 60 + s) * 1000,
+  };
+  return duration.years || duration.months || duration.ms ? duration : null;
+}
+
+// Calendar months are clamped to the month's last day (Jan 31 + P1M = Feb 29)
+function addDuration(time, { years, months, ms }) {
+  const date = new Date(time);
+  if (years || months) {
+    const day = date.getUTCDate();
+    date.setUTCDate(1);
+    date.setUTCMonth(date.getUTCMonth() + years * 12 + months);
+    const lastDay = new Date(
+      Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+    date.setUTCDate(Math.min(day, lastDay));
+  }
+  return date.getTime() + ms;
+}
+
+// Appends the instants of an interval; true when early ones were skipped
+function expandInterval(start, end, period, out) {
+  const from = Date.parse(start);
+  const to = Date.parse(end);
+  if (!Number.isFinite(from) || !Number.isFinite(to)) return false;
+  const duration = period && parseDuration(period);
+  if (!duration) {
+    out.push(start, end);
+    return false;
+  }
+  // Fixed-length periods can skip straight to the last MAX_TIMES steps
+  let first = 0;
+  if (!duration.years && !duration.months) {
+    first = Math.max(0, Math.floor((to - from) / duration.ms) - MAX_TIMES + 1);
+  }
+
+  for (let step = first; step < first + MAX_STEPS; step++) {
+    // Count from the start so clamped month steps do not drift
+    const t = addDuration(from, {
+      years: duration.years * step,
+      months: duration.months * step,
+      ms: duration.ms * step,
+    });
+    if (t > to) break;
+    out.push(new Date(t).toISOString());
+  }
+  return first > 0;
+}
+
+/** { times, truncated }: instants in ascending order, at most MAX_TIMES */
+function expandTimeValues(values) {
+  const out = [];
+  let skipped = false;
+  String(values || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const parts = entry.split("/");
+      if (parts.length === 1) out.push(entry);
+      else if (expandInterval(parts[0], parts[1], parts[2], out)) {
+        skipped = true;
+      }
+    });
+
+  const times = [...new Set(out)].sort((a, b) => {
+    const diff = Date.parse(a) - Date.parse(b);
+    return Number.isFinite(diff) ? diff : a.localeCompare(b);
+  });
+  return {
+    times: times.slice(-MAX_TIMES),
+    truncated: skipped || times.length > MAX_TIMES,
+  };
+}
+
+module.exports = { expandTimeValues, parseDuration };
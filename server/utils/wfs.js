@@ -0,0 +1,72 @@
+// server/utils/wfs.js
+const { asArray, parseXml } = require("./wmsXml");
+const { upstreamHeaders } = require("../config/layerCatalog");
+const { routeCache, tagsFor } = require("../cache");
+const { httpError, serviceError, upstreamUrl } = require("./ogcRequest");
+
+/**
+ * WFS helpers for the /wfs routes.
+ *
+ * Requests use WFS 1.1.0 with srsName EPSG:4326, which GeoServer answers in
+ * longitude/latitude order (WFS 2.0 flips EPSG:4326 to latitude first), and
+ * ask for GeoJSON output. GeoServer's STARTINDEX vendor parameter pages
+ * through the results.
+ */
+
+const WFS_VERSION = "1.1.0";
+
+const schemaCache = routeCache("wfs-schema");
+
+/**
+ * Attributes of a feature type from DescribeFeatureType:
+ *   { geometryName, properties: [{ name, type }] }
+ * geometryName is undefined when the type has no geometry attribute.
+ * Cached per source and type (route "wfs-schema").
+ */
+async function describeFeatureType(source, typeName) {
+  const cacheKey = `${source.id}|${typeName}`;
+  const cached = await schemaCache.get(cacheKey);
+  if (cached) return cached;
+
+  const url = upstreamUrl(
+    source.url,
+    new URLSearchParams({
+      SERVICE: "WFS",
+      REQUEST: "DescribeFeatureType",
+      VERSION: WFS_VERSION,
+      TYPENAME: typeName,
+    })
+  );
+  const response = await fetch(url, {
+    headers: upstreamHeaders(source),
+    signal: AbortSignal.timeout(20000),
+  });
+  if (!response.ok) {
+    throw httpError(
+      502,
+      `DescribeFeatureType failed: ${response.status} ${response.statusText}`
+    );
+  }
+  const xml = await response.text();
+  const doc = parseXml(xml);
+  if (!doc.schema) throw serviceError("WFS", xml);
+
+  // <xsd:complexType><xsd:complexContent><xsd:extension><xsd:sequence><xsd:element name type>
+  const elements = asArray(doc.schema.complexType).flatMap((type) =>
+    asArray(type.complexContent?.extension?.sequence?.element)
+  );
+  const properties = elements.map((el) => ({
+    name: el["@_name"],
+    type: el["@_type"] || "",
+  }));
+  const schema = {
+    geometryName: properties.find((p) => /^gml:/.test(p.type))?.name,
+    properties: properties.filter((p) => !/^gml:/.test(p.type)),
+  };
+  await schemaCache.set(cacheKey, schema, {
+    tags: tagsFor(source.id, [typeName]),
+  });
+  return schema;
+}
+
+module.exports = { WFS_VERSION, describeFeatureType };
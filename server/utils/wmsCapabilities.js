@@ -0,0 +1,222 @@
+// server/utils/wmsCapabilities.js
+const { asArray, text, parseXml, parseServiceException } = require("./wmsXml");
+const { expandTimeValues } = require("./timeDimension");
+const { upstreamHeaders } = require("../config/layerCatalog");
+const { routeCache, tagsFor } = require("../cache");
+
+/**
+ * Parse a WMS 1.1.1 or 1.3.0 GetCapabilities document into JSON:
+ *   { version, title, abstract, formats, infoFormats, layers: [...] }
+ * Every named layer is listed once with the properties it inherits from its
+ * parent layers resolved (CRS, styles, bounding box, dimensions, queryable).
+ * `bbox` is always WGS84 [minLng, minLat, maxLng, maxLat]. A TIME dimension
+ * also lists its instants in `times` (see utils/timeDimension.js).
+ *
+ * fetchCapabilities() requests and parses the document for a configured
+ * source and caches the result (route "wms-capabilities", an hour by default).
+ */
+
+function numberAttr(node, name) {
+  const value = Number(node?.[`@_${name}`]);
+  return Number.isFinite(value) ? value : undefined;
+}
+
+// WGS84 extent from EX_GeographicBoundingBox (1.3.0) or LatLonBoundingBox (1.1.1)
+function geographicBBox(layer) {
+  const ex = layer.EX_GeographicBoundingBox;
+  if (ex) {
+    const bbox = [
+      Number(text(ex.westBoundLongitude)),
+      Number(text(ex.southBoundLatitude)),
+      Number(text(ex.eastBoundLongitude)),
+      Number(text(ex.northBoundLatitude)),
+    ];
+    if (bbox.every(Number.isFinite)) return bbox;
+  }
+  const ll = layer.LatLonBoundingBox;
+  if (ll) {
+    const bbox = ["minx", "miny", "maxx", "maxy"].map((k) => numberAttr(ll, k));
+    if (bbox.every((v) => v !== undefined)) return bbox;
+  }
+  return undefined;
+}
+
+// Native bounding boxes as { crs, bbox } (axis order as advertised)
+function boundingBoxes(layer) {
+  return asArray(layer.BoundingBox)
+    .map((b) => ({
+      crs: b["@_CRS"] || b["@_SRS"] || "",
+      bbox: ["minx", "miny", "maxx", "maxy"].map((k) => numberAttr(b, k)),
+    }))
+    .filter((b) => b.crs && b.bbox.every((v) => v !== undefined));
+}
+
+function parseStyles(layer) {
+  return asArray(layer.Style).map((style) => {
+    const legend = asArray(style.LegendURL)[0];
+    return {
+      name: text(style.Name),
+      title: text(style.Title) || text(style.Name),
+      abstract: text(style.Abstract),
+      legendUrl: legend?.OnlineResource?.["@_href"] || undefined,
+    };
+  });
+}
+
+// 1.3.0 puts values in <Dimension>; 1.1.1 splits them into <Dimension> + <Extent>
+function parseDimensions(layer) {
+  const extents = asArray(layer.Extent);
+  return asArray(layer.Dimension).map((dim) => {
+    const name = dim["@_name"];
+    const extent = extents.find((e) => e["@_name"] === name);
+    const source = extent || dim;
+    const dimension = {
+      name,
+      units: dim["@_units"] || "",
+      default: source["@_default"] ?? dim["@_default"] ?? undefined,
+      values: text(source),
+    };
+    if (/^time$/i.test(name)) {
+      const { times, truncated } = expandTimeValues(dimension.values);
+      Object.assign(dimension, { times, truncated });
+    }
+    return dimension;
+  });
+}
+
+function mergeByName(inherited, own) {
+  const merged = [...inherited];
+  own.forEach((item) => {
+    const i = merged.findIndex((m) => m.name === item.name);
+    if (i >= 0) merged[i] = item;
+    else merged.push(item);
+  });
+  return merged;
+}
+
+function collectLayers(node, inherited, path, out) {
+  const crs = [
+    ...new Set([
+      ...inherited.crs,
+      ...asArray(node.CRS).map(text),
+      ...asArray(node.SRS)
+        .map(text)
+        .flatMap((s) => s.split(/\s+/)), // 1.1.1 allows space-separated lists
+    ]),
+  ].filter(Boolean);
+  const queryableAttr = node["@_queryable"];
+  const state = {
+    crs,
+    styles: mergeByName(inherited.styles, parseStyles(node)),
+    dimensions: mergeByName(inherited.dimensions, parseDimensions(node)),
+    bbox: geographicBBox(node) || inherited.bbox,
+    boundingBoxes: boundingBoxes(node).length
+      ? boundingBoxes(node)
+      : inherited.boundingBoxes,
+    queryable:
+      queryableAttr !== undefined
+        ? queryableAttr === "1" || queryableAttr === "true"
+        : inherited.queryable,
+  };
+
+  const title = text(node.Title);
+  const name = text(node.Name);
+  if (name) {
+    out.push({
+      name,
+      title: title || name,
+      abstract: text(node.Abstract),
+      keywords: asArray(node.KeywordList?.Keyword).map(text).filter(Boolean),
+      path,
+      ...state,
+    });
+  }
+
+  const childPath = title ? [...path, title] : path;
+  asArray(node.Layer).forEach((child) =>
+    collectLayers(child, state, childPath, out)
+  );
+  return out;
+}
+
+function formatsOf(request) {
+  return asArray(request?.Format).map(text).filter(Boolean);
+}
+
+function parseCapabilities(xml) {
+  const exception = parseServiceException(xml);
+  if (exception) throw new Error(`WMS service exception: ${exception.message}`);
+
+  const doc = parseXml(xml);
+  const root = doc.WMS_Capabilities || doc.WMT_MS_Capabilities;
+  if (!root) throw new Error("Not a WMS capabilities document");
+
+  const capability = root.Capability || {};
+  const request = capability.Request || {};
+  const layers = [];
+  asArray(capability.Layer).forEach((layer) =>
+    collectLayers(
+      layer,
+      {
+        crs: [],
+        styles: [],
+        dimensions: [],
+        bbox: undefined,
+        boundingBoxes: [],
+        queryable: false,
+      },
+      [],
+      layers
+    )
+  );
+
+  return {
+    version: root["@_version"] || "",
+    title: text(root.Service?.Title),
+    abstract: text(root.Service?.Abstract),
+    formats: formatsOf(request.GetMap),
+    infoFormats: formatsOf(request.GetFeatureInfo),
+    layers,
+  };
+}
+
+const capabilitiesCache = routeCache("wms-capabilities");
+const REFRESH_INTERVAL = 60 * 1000; // shortest time between forced refetches
+const lastRefresh = new Map(); // cache key -> time of the last forced refetch
+
+async function fetchCapabilities(
+  source,
+  { version = "1.3.0", refresh = false } = {}
+) {
+  const key = `${source.id}|${version}`;
+  // More frequent refresh requests are served from the cache
+  if (refresh && Date.now() - (lastRefresh.get(key) || 0) < REFRESH_INTERVAL)
+    refresh = false;
+  if (refresh) lastRefresh.set(key, Date.now());
+  const cached = refresh ? null : await capabilitiesCache.get(key);
+  if (cached) return cached;
+
+  const url = new URL(source.url);
+  url.searchParams.set("SERVICE", "WMS");
+  url.searchParams.set("REQUEST", "GetCapabilities");
+  url.searchParams.set("VERSION", version);
+  const response = await fetch(url, {
+    headers: upstreamHeaders(source),
+    signal: AbortSignal.timeout(20000),
+  });
+  if (!response.ok) {
+    throw new Error(
+      `GetCapabilities failed: ${response.status} ${response.statusText}`
+    );
+  }
+
+  const data = {
+    source: source.id,
+    fetchedAt: new Date().toISOString(),
+    ...parseCapabilities(await response.text()),
+  };
+  await capabilitiesCache.set(key, data, { tags: tagsFor(source.id) });
+  return data;
+}
+
+module.exports = { parseCapabilities, fetchCapabilities };
@@ -0,0 +1,49 @@
+// server/utils/wmsXml.js
+const { XMLParser } = require("fast-xml-parser");
+
+/**
+ * XML helpers shared by the WMS modules. Documents are parsed with namespace
+ * prefixes removed, attributes as "@_name" keys and every value kept as text.
+ */
+
+const asArray = (value) =>
+  value === undefined ? [] : Array.isArray(value) ? value : [value];
+
+// Text content of a parsed node ("" when missing)
+function text(value) {
+  if (value === undefined || value === null) return "";
+  if (typeof value === "object") return String(value["#text"] ?? "").trim();
+  return String(value).trim();
+}
+
+function parseXml(xml) {
+  return new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: "@_",
+    removeNSPrefix: true,
+    parseTagValue: false,
+  }).parse(xml);
+}
+
+/**
+ * { code, message } of a WMS ServiceExceptionReport (or OWS ExceptionReport)
+ * document, or null when the text is not one.
+ */
+function parseServiceException(xml) {
+  if (!/ExceptionReport/.test(xml)) return null;
+  let doc;
+  try {
+    doc = parseXml(xml);
+  } catch (_) {
+    return null;
+  }
+  const report = doc.ServiceExceptionReport || doc.ExceptionReport;
+  if (!report) return null;
+  const first = asArray(report.ServiceException || report.Exception)[0];
+  return {
+    code: first?.["@_code"] || first?.["@_exceptionCode"] || "",
+    message: text(first?.ExceptionText ?? first) || "unknown error",
+  };
+}
+
+module.exports = { asArray, text, parseXml, parseServiceException };
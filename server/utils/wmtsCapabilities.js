@@ -0,0 +1,154 @@
+// server/utils/wmtsCapabilities.js
+const { asArray, text, parseXml, parseServiceException } = require("./wmsXml");
+const { upstreamHeaders } = require("../config/layerCatalog");
+const { routeCache, tagsFor } = require("../cache");
+
+/**
+ * Parse a WMTS 1.0.0 GetCapabilities document into JSON:
+ *   { title, abstract, getTileUrl, layers: [...], tileMatrixSets: { id: set } }
+ * Layers list their styles, formats, linked tile matrix sets, dimensions and
+ * ResourceURL tile templates; `bbox` is WGS84 [minLng, minLat, maxLng, maxLat].
+ * A tile matrix set is { identifier, crs, matrices: [{ identifier,
+ * scaleDenominator, topLeftCorner: [x, y], tileWidth, tileHeight,
+ * matrixWidth, matrixHeight }] } with the corner in the set's axis order.
+ *
+ * fetchWmtsCapabilities() requests and parses the document for a configured
+ * source and caches the result (route "wmts-capabilities").
+ */
+
+const numbers = (value) => text(value).split(/\s+/).map(Number);
+
+function wgs84BBox(layer) {
+  const box = asArray(layer.WGS84BoundingBox)[0];
+  if (!box) return undefined;
+  const bbox = [...numbers(box.LowerCorner), ...numbers(box.UpperCorner)];
+  return bbox.length === 4 && bbox.every(Number.isFinite) ? bbox : undefined;
+}
+
+function parseLayer(layer) {
+  return {
+    identifier: text(layer.Identifier),
+    title: text(layer.Title) || text(layer.Identifier),
+    abstract: text(layer.Abstract),
+    bbox: wgs84BBox(layer),
+    formats: asArray(layer.Format).map(text).filter(Boolean),
+    styles: asArray(layer.Style).map((style) => ({
+      identifier: text(style.Identifier),
+      title: text(style.Title) || text(style.Identifier),
+      isDefault: style["@_isDefault"] === "true",
+    })),
+    tileMatrixSets: asArray(layer.TileMatrixSetLink)
+      .map((link) => text(link.TileMatrixSet))
+      .filter(Boolean),
+    resourceUrls: asArray(layer.ResourceURL)
+      .filter((url) => (url["@_resourceType"] || "tile") === "tile")
+      .map((url) => ({ format: url["@_format"], template: url["@_template"] })),
+    dimensions: asArray(layer.Dimension).map((dim) => ({
+      identifier: text(dim.Identifier),
+      default: text(dim.Default),
+      values: asArray(dim.Value).map(text),
+    })),
+  };
+}
+
+function parseTileMatrixSet(set) {
+  return {
+    identifier: text(set.Identifier),
+    crs: text(set.SupportedCRS),
+    matrices: asArray(set.TileMatrix).map((matrix) => ({
+      identifier: text(matrix.Identifier),
+      scaleDenominator: Number(text(matrix.ScaleDenominator)),
+      topLeftCorner: numbers(matrix.TopLeftCorner),
+      tileWidth: Number(text(matrix.TileWidth)),
+      tileHeight: Number(text(matrix.TileHeight)),
+      matrixWidth: Number(text(matrix.MatrixWidth)),
+      matrixHeight: Number(text(matrix.MatrixHeight)),
+    })),
+  };
+}
+
+// KVP endpoint of GetTile from OperationsMetadata, if advertised
+function getTileUrl(root) {
+  const operation = asArray(root.OperationsMetadata?.Operation).find(
+    (op) => op["@_name"] === "GetTile"
+  );
+  const get = asArray(operation?.DCP?.HTTP?.Get).find((g) =>
+    asArray(g.Constraint).every((c) =>
+      asArray(c.AllowedValues?.Value).map(text).includes("KVP")
+    )
+  );
+  return get?.["@_href"] || undefined;
+}
+
+function parseWmtsCapabilities(xml) {
+  const exception = parseServiceException(xml);
+  if (exception) {
+    throw new Error(`WMTS service exception: ${exception.message}`);
+  }
+
+  const doc = parseXml(xml);
+  const root = doc.Capabilities;
+  if (!root) throw new Error("Not a WMTS capabilities document");
+
+  const contents = root.Contents || {};
+  const tileMatrixSets = {};
+  asArray(contents.TileMatrixSet).forEach((set) => {
+    const parsed = parseTileMatrixSet(set);
+    if (parsed.identifier) tileMatrixSets[parsed.identifier] = parsed;
+  });
+
+  return {
+    version: root["@_version"] || "",
+    title: text(root.ServiceIdentification?.Title),
+    abstract: text(root.ServiceIdentification?.Abstract),
+    getTileUrl: getTileUrl(root),
+    layers: asArray(contents.Layer)
+      .map(parseLayer)
+      .filter((layer) => layer.identifier),
+    tileMatrixSets,
+  };
+}
+
+const capabilitiesCache = routeCache("wmts-capabilities");
+const REFRESH_INTERVAL = 60 * 1000; // shortest time between forced refetches
+const lastRefresh = new Map(); // source id -> time of the last forced refetch
+
+async function fetchWmtsCapabilities(source, { refresh = false } = {}) {
+  // More frequent refresh requests are served from the cache
+  const last = lastRefresh.get(source.id) || 0;
+  if (refresh && Date.now() - last < REFRESH_INTERVAL) refresh = false;
+  if (refresh) lastRefresh.set(source.id, Date.now());
+  const cached = refresh ? null : await capabilitiesCache.get(source.id);
+  if (cached) return cached;
+
+  // RESTful services publish a static WMTSCapabilities.xml; others take KVP
+  const url = new URL(source.url);
+  if (!/\.xml$/i.test(url.pathname)) {
+    url.searchParams.set("SERVICE", "WMTS");
+    url.searchParams.set("REQUEST", "GetCapabilities");
+    url.searchParams.set("VERSION", "1.0.0");
+  }
+  const response = await fetch(url, {
+    headers: upstreamHeaders(source),
+    signal: AbortSignal.timeout(20000),
+  });
+  if (!response.ok) {
+    throw new Error(
+      `GetCapabilities failed: ${response.status} ${response.statusText}`
+    );
+  }
+
+  const data = {
+    source: source.id,
+    fetchedAt: new Date().toISOString(),
+    ...parseWmtsCapabilities(await response.text()),
+  };
+  // Sources given as a capabilities document still need a GetTile endpoint
+  if (!data.getTileUrl && !/\.xml$/i.test(url.pathname)) {
+    data.getTileUrl = source.url;
+  }
+  await capabilitiesCache.set(source.id, data, { tags: tagsFor(source.id) });
+  return data;
+}
+
+module.exports = { parseWmtsCapabilities, fetchWmtsCapabilities };
@@ -0,0 +1,383 @@
+// shared/coordinates.js
+// Coordinate notations used by both the map client and the server: decimal
+// degrees, degrees-minutes-seconds, UTM and MGRS on the WGS84 ellipsoid.
+// CommonJS without dependencies so Node and the Next.js bundle can share it.
+
+const A = 6378137; // WGS84 semi-major axis (m)
+const F = 1 / 298.257223563;
+const E2 = F * (2 - F); // first eccentricity squared
+const EP2 = E2 / (1 - E2); // second eccentricity squared
+const K0 = 0.9996; // UTM scale on the central meridian
+
+const BANDS = "CDEFGHJKLMNPQRSTUVWX"; // 8° latitude bands from 80°S
+const MGRS_COLUMNS = ["ABCDEFGH", "JKLMNPQR", "STUVWXYZ"];
+const MGRS_ROWS = "ABCDEFGHJKLMNPQRSTUV";
+// Lowest northing of each latitude band, to place MGRS rows (which repeat
+// every 2000 km) in the right 2000 km cycle
+const BAND_MIN_NORTHING = {
+  C: 1100000,
+  D: 2000000,
+  E: 2800000,
+  F: 3700000,
+  G: 4600000,
+  H: 5500000,
+  J: 6400000,
+  K: 7300000,
+  L: 8200000,
+  M: 9100000,
+  N: 0,
+  P: 800000,
+  Q: 1700000,
+  R: 2600000,
+  S: 3500000,
+  T: 4400000,
+  U: 5300000,
+  V: 6200000,
+  W: 7000000,
+  X: 7900000,
+};
+
+const COORDINATE_FORMATS = ["dd", "dms", "utm", "mgrs"];
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+// Meridian arc length from the equator to latitude phi (radians)
+function meridianArc(phi) {
+  const e4 = E2 * E2;
+  const e6 = e4 * E2;
+  return (
+    A *
+    ((1 - E2 / 4 - (3 * e4) / 64 - (5 * e6) / 256) * phi -
+      ((3 * E2) / 8 + (3 * e4) / 32 + (45 * e6) / 1024) * Math.sin(2 * phi) +
+      ((15 * e4) / 256 + (45 * e6) / 1024) * Math.sin(4 * phi) -
+      ((35 * e6) / 3072) * Math.sin(6 * phi))
+  );
+}
+
+// UTM zone of a point, with the Norway and Svalbard exceptions
+function utmZone(lat, lng) {
+  const lon = lng >= 180 ? lng - 360 : lng;
+  if (lat >= 56 && lat < 64 && lon >= 3 && lon < 12) return 32;
+  if (lat >= 72 && lat < 84 && lon >= 0) {
+    if (lon < 9) return 31;
+    if (lon < 21) return 33;
+    if (lon < 33) return 35;
+    if (lon < 42) return 37;
+  }
+  return Math.floor((lon + 180) / 6) + 1;
+}
+
+function latitudeBand(lat) {
+  return BANDS[Math.min(Math.floor((lat + 80) / 8), BANDS.length - 1)];
+}
+
+/**
+ * UTM coordinates of a point: { zone, band, hemisphere: "N" | "S",
+ * easting, northing } in meters; null outside the UTM latitudes (80°S–84°N).
+ */
+function toUTM(lat, lng) {
+  if (!(lat >= -80 && lat <= 84)) return null;
+  const zone = utmZone(lat, lng);
+  const lng0 = (zone - 1) * 6 - 180 + 3;
+  let dLng = lng - lng0;
+  if (dLng > 180) dLng -= 360;
+  if (dLng < -180) dLng += 360;
+
+  const phi = toRad(lat);
+  const sin = Math.sin(phi);
+  const cos = Math.cos(phi);
+  const n = A / Math.sqrt(1 - E2 * sin * sin);
+  const t = Math.tan(phi) ** 2;
+  const c = EP2 * cos * cos;
+  const a = cos * toRad(dLng);
+
+  const easting =
+    K0 *
+      n *
+      (a +
+        ((1 - t + c) * a ** 3) / 6 +
+        ((5 - 18 * t + t * t + 72 * c - 58 * EP2) * a ** 5) / 120) +
+    500000;
+  let northing =
+    K0 *
+    (meridianArc(phi) +
+      n *
+        Math.tan(phi) *
+        ((a * a) / 2 +
+          ((5 - t + 9 * c + 4 * c * c) * a ** 4) / 24 +
+          ((61 - 58 * t + t * t + 600 * c - 330 * EP2) * a ** 6) / 720));
+  if (lat < 0) northing += 10000000;
+
+  return {
+    zone,
+    band: latitudeBand(lat),
+    hemisphere: lat < 0 ? "S" : "N",
+    easting,
+    northing,
+  };
+}
+
+/** { lat, lng } of a UTM position; hemisphere is "N" or "S" */
+function fromUTM(zone, hemisphere, easting, northing) {
+  const x = easting - 500000;
+  const y = hemisphere === "S" ? northing - 10000000 : northing;
+  const lng0 = (zone - 1) * 6 - 180 + 3;
+
+  const e4 = E2 * E2;
+  const e6 = e4 * E2;
+  const mu = y / K0 / (A * (1 - E2 / 4 - (3 * e4) / 64 - (5 * e6) / 256));
+  const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+  const phi1 =
+    mu +
+    ((3 * e1) / 2 - (27 * e1 ** 3) / 32) * Math.sin(2 * mu) +
+    ((21 * e1 * e1) / 16 - (55 * e1 ** 4) / 32) * Math.sin(4 * mu) +
+    ((151 * e1 ** 3) / 96) * Math.sin(6 * mu) +
+    ((1097 * e1 ** 4) / 512) * Math.sin(8 * mu);
+
+  const sin = Math.sin(phi1);
+  const cos = Math.cos(phi1);
+  const c1 = EP2 * cos * cos;
+  const t1 = Math.tan(phi1) ** 2;
+  const n1 = A / Math.sqrt(1 - E2 * sin * sin);
+  const r1 = (A * (1 - E2)) / (1 - E2 * sin * sin) ** 1.5;
+  const d = x / (n1 * K0);
+
+  const lat =
+    phi1 -
+    ((n1 * Math.tan(phi1)) / r1) *
+      ((d * d) / 2 -
+        ((5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * EP2) * d ** 4) / 24 +
+        ((61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * EP2 - 3 * c1 * c1) *
+          d ** 6) /
+          720);
+  const lng =
+    lng0 +
+    toDeg(
+      (d -
+        ((1 + 2 * t1 + c1) * d ** 3) / 6 +
+        ((5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * EP2 + 24 * t1 * t1) *
+          d ** 5) /
+          120) /
+        cos
+    );
+  return { lat: toDeg(lat), lng: ((lng + 540) % 360) - 180 };
+}
+
+/**
+ * MGRS reference of a point, e.g. "46Q GB 45678 21456"; `digits` per axis
+ * (0–5) sets the precision, 5 = 1 m. Null outside the UTM latitudes.
+ */
+function toMGRS(lat, lng, digits = 5) {
+  const utm = toUTM(lat, lng);
+  if (!utm) return null;
+  const { zone, band } = utm;
+  // Truncate (MGRS squares are named by their south-west corner)
+  const easting = Math.floor(utm.easting);
+  const northing = Math.floor(utm.northing);
+  const column = MGRS_COLUMNS[(zone - 1) % 3][Math.floor(easting / 100000) - 1];
+  const row =
+    MGRS_ROWS[(Math.floor(northing / 100000) + (zone % 2 === 0 ? 5 : 0)) % 20];
+  const scale = 10 ** (5 - digits);
+  const pad = (value) =>
+    String(Math.floor((value % 100000) / scale)).padStart(digits, "0");
+  const square = `${zone}${band} ${column}${row}`;
+  return digits ? `${square} ${pad(easting)} ${pad(northing)}` : square;
+}
+
+/**
+ * { lat, lng } of the centre of an MGRS square ("46QGB4567821456",
+ * spaces allowed); null when the reference is malformed.
+ */
+function fromMGRS(text) {
+  const match = String(text)
+    .toUpperCase()
+    .replace(/\s+/g, "")
+    .match(/^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d{0,10})$/);
+  if (!match) return null;
+  const [, zoneText, band, columnLetter, rowLetter, numbers] = match;
+  const zone = Number(zoneText);
+  if (zone < 1 || zone > 60 || numbers.length % 2) return null;
+
+  const column = MGRS_COLUMNS[(zone - 1) % 3].indexOf(columnLetter);
+  if (column < 0) return null;
+  const row =
+    (MGRS_ROWS.indexOf(rowLetter) - (zone % 2 === 0 ? 5 : 0) + 20) % 20;
+
+  const digits = numbers.length / 2;
+  const scale = 10 ** (5 - digits);
+  const half = scale / 2; // centre of the square
+  const easting =
+    (column + 1) * 100000 +
+    (digits ? Number(numbers.slice(0, digits)) * scale : 0) +
+    half;
+  let northing =
+    row * 100000 + (digits ? Number(numbers.slice(digits)) * scale : 0) + half;
+  while (northing < BAND_MIN_NORTHING[band]) northing += 2000000;
+
+  return fromUTM(zone, band >= "N" ? "N" : "S", easting, northing);
+}
+
+// ---- Degrees ----
+
+function formatDD(lat, lng, decimals = 6) {
+  return `${lat.toFixed(decimals)}, ${lng.toFixed(decimals)}`;
+}
+
+function dmsPart(value, positive, negative) {
+  // Round on tenths of a second so 59.96" carries into the minutes
+  const tenths = Math.round(Math.abs(value) * 36000);
+  const degrees = Math.floor(tenths / 36000);
+  const minutes = Math.floor((tenths % 36000) / 600);
+  const seconds = ((tenths % 600) / 10).toFixed(1).padStart(4, "0");
+  const hemisphere = value < 0 ? negative : positive;
+  return `${degrees}°${String(minutes).padStart(2, "0")}'${seconds}"${hemisphere}`;
+}
+
+function formatDMS(lat, lng) {
+  return `${dmsPart(lat, "N", "S")} ${dmsPart(lng, "E", "W")}`;
+}
+
+function formatUTM(lat, lng) {
+  const utm = toUTM(lat, lng);
+  if (!utm) return null;
+  return `${utm.zone}${utm.hemisphere} ${Math.round(utm.easting)} ${Math.round(
+    utm.northing
+  )}`;
+}
+
+/** A point in one of COORDINATE_FORMATS; null where the format has no value */
+function formatCoordinate(lat, lng, format = "dd") {
+  switch (format) {
+    case "dms":
+      return formatDMS(lat, lng);
+    case "utm":
+      return formatUTM(lat, lng);
+    case "mgrs":
+      return toMGRS(lat, lng);
+    default:
+      return formatDD(lat, lng);
+  }
+}
+
+// ---- Parsing ----
+
+// One angle: signed decimal degrees or degrees / minutes / seconds, with an
+// optional leading or trailing hemisphere letter. { value, axis } or null
+function parseAngle(text) {
+  const normalized = text
+    .trim()
+    .replace(/[′’]/g, "'")
+    .replace(/[″”]|''/g, '"');
+  const letters = normalized.match(/[NSEW]/gi) || [];
+  if (letters.length > 1) return null;
+  const hemisphere = letters[0]?.toUpperCase();
+
+  const numbers = normalized.match(/-?\d+(?:\.\d+)?/g) || [];
+  const rest = normalized
+    .replace(/-?\d+(?:\.\d+)?/g, "")
+    .replace(/[NSEW°º'":\s]/gi, "");
+  if (!numbers.length || numbers.length > 3 || rest) return null;
+
+  const [degrees, minutes = 0, seconds = 0] = numbers.map(Number);
+  if (minutes < 0 || minutes >= 60 || seconds < 0 || seconds >= 60) {
+    return null;
+  }
+  if (numbers.length > 1 && !Number.isInteger(degrees)) return null;
+  const negative =
+    numbers[0].startsWith("-") || hemisphere === "S" || hemisphere === "W";
+  if (numbers[0].startsWith("-") && hemisphere) return null;
+
+  return {
+    value:
+      (negative ? -1 : 1) * (Math.abs(degrees) + minutes / 60 + seconds / 3600),
+    axis: hemisphere ? ("NS".includes(hemisphere) ? "lat" : "lng") : null,
+    dms: numbers.length > 1,
+  };
+}
+
+// The two angles of a lat / lng text: split on a comma or semicolon, after a
+// hemisphere letter, or on the space between two plain numbers
+function splitPair(text) {
+  const separated = text.split(/[,;]/);
+  if (separated.length === 2) return separated;
+  if (separated.length > 2) return null;
+  const trailing = text.match(/^(.+?[NSEW])\s*(\S.*)$/i);
+  if (trailing && /[NSEW]\s*$/i.test(trailing[2])) {
+    return [trailing[1], trailing[2]];
+  }
+  const leading = text.match(/^([NSEW][^NSEW]+?)\s*([NSEW].+)$/i);
+  if (leading) return [leading[1], leading[2]];
+  const plain = text.trim().split(/\s+/);
+  return plain.length === 2 ? plain : null;
+}
+
+function parseDegrees(text) {
+  const pair = splitPair(text);
+  if (!pair) return null;
+  const [first, second] = pair.map(parseAngle);
+  if (!first || !second) return null;
+
+  let lat;
+  let lng;
+  if (first.axis || second.axis) {
+    if (first.axis === second.axis) return null;
+    const latPart =
+      first.axis === "lat" || second.axis === "lng" ? first : second;
+    lat = latPart.value;
+    lng = (latPart === first ? second : first).value;
+  } else if (Math.abs(first.value) > 90 && Math.abs(second.value) <= 90) {
+    // Plain "lng, lat" when the first number can only be a longitude
+    [lng, lat] = [first.value, second.value];
+  } else {
+    [lat, lng] = [first.value, second.value];
+  }
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng, format: first.dms || second.dms ? "dms" : "dd" };
+}
+
+// "46N 345678 2621456" (hemisphere) or "46Q 345678E 2621456N" (band); a
+// lone N or S after the zone is read as the hemisphere
+const UTM_PATTERN =
+  /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*m?\s*E?[\s,]+(\d+(?:\.\d+)?)\s*m?\s*N?$/i;
+
+function parseUTM(text) {
+  const match = text.trim().match(UTM_PATTERN);
+  if (!match) return null;
+  const zone = Number(match[1]);
+  const letter = match[2].toUpperCase();
+  const easting = Number(match[3]);
+  const northing = Number(match[4]);
+  if (zone < 1 || zone > 60) return null;
+  if (easting < 100000 || easting > 900000) return null;
+  if (northing < 0 || northing > 10000000) return null;
+  const hemisphere = letter === "S" || letter < "N" ? "S" : "N";
+  return fromUTM(zone, hemisphere, easting, northing);
+}
+
+/**
+ * Point of a coordinate in any supported notation: "23.7, 91.6" (lat, lng),
+ * "23°42'N 91°36'E", "46N 345678 2621456" (UTM) or "46QGB4567821456"
+ * (MGRS). Answers { lat, lng, format } or null when nothing matches.
+ */
+function parseCoordinate(text) {
+  if (typeof text !== "string" || !text.trim()) return null;
+  const mgrs = fromMGRS(text);
+  if (mgrs) return { ...mgrs, format: "mgrs" };
+  const utm = parseUTM(text);
+  if (utm) return { ...utm, format: "utm" };
+  return parseDegrees(text);
+}
+
+module.exports = {
+  COORDINATE_FORMATS,
+  formatCoordinate,
+  formatDD,
+  formatDMS,
+  formatUTM,
+  fromMGRS,
+  fromUTM,
+  parseCoordinate,
+  toMGRS,
+  toUTM,
+};